@@ -0,0 +1,17 @@
+// api/config.js — serverless entry point (Vercel-style handler)
+// Project form schema extensions; see lib/projectConfig.js.
+
+import { loadProjectConfig } from "../lib/projectConfig.js";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    return res.status(200).json(loadProjectConfig());
+  } catch (error) {
+    console.error("Config API error:", error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
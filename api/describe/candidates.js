@@ -0,0 +1,17 @@
+// api/describe/candidates.js — serverless entry point for review candidates
+// Same pipeline as POST /api/describe/candidates in server.js; see lib/describe.js.
+
+import { describeCandidates } from "../../lib/describe.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    return res.status(200).json(await describeCandidates(req.body || {}));
+  } catch (error) {
+    if (!error.status) console.error("Describe candidates API error:", error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
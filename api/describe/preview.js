@@ -0,0 +1,17 @@
+// api/describe/preview.js — serverless entry point for the prompt preview
+// Same as POST /api/describe/preview in server.js; see lib/describe.js.
+
+import { previewDescribe } from "../../lib/describe.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    return res.status(200).json(previewDescribe(req.body || {}));
+  } catch (error) {
+    if (!error.status) console.error("Describe preview API error:", error);
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,11 @@
+// api/describe/stream.js — serverless streaming entry point (SSE)
+// Same pipeline as POST /api/describe/stream in server.js; see lib/describe.js.
+
+import { sendDescribeStream } from "../../lib/describe.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  return sendDescribeStream(req, res, req.body || {});
+}
@@ -0,0 +1,295 @@
+// lib/classifier.js (ESM) — deterministic rock naming from the form fields
+// A fallback when no model is reachable and a cross-check on the model's
+// suggested name. Shared by the server (rules provider, /api/describe
+// crossCheck) and the client (live suggestions). Field values are the
+// DEFAULT_SCHEMA.enums strings from lib/formSchema.js.
+
+const has = (f, key, v) => (f[key] || []).includes(v);
+const hard = (f) => (f.hardness === "" || f.hardness == null ? null : Number(f.hardness));
+const grain = (f, ...sizes) => sizes.includes(f.grainSize);
+const FINE = ["Clay", "Silt", "Very fine", "Fine"];
+const COARSE = ["Medium", "Coarse", "Very coarse"];
+
+/* =========================
+   Candidate rules: [weight, test(form), reason]
+   ========================= */
+const RULES = [
+  {
+    name: "marble",
+    tests: [
+      [3, (f) => f.hcl === "Strong fizz", "strong HCl fizz"],
+      [2, (f) => has(f, "minerals", "Calcite"), "calcite recorded"],
+      [2, (f) => f.textureType === "crystalline", "crystalline texture"],
+      [2, (f) => f.category === "Metamorphic", "metamorphic category"],
+      [1, (f) => hard(f) !== null && hard(f) <= 4, "soft (H ≤ 4)"],
+    ],
+  },
+  {
+    name: "crystalline limestone",
+    tests: [
+      [3, (f) => f.hcl === "Strong fizz", "strong HCl fizz"],
+      [2, (f) => has(f, "minerals", "Calcite"), "calcite recorded"],
+      [2, (f) => f.textureType === "crystalline", "crystalline texture"],
+      [1, (f) => f.category === "Sedimentary", "sedimentary category"],
+    ],
+  },
+  {
+    name: "limestone",
+    tests: [
+      [3, (f) => f.hcl === "Strong fizz", "strong HCl fizz"],
+      [2, (f) => has(f, "minerals", "Calcite"), "calcite recorded"],
+      [2, (f) => f.category === "Sedimentary", "sedimentary category"],
+      [1, (f) => f.textureType === "clastic" || grain(f, ...FINE), "fine or clastic texture"],
+    ],
+  },
+  {
+    name: "dolostone",
+    tests: [
+      [3, (f) => has(f, "minerals", "Dolomite"), "dolomite recorded"],
+      [2, (f) => f.hcl === "Weak fizz", "weak HCl fizz (powder reacts)"],
+      [1, (f) => f.category === "Sedimentary", "sedimentary category"],
+    ],
+  },
+  {
+    name: "granite",
+    tests: [
+      [3, (f) => f.category === "Igneous", "igneous category"],
+      [2, (f) => has(f, "minerals", "Quartz") && has(f, "minerals", "Feldspar"), "quartz + feldspar"],
+      [2, (f) => grain(f, ...COARSE), "medium to coarse grained"],
+      [1, (f) => f.textureType === "crystalline", "crystalline texture"],
+      [1, (f) => has(f, "minerals", "Mica"), "mica recorded"],
+      [-3, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "rhyolite",
+    tests: [
+      [3, (f) => f.category === "Igneous", "igneous category"],
+      [2, (f) => grain(f, ...FINE), "fine grained"],
+      [2, (f) => has(f, "minerals", "Quartz"), "quartz recorded"],
+      [-3, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "basalt",
+    tests: [
+      [3, (f) => f.category === "Igneous", "igneous category"],
+      [2, (f) => grain(f, ...FINE), "fine grained"],
+      [2, (f) => f.magnetism === "Moderate" || f.magnetism === "Strong", "magnetic"],
+      [-2, (f) => has(f, "minerals", "Quartz"), "quartz argues against"],
+      [-3, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "gabbro",
+    tests: [
+      [3, (f) => f.category === "Igneous", "igneous category"],
+      [2, (f) => grain(f, ...COARSE), "medium to coarse grained"],
+      [2, (f) => f.magnetism === "Moderate" || f.magnetism === "Strong", "magnetic"],
+      [-2, (f) => has(f, "minerals", "Quartz"), "quartz argues against"],
+      [-3, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "sandstone",
+    tests: [
+      [2, (f) => f.category === "Sedimentary", "sedimentary category"],
+      [3, (f) => f.textureType === "clastic", "clastic texture"],
+      [2, (f) => grain(f, "Fine", "Medium", "Coarse"), "sand-sized grains"],
+      [1, (f) => f.packing === "grain-supported", "grain-supported"],
+      [1, (f) => has(f, "minerals", "Quartz"), "quartz recorded"],
+      [-2, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "siltstone / mudstone",
+    tests: [
+      [2, (f) => f.category === "Sedimentary", "sedimentary category"],
+      [2, (f) => f.textureType === "clastic", "clastic texture"],
+      [3, (f) => grain(f, "Clay", "Silt"), "clay to silt grade"],
+      [1, (f) => f.lustre === "Dull", "dull lustre"],
+    ],
+  },
+  {
+    name: "conglomerate",
+    tests: [
+      [2, (f) => f.category === "Sedimentary", "sedimentary category"],
+      [2, (f) => f.textureType === "clastic", "clastic texture"],
+      [3, (f) => grain(f, "Granule", "Pebble"), "granule to pebble clasts"],
+      [1, (f) => f.packing === "grain-supported", "clast-supported"],
+    ],
+  },
+  {
+    name: "breccia",
+    tests: [
+      [3, (f) => f.fabric === "Brecciated", "brecciated fabric"],
+      [1, (f) => f.packing === "matrix-supported", "matrix-supported"],
+      [1, (f) => grain(f, "Granule", "Pebble"), "coarse clasts"],
+    ],
+  },
+  {
+    name: "chert",
+    tests: [
+      [2, (f) => grain(f, "Clay", "Silt", "Very fine"), "very fine grained"],
+      [2, (f) => f.lustre === "Waxy" || f.lustre === "Vitreous", "waxy to vitreous lustre"],
+      [2, (f) => has(f, "minerals", "Quartz"), "quartz recorded"],
+      [2, (f) => hard(f) !== null && hard(f) >= 6, "hard (H ≥ 6)"],
+      [-3, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "quartzite",
+    tests: [
+      [2, (f) => f.category === "Metamorphic", "metamorphic category"],
+      [3, (f) => has(f, "minerals", "Quartz"), "quartz recorded"],
+      [1, (f) => f.textureType === "crystalline", "crystalline texture"],
+      [2, (f) => hard(f) !== null && hard(f) >= 6, "hard (H ≥ 6)"],
+      [-3, (f) => f.hcl === "Strong fizz", "strong HCl fizz argues against"],
+    ],
+  },
+  {
+    name: "schist",
+    tests: [
+      [2, (f) => f.category === "Metamorphic", "metamorphic category"],
+      [3, (f) => f.fabric === "Foliated", "foliated fabric"],
+      [2, (f) => has(f, "minerals", "Mica"), "mica recorded"],
+    ],
+  },
+  {
+    name: "gneiss",
+    tests: [
+      [2, (f) => f.category === "Metamorphic", "metamorphic category"],
+      [3, (f) => f.fabric === "Banded", "banded fabric"],
+      [1, (f) => has(f, "minerals", "Feldspar"), "feldspar recorded"],
+      [1, (f) => grain(f, ...COARSE), "medium to coarse grained"],
+    ],
+  },
+  {
+    name: "jasperoid",
+    tests: [
+      [2, (f) => f.category === "Hydrothermal/Alteration", "hydrothermal category"],
+      [3, (f) => has(f, "alteration", "Silicification"), "silicification"],
+      [1, (f) => has(f, "minerals", "Hematite") || has(f, "minerals", "Goethite"), "Fe-oxides"],
+      [1, (f) => f.fabric === "Vuggy" || f.fabric === "Brecciated", "vuggy or brecciated"],
+    ],
+  },
+  {
+    name: "ironstone / gossan",
+    tests: [
+      [3, (f) => has(f, "minerals", "Hematite") || has(f, "minerals", "Goethite"), "Fe-oxides"],
+      [1, (f) => has(f, "alteration", "Hematization"), "hematization"],
+      [1, (f) => f.fabric === "Vuggy", "vuggy (boxwork)"],
+      [1, (f) => (f.sulfides || []).length > 0, "sulfides noted"],
+    ],
+  },
+];
+
+const MIN_SCORE = 4;
+
+/**
+ * Candidate names for a form, best first:
+ *   [{ name, score, reasons: [string], against: [string] }]
+ * Names scoring below MIN_SCORE are left out.
+ */
+export function classifyForm(form = {}) {
+  return RULES.map(({ name, tests }) => {
+    let score = 0;
+    const reasons = [];
+    const against = [];
+    for (const [weight, test, reason] of tests) {
+      if (!test(form)) continue;
+      score += weight;
+      (weight > 0 ? reasons : against).push(reason);
+    }
+    return { name, score, reasons, against };
+  })
+    .filter((c) => c.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+}
+
+/* =========================
+   Contradiction checks on a suggested name
+   ========================= */
+
+// Name families (matched on the suggested name) with the properties they imply
+const FAMILIES = [
+  { match: /marble|limestone|calcarenite|chalk|travertine/, category: ["Sedimentary", "Metamorphic"], carbonate: "calcite", maxHardness: 4 },
+  { match: /dolo(stone|mite)/, category: ["Sedimentary", "Metamorphic"], carbonate: "dolomite", maxHardness: 4 },
+  { match: /granit|granodiorit|tonalit|diorit|gabbro|syenit|peridotit|pegmatit/, category: ["Igneous"], carbonate: false, texture: "crystalline" },
+  { match: /basalt|andesit|dacit|rhyolit|trachyt|dolerite|diabase/, category: ["Igneous"], carbonate: false },
+  { match: /sandstone|arenite|arkose|greywacke|graywacke|conglomerate|siltstone|mudstone|shale/, category: ["Sedimentary"], texture: "clastic" },
+  { match: /chert|jasper|quartzite|jasperoid/, carbonate: false, minHardness: 6 },
+  { match: /schist|gneiss|phyllite|slate|amphibolite/, category: ["Metamorphic"] },
+];
+
+/**
+ * Flags where a suggested rock name disagrees with what the form records.
+ * Returns { contradictions: [string], candidates } — candidates from classifyForm().
+ */
+export function crossCheck(rockName, form = {}) {
+  const name = String(rockName || "").toLowerCase();
+  const family = FAMILIES.find((fam) => fam.match.test(name));
+  const contradictions = [];
+  const h = hard(form);
+  if (family) {
+    const label = `"${rockName}"`;
+    if (family.category && form.category && form.category !== "Hydrothermal/Alteration" && !family.category.includes(form.category)) {
+      contradictions.push(`${label} is ${family.category.join("/").toLowerCase()} but the category is ${form.category}`);
+    }
+    if (family.carbonate === false && form.hcl === "Strong fizz") {
+      contradictions.push(`${label} is not a carbonate rock but the sample has a strong HCl fizz`);
+    }
+    if (family.carbonate === "calcite" && form.hcl === "No reaction") {
+      contradictions.push(`${label} should fizz in HCl but no reaction was recorded`);
+    }
+    if (family.texture && form.textureType && family.texture !== form.textureType) {
+      contradictions.push(`${label} implies a ${family.texture} texture but ${form.textureType} was recorded`);
+    }
+    if (family.minHardness && h !== null && h < family.minHardness - 1) {
+      contradictions.push(`${label} should be H ≥ ${family.minHardness} but hardness ${h} was recorded`);
+    }
+    if (family.maxHardness && h !== null && h > family.maxHardness + 1) {
+      contradictions.push(`${label} should be H ≤ ${family.maxHardness} but hardness ${h} was recorded`);
+    }
+  }
+  return { contradictions, candidates: classifyForm(form) };
+}
+
+/**
+ * Rule-only description in the /api/describe structured shape, for when no
+ * model is available. Confidence is never above "medium".
+ */
+export function ruleDescription(form = {}) {
+  const [top, ...rest] = classifyForm(form);
+  const observed = [
+    form.colourFresh && `${form.colourFresh} fresh colour`,
+    form.colourWeathered && `${form.colourWeathered} weathered surface`,
+    form.grainSize && `${form.grainSize.toLowerCase()} grain size`,
+    form.lustre && `${form.lustre.toLowerCase()} lustre`,
+    form.fabric && `${form.fabric.toLowerCase()} fabric`,
+    form.textureType && `${form.textureType} texture`,
+    form.packing,
+    form.hardness && `hardness ${form.hardness}`,
+    form.hcl && `HCl: ${form.hcl.toLowerCase()}`,
+    form.magnetism && `magnetism: ${form.magnetism.toLowerCase()}`,
+  ].filter(Boolean);
+  const minerals = [...(form.minerals || []), ...(form.sulfides || [])].map((m) => m.toLowerCase());
+  const observations =
+    (observed.length ? `Recorded in the field: ${observed.join("; ")}.` : "Few diagnostic properties were recorded.") +
+    (minerals.length ? ` Minerals noted: ${Array.from(new Set(minerals)).join(", ")}.` : "") +
+    ((form.alteration || []).length ? ` Alteration: ${form.alteration.join(", ").toLowerCase()}.` : "");
+  const interpretation = top
+    ? `Rule-based classification from the form fields only (no photo interpretation): ${top.reasons.join(", ")} point to ${top.name}.` +
+      (top.against.length ? ` Against: ${top.against.join(", ")}.` : "")
+    : "Rule-based classification from the form fields only: the recorded properties are not diagnostic of a rock name.";
+  const margin = top ? top.score - (rest[0]?.score ?? 0) : 0;
+  return {
+    observations,
+    interpretation,
+    rockName: top ? top.name : "unclassified rock",
+    alternativeNames: rest.slice(0, 3).map((c) => c.name),
+    confidence: top && top.score >= 7 && margin >= 2 ? "medium" : "low",
+    mineralsMentioned: Array.from(new Set(minerals)),
+  };
+}
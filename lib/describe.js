@@ -0,0 +1,259 @@
+// lib/describe.js (ESM) — the one describe pipeline
+// Prompt building, the model call and response normalisation shared by the
+// Express route (server.js) and the serverless handler (api/describe.js), so a
+// sample gets the same description wherever the app is deployed.
+
+import { getProvider } from "./providers/index.js";
+import { createRulesProvider } from "./providers/rules.js";
+import { crossCheck } from "./classifier.js";
+import { resolveSchema, formEntries } from "./formSchema.js";
+import { loadProjectConfig } from "./projectConfig.js";
+import { DESCRIPTION_SCHEMA, parseDescription, renderNarrative, renderPartialNarrative } from "./describeSchema.js";
+import { normalizeMeasurement } from "./structures.js";
+import { resolvePrompt, instructions } from "./promptTemplates.js";
+
+function describeError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Approximate decoded size of a base64 data URL
+const dataUrlBytes = (url) => Math.floor((String(url).length - String(url).indexOf(",") - 1) * 0.75);
+
+// Keep photos in the client's order (primary first) until the total image
+// budget or count is spent. `photoUrl` is the older single-photo field.
+export function selectPhotos({ photos, photoUrl }, env = process.env) {
+  const all = (Array.isArray(photos) ? photos : photoUrl ? [{ url: photoUrl }] : []).filter((p) => p?.url);
+  const budget = Number(env.DESCRIBE_IMAGE_BUDGET_BYTES) || 4 * 1024 * 1024;
+  const maxImages = Number(env.DESCRIBE_MAX_IMAGES) || 8;
+  const used = [];
+  const omitted = [];
+  let total = 0;
+  for (const p of all) {
+    const bytes = dataUrlBytes(p.url);
+    if (used.length >= maxImages || total + bytes > budget) omitted.push(p);
+    else {
+      used.push(p);
+      total += bytes;
+    }
+  }
+  return { used, omitted, bytes: total };
+}
+
+// Provider-neutral request for one sample; pure, so both entry points can be
+// compared field for field. `config` is the project config (lib/projectConfig.js);
+// `template` picks a writing style (lib/promptTemplates.js) over the project's.
+export function buildDescribeRequest(
+  { form = {}, photoUrl = null, photos = null, pxrfSummary = null, structures = null, interval = null, template = "" } = {},
+  env = process.env,
+  config = {}
+) {
+  // Compact context to save tokens: filled-in fields by their schema labels
+  const schema = resolveSchema(config, form?.project);
+  const formBrief = JSON.stringify(
+    Object.fromEntries(formEntries(schema, form || {}, { forAI: true }).map((e) => [e.label, e.value])),
+    null,
+    0
+  );
+  const pxrfBrief = pxrfSummary ? JSON.stringify(pxrfSummary, null, 0) : null;
+  // Measurements as entered are normalised here; invalid rows are dropped
+  const measured = (Array.isArray(structures) ? structures : []).map(normalizeMeasurement).filter(Boolean).slice(0, 50);
+  const structuresBrief = measured.length ? JSON.stringify(measured, null, 0) : null;
+  // Drill core: one from/to interval of the hole in FORM
+  const intervalBrief = interval ? JSON.stringify(interval, null, 0) : null;
+  // client should downscale to ~1024 px
+  const images = selectPhotos({ photos, photoUrl }, env).used.map((p, i) => ({
+    url: p.url,
+    detail: "high",
+    label: p.role ? `Photo ${i + 1} (${p.role})` : `Photo ${i + 1}`,
+  }));
+
+  const prompt = resolvePrompt(config, form?.project, template);
+  const user =
+    instructions(prompt) +
+    `FORM (context): ${formBrief}\n` +
+    (pxrfBrief ? `PXRF (optional): ${pxrfBrief}\n` : "") +
+    (intervalBrief ? `CORE INTERVAL (describe this interval only; FORM gives the hole and collar): ${intervalBrief}\n` : "") +
+    (structuresBrief
+      ? `STRUCTURES (measured; planes as strike RHR/dip/dipDir in degrees, lines as trend/plunge): ${structuresBrief}\n`
+      : "") +
+    (images.length
+      ? `PHOTOS (in order): ${images.map((img) => img.label).join("; ")}. ` +
+        "Use each view for what it shows best (outcrop for structure and setting, close-ups for grain size and minerals).\n"
+      : "");
+
+  return {
+    system: prompt.template.system,
+    user,
+    images,
+    temperature: env.OPENAI_TEMPERATURE ? Number(env.OPENAI_TEMPERATURE) : 0.15,
+    schema: DESCRIPTION_SCHEMA,
+    form: form || {},
+    prompt: { template: prompt.template.id, version: prompt.promptVersion, hash: prompt.promptHash },
+  };
+}
+
+// /api/describe/preview: the fully assembled prompt for a sample without
+// calling the model. Images are listed by label and size, not their data.
+export function previewDescribe(input, { env = process.env, config = loadProjectConfig(env) } = {}) {
+  const request = buildDescribeRequest(input, env, config);
+  return {
+    template: request.prompt.template,
+    promptVersion: request.prompt.version,
+    promptHash: request.prompt.hash,
+    temperature: request.temperature,
+    system: request.system,
+    user: request.user,
+    images: request.images.map((img) => ({ label: img.label, detail: img.detail, bytes: dataUrlBytes(img.url) })),
+    photosOmitted: selectPhotos(input || {}, env).omitted.length,
+  };
+}
+
+// /api/describe response: structured fields + rendered narrative + provenance,
+// plus the rule classifier's view of the suggested name
+function responseBody(structured, { model, provider, request, input, env }) {
+  return {
+    ...structured,
+    description: renderNarrative(structured),
+    model,
+    provider: provider.name,
+    temperature: request.temperature,
+    promptVersion: request.prompt.version,
+    promptHash: request.prompt.hash,
+    photosUsed: request.images.length,
+    photosOmitted: selectPhotos(input || {}, env).omitted.length,
+    crossCheck: crossCheck(structured.rockName, input?.form || {}),
+  };
+}
+
+// No key or no network: answer from the rule classifier rather than fail
+// (DESCRIBE_RULES_FALLBACK=0 turns this off)
+function canFallBack(err, provider, env) {
+  if (provider.name === "rules" || env.DESCRIBE_RULES_FALLBACK === "0") return false;
+  return Boolean(err.unavailable) || (err instanceof TypeError && /fetch failed/i.test(err.message));
+}
+
+// Runs the request against the configured provider and returns the response
+// body for /api/describe. Throws an Error with an HTTP `status` on failure.
+export async function describeSample(
+  input,
+  { provider = getProvider(), env = process.env, config = loadProjectConfig(env) } = {}
+) {
+  try {
+    return await completeDescribe(input, { provider, env, config });
+  } catch (err) {
+    if (!canFallBack(err, provider, env)) throw err;
+    console.warn(`describe: ${provider.name} unavailable (${err.message}); using rules`);
+    return { ...(await completeDescribe(input, { provider: createRulesProvider(), env, config })), fallback: err.message };
+  }
+}
+
+// Alternative descriptions of one sample for side-by-side review: input is the
+// /api/describe body plus `candidates` (how many; capped by
+// DESCRIBE_MAX_CANDIDATES, default 4). The first runs at the configured
+// temperature, the rest at DESCRIBE_CANDIDATE_TEMPERATURE (default 0.7) so they
+// actually differ. Resolves to { candidates: [describeSample body], failed }.
+export async function describeCandidates(
+  input,
+  { provider = getProvider(), env = process.env, config = loadProjectConfig(env) } = {}
+) {
+  const max = Math.max(1, Number(env.DESCRIBE_MAX_CANDIDATES) || 4);
+  const count = Math.min(max, Math.max(1, Math.floor(Number(input?.candidates)) || 3));
+  const configured = env.DESCRIBE_CANDIDATE_TEMPERATURE ? Number(env.DESCRIBE_CANDIDATE_TEMPERATURE) : NaN;
+  const warm = { ...env, OPENAI_TEMPERATURE: String(Number.isFinite(configured) ? configured : 0.7) };
+  const settled = await Promise.allSettled(
+    Array.from({ length: count }, (_, i) => describeSample(input, { provider, env: i ? warm : env, config }))
+  );
+  const candidates = settled.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  if (!candidates.length) throw settled[0].reason;
+  return { candidates, failed: count - candidates.length };
+}
+
+async function completeDescribe(input, { provider, env, config }) {
+  const request = buildDescribeRequest(input, env, config);
+
+  // Ask for schema-constrained JSON; retry when the model returns something malformed
+  const maxAttempts = Math.max(1, Number(env.DESCRIBE_MAX_ATTEMPTS) || 2);
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const out = await provider.complete(request);
+    try {
+      const structured = parseDescription(out.text);
+      return responseBody(structured, { model: out.model, provider, request, input, env });
+    } catch (err) {
+      lastError = err;
+      console.warn(`describe attempt ${attempt}/${maxAttempts}: ${err.message}`);
+    }
+  }
+  throw describeError(`${lastError.message} (after ${maxAttempts} attempts)`, 502);
+}
+
+// Streaming variant: calls onText(delta) as narrative text arrives and resolves
+// to the same body as describeSample(). There is no retry here — tokens already
+// shown can't be taken back — so a malformed final object is a 502.
+export async function streamDescribe(
+  input,
+  { provider = getProvider(), env = process.env, config = loadProjectConfig(env), signal, onText } = {}
+) {
+  const request = buildDescribeRequest(input, env, config);
+  let raw = "";
+  let shown = "";
+  try {
+    for await (const chunk of provider.stream(request, { signal })) {
+      raw += chunk;
+      const narrative = renderPartialNarrative(raw);
+      if (narrative.length > shown.length && narrative.startsWith(shown)) {
+        onText(narrative.slice(shown.length));
+        shown = narrative;
+      }
+    }
+  } catch (err) {
+    // Only before anything was shown; a stream that dies midway stays an error
+    if (raw || !canFallBack(err, provider, env)) throw err;
+    console.warn(`describe stream: ${provider.name} unavailable (${err.message}); using rules`);
+    const body = await streamDescribe(input, { provider: createRulesProvider(), env, config, signal, onText });
+    return { ...body, fallback: err.message };
+  }
+  if (signal?.aborted) throw describeError("Generation cancelled", 499);
+
+  let structured;
+  try {
+    structured = parseDescription(raw);
+  } catch (err) {
+    throw describeError(err.message, 502);
+  }
+  return responseBody(structured, { model: provider.model, provider, request, input, env });
+}
+
+// Server-Sent Events over a plain Node response (Express and serverless alike):
+//   event: token  data: {"text": "..."}   narrative delta
+//   event: done   data: <describeSample body>
+//   event: error  data: {"error": "...", "status": n}
+// Closing the request (client cancel) aborts the upstream model call.
+export async function sendDescribeStream(req, res, input) {
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep proxies from buffering the stream
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    const result = await streamDescribe(input, {
+      signal: controller.signal,
+      onText: (text) => send("token", { text }),
+    });
+    send("done", result);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    if (!err.status) console.error("describe stream error:", err);
+    send("error", { error: String(err?.message || err), status: err.status || 500 });
+  } finally {
+    res.end();
+  }
+}
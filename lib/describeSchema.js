@@ -0,0 +1,105 @@
+// lib/describeSchema.js (ESM) — structured output contract for /api/describe
+// The model is asked for JSON matching DESCRIPTION_SCHEMA; the server validates
+// it and renders the two-paragraph narrative the text panel has always shown.
+
+export const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+// OpenAI json_schema (strict mode: every property required, no extras)
+export const DESCRIPTION_SCHEMA = {
+  name: "rock_description",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["observations", "interpretation", "rockName", "alternativeNames", "confidence", "mineralsMentioned"],
+    properties: {
+      observations: {
+        type: "string",
+        description: "Paragraph 1: observational description only (colour, lustre, texture/fabric, grain size, minerals, alteration).",
+      },
+      interpretation: {
+        type: "string",
+        description: "Paragraph 2: concise interpretation of process/setting grounded in the observations.",
+      },
+      rockName: { type: "string", description: "Single best-fit lithologic term." },
+      alternativeNames: {
+        type: "array",
+        items: { type: "string" },
+        description: "Other plausible rock names, most likely first (may be empty).",
+      },
+      confidence: { type: "string", enum: CONFIDENCE_LEVELS },
+      mineralsMentioned: {
+        type: "array",
+        items: { type: "string" },
+        description: "Minerals named in the observations, lower case.",
+      },
+    },
+  },
+};
+
+const isStrList = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+
+// Returns a list of problems; empty when the object matches the contract
+export function validateDescription(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return ["response is not a JSON object"];
+  const errors = [];
+  for (const k of ["observations", "interpretation", "rockName"]) {
+    if (typeof obj[k] !== "string" || !obj[k].trim()) errors.push(`${k} must be a non-empty string`);
+  }
+  if (!isStrList(obj.alternativeNames)) errors.push("alternativeNames must be an array of strings");
+  if (!isStrList(obj.mineralsMentioned)) errors.push("mineralsMentioned must be an array of strings");
+  if (!CONFIDENCE_LEVELS.includes(obj.confidence)) errors.push(`confidence must be one of ${CONFIDENCE_LEVELS.join(", ")}`);
+  return errors;
+}
+
+// Parse + validate raw model text; throws with the validation problems on failure
+export function parseDescription(text) {
+  let obj;
+  try {
+    // Some backends wrap JSON in a ```json fence despite response_format
+    obj = JSON.parse(String(text || "").replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
+  } catch {
+    throw new Error("Model output was not valid JSON");
+  }
+  const errors = validateDescription(obj);
+  if (errors.length) throw new Error(`Model output failed validation: ${errors.join("; ")}`);
+  const clean = (s) => s.replace(/^\s*#+\s*/gm, "").replace(/^\s*[-*]\s+/gm, "").trim();
+  return {
+    observations: clean(obj.observations),
+    interpretation: clean(obj.interpretation),
+    rockName: obj.rockName.trim(),
+    alternativeNames: obj.alternativeNames.map((s) => s.trim()).filter(Boolean),
+    confidence: obj.confidence,
+    mineralsMentioned: obj.mineralsMentioned.map((s) => s.trim().toLowerCase()).filter(Boolean),
+  };
+}
+
+// Two paragraphs + the rock-name line, as the text panel and exports expect
+export function renderNarrative(d) {
+  return `${d.observations}\n\n${d.interpretation}\n\nSuggested rock name: ${d.rockName}`;
+}
+
+// Best-effort narrative from a JSON response that is still streaming in:
+// pulls the (possibly unterminated) string values out of the partial object.
+function partialString(text, key) {
+  const m = new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)(")?`).exec(text);
+  if (!m) return null;
+  // Drop a half-received escape sequence before decoding
+  const raw = m[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, "");
+  try {
+    return { value: JSON.parse(`"${raw}"`), done: Boolean(m[2]) };
+  } catch {
+    return { value: raw, done: Boolean(m[2]) };
+  }
+}
+
+export function renderPartialNarrative(text) {
+  const obs = partialString(text, "observations");
+  if (!obs) return "";
+  let out = obs.value;
+  const interp = partialString(text, "interpretation");
+  if (interp) out += `\n\n${interp.value}`;
+  const name = partialString(text, "rockName");
+  if (name?.done) out += `\n\nSuggested rock name: ${name.value}`;
+  return out;
+}
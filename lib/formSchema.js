@@ -0,0 +1,210 @@
+// lib/formSchema.js (ESM) — the sample form as data
+// Sections, field types, enum lists, required flags and units. The client
+// renders the form and exports from it and the server builds the AI prompt's
+// FORM context from it. Projects extend it through the config file served at
+// /api/config (see resolveSchema and lib/projectConfig.js).
+//
+// Field: { key, label, type, enum?, required?, unit?, default?, keep?, ai? }
+//   type: text | textarea | number | datetime | select | multiselect
+//         | project (picker, value is the project code) | location (lat/lon/datum widget)
+//         | panel (app-rendered block, no value)
+//   enum: name of a list in schema.enums (select/multiselect)
+//   keep: value survives "New Sample"; ai: false leaves it out of the prompt
+
+export const DEFAULT_SCHEMA = {
+  enums: {
+    context: ["Outcrop", "Float", "Trench", "Dump", "Drill core"],
+    category: ["Igneous", "Sedimentary", "Metamorphic", "Hydrothermal/Alteration"],
+    weatheringGrade: ["Fresh", "Slight", "Moderate", "Strong", "Complete"],
+    lustre: ["Dull", "Waxy", "Vitreous", "Resinous", "Submetallic", "Metallic"],
+    grainSize: ["Clay", "Silt", "Very fine", "Fine", "Medium", "Coarse", "Very coarse", "Granule", "Pebble"],
+    fabric: ["Massive", "Banded", "Foliated", "Brecciated", "Vuggy"],
+    magnetism: ["None", "Weak", "Moderate", "Strong"],
+    hcl: ["No reaction", "Weak fizz", "Strong fizz"],
+    minerals: ["Quartz", "Feldspar", "Mica", "Calcite", "Dolomite", "Hematite", "Goethite", "Pyrite", "Chalcopyrite", "Galena", "Sphalerite"],
+    alteration: ["Silicification", "Sericitization", "Chloritization", "Hematization", "Argillic", "Propylitic"],
+    sulfides: ["Pyrite", "Chalcopyrite", "Bornite", "Galena", "Sphalerite"],
+    sampleType: ["Grab", "Chip", "Channel", "Core", "Float"],
+    hardness: ["1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    packing: ["matrix-supported", "grain-supported"],
+    textureType: ["clastic", "crystalline"],
+    // Photo roles (tagged per photo, sent to the AI as image labels)
+    photoRole: ["Outcrop", "Hand specimen", "Fresh surface", "Weathered surface", "Close-up / hand lens", "Thin-section"],
+    // Requested analyses on the lab submission form
+    analyses: ["Au fire assay", "4-acid ICP-MS", "Aqua regia ICP-OES", "XRF fused bead", "LOI", "SG", "Petrography (thin section)"],
+  },
+  sections: [
+    {
+      id: "sample",
+      title: "Sample & Location",
+      fields: [
+        { key: "project", label: "Project", type: "project", keep: true },
+        { key: "sampleId", label: "Sample ID", type: "text", required: true },
+        { key: "geologist", label: "Geologist", type: "text", keep: true },
+        { key: "date", label: "Date/time", type: "datetime", default: "now" },
+        { key: "location", label: "Location", type: "location" },
+        { key: "elevation", label: "Elevation", type: "number", unit: "m" },
+        { key: "context", label: "Context", type: "select", enum: "context" },
+        { key: "hostUnit", label: "Host unit / Formation", type: "text" },
+        { key: "category", label: "Category", type: "select", enum: "category" },
+      ],
+    },
+    {
+      id: "description",
+      title: "Standard description fields",
+      fields: [
+        { key: "weatheringGrade", label: "Weathering grade", type: "select", enum: "weatheringGrade" },
+        { key: "hardness", label: "Hardness (Mohs / scratch test)", type: "select", enum: "hardness" },
+        { key: "colourFresh", label: "Colour (fresh)", type: "text" },
+        { key: "colourWeathered", label: "Colour (weathered)", type: "text" },
+        { key: "lustre", label: "Lustre", type: "select", enum: "lustre" },
+        { key: "grainSize", label: "Grain size / class", type: "select", enum: "grainSize" },
+        { key: "fabric", label: "Fabric", type: "select", enum: "fabric" },
+        { key: "streak", label: "Streak colour", type: "text" },
+        { key: "magnetism", label: "Magnetism", type: "select", enum: "magnetism" },
+        { key: "hcl", label: "HCl reaction", type: "select", enum: "hcl" },
+        { key: "sg", label: "Specific gravity (qualitative)", type: "text" },
+        { key: "packing", label: "Packing", type: "select", enum: "packing" },
+        { key: "textureType", label: "Texture", type: "select", enum: "textureType" },
+        { key: "fabricNotes", label: "Fabric / texture notes", type: "textarea" },
+        { key: "minerals", label: "Minerals present", type: "multiselect", enum: "minerals" },
+        { key: "alteration", label: "Alteration", type: "multiselect", enum: "alteration" },
+        { key: "sulfides", label: "Sulfides observed", type: "multiselect", enum: "sulfides" },
+        { key: "mineralizationNotes", label: "Mineralization notes", type: "textarea" },
+        {
+          key: "structures",
+          label: "Structures (veins, shear, breccia type; orientations go in Structural measurements)",
+          type: "textarea",
+        },
+      ],
+    },
+    {
+      id: "sampling",
+      title: "Sampling & extra",
+      fields: [
+        { key: "sampleType", label: "Sample type", type: "select", enum: "sampleType" },
+        { key: "sampleLength_m", label: "Sample length", type: "number", unit: "m" },
+        { key: "sampleWeight_kg", label: "Sample weight", type: "number", unit: "kg" },
+        { key: "pxrfPanel", type: "panel" },
+        { key: "pxrf", label: "pXRF notes (if any)", type: "textarea" },
+      ],
+    },
+  ],
+};
+
+// Fields behind the "location" widget (src/LocationInput.jsx)
+export const LOCATION_DEFAULTS = {
+  lat: "",
+  lon: "",
+  datum: "WGS84", // kept between samples
+  coordEntry: "dd", // "dd" | "dms" | "utm" — how the location was entered
+  utmZone: "",
+  utmHemisphere: "",
+  easting: "",
+  northing: "",
+  gpsAccuracy_m: "",
+  locationSource: "", // "manual" | "device" | "photo"
+};
+const LOCATION_KEEP = ["datum", "coordEntry"];
+
+const VALUE_LESS = new Set(["location", "panel"]);
+const clone = (o) => JSON.parse(JSON.stringify(o));
+
+export const schemaFields = (schema) => schema.sections.flatMap((s) => s.fields.map((f) => ({ ...f, section: s.id })));
+
+// Apply one extension block: { enums, replaceEnums, fields, required }
+function extend(schema, ext = {}) {
+  for (const [name, values] of Object.entries(ext.replaceEnums || {})) schema.enums[name] = [...values];
+  for (const [name, values] of Object.entries(ext.enums || {})) {
+    schema.enums[name] = Array.from(new Set([...(schema.enums[name] || []), ...values]));
+  }
+  for (const field of ext.fields || []) {
+    const { section: sectionId, sectionTitle, after, ...def } = field;
+    const existing = schema.sections.flatMap((s) => s.fields).find((f) => f.key === def.key);
+    if (existing) {
+      Object.assign(existing, def);
+      continue;
+    }
+    let section = schema.sections.find((s) => s.id === sectionId);
+    if (!section) {
+      section = { id: sectionId || "project", title: sectionTitle || "Project fields", fields: [] };
+      schema.sections.push(section);
+    }
+    const at = after ? section.fields.findIndex((f) => f.key === after) : -1;
+    section.fields.splice(at >= 0 ? at + 1 : section.fields.length, 0, { type: "text", label: def.key, ...def });
+  }
+  for (const key of ext.required || []) {
+    const f = schema.sections.flatMap((s) => s.fields).find((x) => x.key === key);
+    if (f) f.required = true;
+  }
+}
+
+/**
+ * Schema for a project: the defaults, then the config file's top-level
+ * extension, then its `projects[<name>]` block (name matched case-insensitively).
+ */
+export function resolveSchema(config = {}, project = "") {
+  const schema = clone(DEFAULT_SCHEMA);
+  extend(schema, config);
+  const name = String(project || "").trim().toLowerCase();
+  const entry = Object.entries(config.projects || {}).find(([k]) => k.trim().toLowerCase() === name);
+  if (name && entry) extend(schema, entry[1]);
+  return schema;
+}
+
+function defaultValue(field) {
+  if (field.type === "multiselect") return Array.isArray(field.default) ? [...field.default] : [];
+  if (field.default === "now" && field.type === "datetime") return new Date().toISOString().slice(0, 16);
+  return field.default ?? "";
+}
+
+// Empty form for a schema; `keepFrom` carries over values of `keep` fields
+export function initialForm(schema, keepFrom = null) {
+  const form = { ...LOCATION_DEFAULTS };
+  for (const f of schemaFields(schema)) {
+    if (!VALUE_LESS.has(f.type)) form[f.key] = keepFrom && f.keep ? keepFrom[f.key] : defaultValue(f);
+  }
+  if (keepFrom) for (const k of LOCATION_KEEP) form[k] = keepFrom[k] ?? LOCATION_DEFAULTS[k];
+  return form;
+}
+
+// Current value, falling back to the field default (fields a project config added after the form was made)
+export function fieldValue(field, form) {
+  return form[field.key] ?? defaultValue(field);
+}
+
+const isEmpty = (v) => v == null || (Array.isArray(v) ? v.length === 0 : String(v).trim() === "");
+
+// Labels of required fields left empty
+export function missingRequired(schema, form) {
+  return schemaFields(schema)
+    .filter((f) => f.required && (f.type === "location" ? isEmpty(form.lat) || isEmpty(form.lon) : isEmpty(form[f.key])))
+    .map((f) => f.label);
+}
+
+export const fieldLabel = (f) => (f.unit ? `${f.label} (${f.unit})` : f.label);
+
+/**
+ * Filled-in fields in schema order, for exports and the AI prompt:
+ * [{ section, key, label, value }] with units folded into the label. The
+ * location widget contributes Latitude/Longitude (+ datum).
+ * `includeEmpty` keeps blank fields (the Markdown export lists every field).
+ */
+export function formEntries(schema, form, { forAI = false, includeEmpty = false } = {}) {
+  const out = [];
+  for (const f of schemaFields(schema)) {
+    if (f.type === "panel" || (forAI && f.ai === false)) continue;
+    if (f.type === "location") {
+      if (!isEmpty(form.lat) && !isEmpty(form.lon)) {
+        out.push({ section: f.section, key: "lat", label: "Latitude", value: form.lat });
+        out.push({ section: f.section, key: "lon", label: "Longitude", value: form.lon });
+        out.push({ section: f.section, key: "datum", label: "Datum", value: form.datum || "WGS84" });
+      }
+      continue;
+    }
+    const value = form[f.key];
+    if (isEmpty(value) && !includeEmpty) continue;
+    out.push({ section: f.section, key: f.key, label: fieldLabel(f), value: Array.isArray(value) ? value.join(", ") : (value ?? "") });
+  }
+  return out;
+}
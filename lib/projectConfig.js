@@ -0,0 +1,42 @@
+// lib/projectConfig.js (ESM) — project config file for the form schema
+// GEODESCRIBE_CONFIG (default ./geodescribe.config.json) holds schema
+// extensions; see resolveSchema() in lib/formSchema.js. `projects` is keyed by
+// project code (src/projects.js). Example:
+//   {
+//     "enums": { "minerals": ["Arsenopyrite"] },
+//     "replaceEnums": { "alteration": ["Potassic", "Phyllic", "Argillic", "Propylitic"] },
+//     "fields": [{ "key": "veinDensity", "label": "Vein density", "type": "number", "unit": "veins/m",
+//                  "section": "description", "after": "sulfides" }],
+//     "required": ["project", "hostUnit"],
+//     "projects": { "MDO": { "enums": { "sulfides": ["Chalcocite"] } } }
+//   }
+// `prompts` (top level or per project) holds the AI writing styles; see
+// lib/promptTemplates.js.
+// The file is re-read on every call so edits apply without a restart.
+
+import fs from "fs";
+import path from "path";
+
+export function configPath(env = process.env) {
+  return path.resolve(env.GEODESCRIBE_CONFIG || "geodescribe.config.json");
+}
+
+// {} when there is no file; an Error with `status` 500 when it is not valid JSON
+export function loadProjectConfig(env = process.env) {
+  let text;
+  try {
+    text = fs.readFileSync(configPath(env), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+  try {
+    const config = JSON.parse(text);
+    if (!config || typeof config !== "object" || Array.isArray(config)) throw new Error("expected an object");
+    return config;
+  } catch (err) {
+    const e = new Error(`Invalid project config ${configPath(env)}: ${err.message}`);
+    e.status = 500;
+    throw e;
+  }
+}
@@ -0,0 +1,188 @@
+// lib/promptTemplates.js (ESM) — versioned writing styles for /api/describe
+// A template is { id, version, label, system, intro, terms, style: [lines],
+// rules: [decision rules] }; buildDescribeRequest() (lib/describe.js) puts it
+// together with the sample. The project config file (lib/projectConfig.js)
+// can add templates (optionally extending one), add decision rules and pick
+// the default, globally or per project:
+//   "prompts": {
+//     "default": "field-notebook",
+//     "rules": ["Call it a skarn only where garnet or pyroxene is visible."],
+//     "templates": { "acme-formal": { "extends": "formal-report", "version": 2, "label": "ACME formal",
+//                                      "style": ["…"] } }
+//   },
+//   "projects": { "MDO": { "prompts": { "default": "core-logging", "rules": ["…"] } } }
+// Bump a template's `version` whenever its text changes: descriptions are
+// stored with it (promptVersion "id@version") and with a hash of the full text.
+
+// Master vocabulary (guidance, not a hard list)
+const MASTER_TERMS =
+  "Use standard geological terminology when relevant: " +
+  "colour/hue (reddish-brown, ochre, grey), luster (waxy, vitreous, metallic), " +
+  "textures (aphanitic, phaneritic, porphyritic, cryptocrystalline, conchoidal, clastic, brecciated, foliated, massive), " +
+  "grain size classes (mud, silt, sand, granule, pebble, cobble, boulder) and qualitative terms (fine/medium/coarse), " +
+  "structures (bedding, lamination, foliation, veining, boxwork, vugs), " +
+  "minerals (quartz, feldspar, mica, calcite, dolomite, hematite, goethite, limonite, sulfides), " +
+  "process terms (magmatic, volcanic, plutonic, sedimentary, diagenetic, metamorphic, hydrothermal, supergene), " +
+  "alteration (silicification, sericitization, chloritization, hematization, epidotization, argillic/advanced argillic, propylitic).";
+
+// Decision rules to avoid common mislabels (e.g., breccia vs. conchoidal silica); shared by the built-ins
+const DECISION_RULES = [
+  "Do NOT call it a breccia unless you see multiple distinct clasts with clear clast–matrix boundaries or vein fills; conchoidal fracture ≠ clasts.",
+  "If the specimen is homogeneous, very fine/cryptocrystalline silica with conchoidal fracture and waxy–dull luster, prefer chert (flint if dark; jasper if red/Fe-rich).",
+  "Use cautious terms only when supported by visible cues (e.g., blue-green Cu carbonates → possible malachite/azurite).",
+];
+
+// Every template answers in the same JSON (lib/describeSchema.js); this line always leads the style block
+const OUTPUT_RULE = "Respond with a single JSON object matching the rock_description schema. No markdown, headings or bullets inside the strings.";
+
+const NAMING_STYLE = [
+  "rockName = single best-fit lithologic term; alternativeNames = other plausible terms, most likely first.",
+  "confidence = low | medium | high; mineralsMentioned = every mineral named in observations.",
+];
+
+export const DEFAULT_TEMPLATE = "field-notebook";
+
+export const BUILT_IN_TEMPLATES = {
+  "field-notebook": {
+    version: 1,
+    label: "Field notebook (short)",
+    system:
+      "You are an expert, no-fluff exploration geologist. " +
+      "Write as if for a professional field notebook and avoid speculation beyond visible evidence.",
+    intro: "You are a professional field geologist. Produce a tight observation + interpretation, then choose one rock name.",
+    terms: MASTER_TERMS,
+    style: [
+      "observations = one short paragraph, observational description ONLY (colour, luster, texture/fabric, grain-size class if inferable, visible/likely minerals, alteration such as Fe-oxides). " +
+        "Base primarily on the photo; use FORM only as context. Do NOT mention magnetism or HCl unless present in FORM.",
+      "interpretation = one short paragraph, concise scientific interpretation grounded in observations (process/setting, e.g., supergene oxidation, hydrothermal silica replacement, sedimentary chert, volcanic breccia, etc.). Avoid vague filler.",
+      ...NAMING_STYLE,
+    ],
+    rules: DECISION_RULES,
+  },
+  "formal-report": {
+    version: 1,
+    label: "Formal report (JORC / NI 43-101 style)",
+    system:
+      "You are a senior geologist writing sample descriptions for a public exploration report prepared in the style of JORC Code / NI 43-101 disclosure. " +
+      "Be factual, precise and conservative; state the basis of every observation.",
+    intro:
+      "Write a formal description of the sample for a technical report: what was observed, how it was observed, and a restrained interpretation, then choose one rock name.",
+    terms: MASTER_TERMS,
+    style: [
+      "observations = complete sentences in the third person and past tense (e.g. 'The sample comprised…'). Give colour, texture, grain size, mineralogy with visual estimates of abundance in %, alteration and veining, " +
+        "and say whether each point comes from the photos or from FORM.",
+      "interpretation = complete sentences; keep to what the observations support and name the uncertainty explicitly. " +
+        "Never state or imply grades, resources, economic significance or compliance with any reporting code.",
+      ...NAMING_STYLE,
+    ],
+    rules: [
+      ...DECISION_RULES,
+      "Report mineral abundances as visual estimates only; do not infer assay values from pXRF or colour.",
+    ],
+  },
+  "core-logging": {
+    version: 1,
+    label: "Core logging codes",
+    system: "You are a core logging geologist. Write terse, coded log entries that a database import can read.",
+    intro: "Log the sample as a coded entry, then choose one rock name.",
+    terms: MASTER_TERMS,
+    style: [
+      "observations = one line of 'KEY: value' pairs separated by '; ' in this order: LITH, COL, GS, TEX, MIN (mineral %, e.g. 'qz 60, ser 20'), ALT (type/intensity weak|mod|strong), VN (vein type/%), STR. " +
+        "Use standard abbreviations (qz, fsp, ser, chl, ep, cb, py, cpy, mt, hem, goe). Leave a key out when there is no evidence.",
+      "interpretation = at most two short sentences.",
+      ...NAMING_STYLE,
+    ],
+    rules: DECISION_RULES,
+  },
+};
+
+function promptError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const projectBlock = (config, project) => {
+  const name = String(project || "").trim().toLowerCase();
+  const entry = Object.entries(config.projects || {}).find(([k]) => k.trim().toLowerCase() === name);
+  return (name && entry?.[1]?.prompts) || {};
+};
+
+const list = (v) => (Array.isArray(v) ? v.map(String).filter((s) => s.trim()) : []);
+
+/**
+ * Every template available: the built-ins, then the config's (which may
+ * extend or replace a built-in). { [id]: template }. A config template that
+ * names a missing parent or lacks a version is a 500.
+ */
+export function listTemplates(config = {}) {
+  const custom = config.prompts?.templates || {};
+  const out = {};
+  // Own keys only, so ids like "constructor" are unknown templates rather than Object.prototype members
+  const resolve = (id, seen = []) => {
+    if (Object.hasOwn(out, id)) return out[id];
+    if (seen.includes(id)) throw promptError(`Prompt template "${id}" extends itself`, 500);
+    const own = Object.hasOwn(custom, id) ? custom[id] : null;
+    const base = own?.extends
+      ? resolve(own.extends, [...seen, id])
+      : Object.hasOwn(BUILT_IN_TEMPLATES, id) && { id, ...BUILT_IN_TEMPLATES[id] };
+    if (!own) {
+      if (!base) throw promptError(`Prompt template "${id}" is not defined`, 500);
+      return (out[id] = base);
+    }
+    if (!Number.isFinite(Number(own.version))) throw promptError(`Prompt template "${id}" needs a numeric version`, 500);
+    const { extends: _parent, ...rest } = own;
+    const template = { label: id, system: "", intro: "", terms: "", style: [], rules: [], ...base, ...rest, id, version: Number(own.version) };
+    template.style = list(template.style);
+    template.rules = list(template.rules);
+    return (out[id] = template);
+  };
+  for (const id of Object.keys(BUILT_IN_TEMPLATES)) resolve(id);
+  for (const id of Object.keys(custom)) resolve(id);
+  return out;
+}
+
+// For pickers: { default, templates: [{ id, label, version }] } for a project
+export function templateOptions(config = {}, project = "") {
+  const templates = listTemplates(config);
+  const fallback = projectBlock(config, project).default || config.prompts?.default || DEFAULT_TEMPLATE;
+  return {
+    default: Object.hasOwn(templates, fallback) ? fallback : DEFAULT_TEMPLATE,
+    templates: Object.values(templates).map(({ id, label, version }) => ({ id, label, version })),
+  };
+}
+
+// Short stable hash (FNV-1a) of the assembled template text, so a change to
+// the config's rules shows up even when no version was bumped
+function textHash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * The template for one request: `requested` (a template id from the request
+ * body) wins over the project's default, then the config default. Decision
+ * rules are the template's plus the config's and the project's.
+ * Resolves to { template, rules, promptVersion, promptHash }; an unknown
+ * requested id is a 400.
+ */
+export function resolvePrompt(config = {}, project = "", requested = "") {
+  const templates = listTemplates(config);
+  if (requested && !Object.hasOwn(templates, requested)) throw promptError(`Unknown prompt template "${requested}"`, 400);
+  const id = requested || templateOptions(config, project).default;
+  const template = templates[id];
+  const rules = [...template.rules, ...list(config.prompts?.rules), ...list(projectBlock(config, project).rules)];
+  const text = [template.system, template.intro, template.terms, ...template.style, ...rules].join("\n");
+  return { template, rules, promptVersion: `${id}@${template.version}`, promptHash: textHash(text) };
+}
+
+// The instruction part of the user message (everything before the sample context)
+export function instructions({ template, rules }) {
+  return (
+    template.intro + "\n\n" +
+    (template.terms ? template.terms + "\n\n" : "") +
+    "STYLE:\n" + [OUTPUT_RULE, ...template.style].map((l) => `- ${l}`).join("\n") + "\n\n" +
+    (rules.length ? "DECISION RULES (very important):\n" + rules.map((r) => `- ${r}`).join("\n") + "\n\n" : "")
+  );
+}
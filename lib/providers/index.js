@@ -0,0 +1,48 @@
+// lib/providers/index.js (ESM) — AI provider selection
+// AI_PROVIDER=openai (default) | local | mock | rules
+//   openai: OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL (any OpenAI-compatible endpoint)
+//   local:  LOCAL_AI_URL, LOCAL_AI_MODEL, LOCAL_AI_API=ollama (default) | openai (llama.cpp server)
+//   mock:   canned descriptions, no network; MOCK_AI_MALFORMED=n breaks the first n answers of each request
+//   rules:  form-only rule classifier (lib/classifier.js), no model
+//
+// Every provider exposes { name, model, complete(request, { signal }), stream(request, { signal }) }
+// where request is { system, user, images: [{ url, detail, label }], temperature, schema, form, prompt }
+// (prompt: { template, version, hash } — provenance only, see lib/promptTemplates.js).
+// complete() resolves to { text, model }; stream() is an async iterator of text deltas.
+// Failures throw an Error carrying an HTTP `status`.
+
+import { createOpenAIProvider } from "./openai.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createMockProvider } from "./mock.js";
+import { createRulesProvider } from "./rules.js";
+
+export function getProvider(env = process.env) {
+  const kind = (env.AI_PROVIDER || "openai").trim().toLowerCase();
+
+  if (kind === "mock") return createMockProvider({ malformed: Number(env.MOCK_AI_MALFORMED) || 0 });
+  if (kind === "rules") return createRulesProvider();
+
+  if (kind === "local") {
+    const model = env.LOCAL_AI_MODEL?.trim() || "llava";
+    if ((env.LOCAL_AI_API || "ollama").trim().toLowerCase() === "openai") {
+      return createOpenAIProvider({
+        baseUrl: env.LOCAL_AI_URL?.trim() || "http://localhost:8080/v1",
+        apiKey: env.LOCAL_AI_API_KEY,
+        model,
+        label: "Local",
+        requireKey: false,
+      });
+    }
+    return createOllamaProvider({ baseUrl: env.LOCAL_AI_URL?.trim() || "http://localhost:11434", model });
+  }
+
+  if (kind !== "openai") {
+    throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}" (expected openai, local, mock or rules)`);
+  }
+  return createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    baseUrl: env.OPENAI_BASE_URL?.trim() || undefined,
+    // Allow model override via env; default to widely-available vision model
+    model: env.OPENAI_MODEL?.trim() || "gpt-4o-mini",
+  });
+}
@@ -0,0 +1,17 @@
+// lib/providers/lines.js (ESM) — line reader for streamed HTTP bodies
+// (OpenAI-style SSE "data:" lines, Ollama NDJSON)
+
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      yield buf.slice(0, nl).replace(/\r$/, "");
+      buf = buf.slice(nl + 1);
+    }
+  }
+  buf += decoder.decode();
+  if (buf) yield buf;
+}
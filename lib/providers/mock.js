@@ -0,0 +1,92 @@
+// lib/providers/mock.js (ESM) — deterministic offline provider
+// Returns a canned description chosen from the FORM fields so the describe
+// routes can run with no network or key (demos, remote camps, tests).
+
+const CANNED = {
+  silica: {
+    observations:
+      "Grey to off-white, very fine-grained cryptocrystalline rock with a waxy to dull lustre and conchoidal fracture. " +
+      "Homogeneous and massive; no clasts or grain boundaries are visible. Thin ochre goethite films coat fracture surfaces.",
+    interpretation:
+      "The homogeneous microcrystalline silica and conchoidal fracture indicate chemically precipitated or replacive silica. " +
+      "Fe-oxide films reflect later supergene oxidation along fractures.",
+    rockName: "chert",
+    alternativeNames: ["jasperoid", "silicified siltstone"],
+    confidence: "medium",
+    mineralsMentioned: ["quartz", "goethite"],
+  },
+  carbonate: {
+    observations:
+      "Light grey, fine- to medium-grained crystalline rock with a vitreous to dull lustre. " +
+      "Equigranular interlocking calcite grains; reacts strongly with dilute HCl.",
+    interpretation:
+      "Recrystallised carbonate consistent with a limestone protolith that has undergone low-grade metamorphism or diagenetic recrystallisation.",
+    rockName: "marble",
+    alternativeNames: ["crystalline limestone"],
+    confidence: "medium",
+    mineralsMentioned: ["calcite"],
+  },
+  igneous: {
+    observations:
+      "Pale pink-grey, medium- to coarse-grained phaneritic rock with a vitreous lustre. " +
+      "Equigranular quartz, pink feldspar and minor black mica with no preferred orientation.",
+    interpretation:
+      "The interlocking phaneritic texture and felsic mineralogy indicate slow crystallisation of a felsic magma at depth.",
+    rockName: "granite",
+    alternativeNames: ["monzogranite", "granodiorite"],
+    confidence: "medium",
+    mineralsMentioned: ["quartz", "feldspar", "mica"],
+  },
+  clastic: {
+    observations:
+      "Buff to light brown, fine- to medium-grained clastic rock with a dull lustre. " +
+      "Well-sorted subrounded quartz grains in a grain-supported framework; faint planar lamination.",
+    interpretation:
+      "A mature, well-sorted quartz-rich sandstone deposited by tractional currents in a sedimentary setting.",
+    rockName: "quartz arenite",
+    alternativeNames: ["sandstone", "subarkose"],
+    confidence: "medium",
+    mineralsMentioned: ["quartz"],
+  },
+};
+
+function pick(form = {}) {
+  if (form.hcl === "Strong fizz" || (form.minerals || []).includes("Calcite")) return CANNED.carbonate;
+  if (form.textureType === "clastic" || form.category === "Sedimentary") return CANNED.clastic;
+  if (form.category === "Igneous") return CANNED.igneous;
+  return CANNED.silica;
+}
+
+function render(d, schema) {
+  return schema ? JSON.stringify(d) : `${d.observations}\n\n${d.interpretation}\n\nSuggested rock name: ${d.rockName}`;
+}
+
+// `malformed`: answer the first n calls with truncated JSON (exercises the retry path)
+export function createMockProvider({ malformed = 0 } = {}) {
+  let broken = malformed;
+  const answer = (request) => {
+    const text = render(pick(request.form), request.schema);
+    if (broken > 0) {
+      broken--;
+      return text.slice(0, Math.floor(text.length / 2));
+    }
+    return text;
+  };
+  return {
+    name: "mock",
+    model: "mock-geologist-1",
+    async complete(request) {
+      return { text: answer(request), model: "mock-geologist-1" };
+    },
+
+    // Same text as complete(), in small chunks
+    async *stream(request, { signal } = {}) {
+      const text = answer(request);
+      for (let i = 0; i < text.length; i += 12) {
+        if (signal?.aborted) return;
+        await new Promise((r) => setTimeout(r, 5));
+        yield text.slice(i, i + 12);
+      }
+    },
+  };
+}
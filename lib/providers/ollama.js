@@ -0,0 +1,59 @@
+// lib/providers/ollama.js (ESM) — locally hosted model via Ollama's /api/chat
+// Images go in the message's `images` array as bare base64; `format` takes the
+// JSON schema directly.
+
+import { readLines } from "./lines.js";
+
+export function createOllamaProvider({ baseUrl = "http://localhost:11434", model }) {
+  function send({ system, user, images = [], temperature, schema }, { stream = false, signal } = {}) {
+    return fetch(`${baseUrl.replace(/\/+$/, "")}/api/chat`, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        stream,
+        ...(schema ? { format: schema.schema } : {}),
+        options: { temperature },
+        messages: [
+          ...(system ? [{ role: "system", content: system }] : []),
+          {
+            role: "user",
+            content: user,
+            ...(images.length ? { images: images.map((img) => img.url.replace(/^data:[^,]*,/, "")) } : {}),
+          },
+        ],
+      }),
+    });
+  }
+
+  async function upstreamError(r) {
+    const err = new Error(`Ollama ${r.status}: ${await r.text()}`);
+    err.status = r.status;
+    return err;
+  }
+
+  return {
+    name: "ollama",
+    model,
+    async complete(request, { signal } = {}) {
+      const r = await send(request, { signal });
+      if (!r.ok) throw await upstreamError(r);
+      const data = await r.json();
+      return { text: data?.message?.content?.trim() || "", model: data?.model || model };
+    },
+
+    // Ollama streams NDJSON: one {message:{content}} object per line
+    async *stream(request, { signal } = {}) {
+      const r = await send(request, { stream: true, signal });
+      if (!r.ok) throw await upstreamError(r);
+      for await (const line of readLines(r.body)) {
+        if (!line.trim()) continue;
+        const msg = JSON.parse(line);
+        if (msg.error) throw new Error(`Ollama: ${msg.error}`);
+        if (msg.message?.content) yield msg.message.content;
+        if (msg.done) return;
+      }
+    },
+  };
+}
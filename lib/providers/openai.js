@@ -0,0 +1,76 @@
+// lib/providers/openai.js (ESM) — OpenAI chat completions, or any server that
+// speaks the same API (llama.cpp server, vLLM, LM Studio) via baseUrl.
+
+import { readLines } from "./lines.js";
+
+export function createOpenAIProvider({
+  apiKey,
+  baseUrl = "https://api.openai.com/v1",
+  model,
+  label = "OpenAI",
+  requireKey = true,
+}) {
+  function send({ system, user, images = [], temperature, schema }, { stream = false, signal } = {}) {
+    if (requireKey && !apiKey) {
+      const err = new Error("Missing OPENAI_API_KEY");
+      err.status = 500;
+      err.unavailable = true; // lets /api/describe fall back to the rule classifier
+      throw err;
+    }
+
+    const content = [{ type: "text", text: user }];
+    for (const img of images) {
+      if (img.label) content.push({ type: "text", text: img.label });
+      content.push({ type: "image_url", image_url: { url: img.url, detail: img.detail || "high" } });
+    }
+
+    return fetch(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      signal,
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        stream,
+        ...(schema ? { response_format: { type: "json_schema", json_schema: schema } } : {}),
+        messages: [
+          ...(system ? [{ role: "system", content: system }] : []),
+          { role: "user", content: images.length ? content : user },
+        ],
+      }),
+    });
+  }
+
+  async function upstreamError(r) {
+    const err = new Error(`${label} ${r.status}: ${await r.text()}`);
+    err.status = r.status;
+    return err;
+  }
+
+  return {
+    name: label.toLowerCase(),
+    model,
+    async complete(request, { signal } = {}) {
+      const r = await send(request, { signal });
+      if (!r.ok) throw await upstreamError(r);
+      const data = await r.json();
+      return { text: data?.choices?.[0]?.message?.content?.trim() || "", model: data?.model || model };
+    },
+
+    // Yields content deltas as they arrive
+    async *stream(request, { signal } = {}) {
+      const r = await send(request, { stream: true, signal });
+      if (!r.ok) throw await upstreamError(r);
+      for await (const line of readLines(r.body)) {
+        if (!line.startsWith("data:")) continue;
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") return;
+        const delta = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+}
@@ -0,0 +1,24 @@
+// lib/providers/rules.js (ESM) — form-only rule classifier as a provider
+// No model and no network: names the rock from the FORM fields (see
+// lib/classifier.js). Used for AI_PROVIDER=rules and as the fallback when the
+// configured provider has no key or can't be reached.
+
+import { ruleDescription } from "../classifier.js";
+import { renderNarrative } from "../describeSchema.js";
+
+export function createRulesProvider() {
+  const model = "rules-v1";
+  const render = (form, schema) => (schema ? JSON.stringify(ruleDescription(form)) : renderNarrative(ruleDescription(form)));
+  return {
+    name: "rules",
+    model,
+    async complete({ schema, form }) {
+      return { text: render(form, schema), model };
+    },
+
+    // Nothing to wait for, so the whole result arrives as one delta
+    async *stream({ schema, form }, { signal } = {}) {
+      if (!signal?.aborted) yield render(form, schema);
+    },
+  };
+}
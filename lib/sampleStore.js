@@ -0,0 +1,247 @@
+// lib/sampleStore.js (ESM) — embedded JSON-file sample store
+// Records live in <dir>/samples.json; photos are decoded from the client's
+// base64 data URLs and written as separate files under <dir>/photos.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const MIME_EXT = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif" };
+// Photo metadata taken from the client; file/mime/bytes are only ever set here
+const PHOTO_META = ["role", "sendToAI", "exif"];
+
+// Record fields the client saves besides form/photos/generated
+const RECORD_FIELDS = ["pxrf", "structured", "approved", "measurements", "hole", "aiRuns"];
+
+function pick(obj, fields) {
+  const out = {};
+  for (const k of fields) if (obj[k] !== undefined) out[k] = obj[k];
+  return out;
+}
+
+const photoMeta = (photo) => pick(photo, PHOTO_META);
+
+// Photos of `from` whose blob `to` no longer uses
+function unusedBlobs(from, to) {
+  const kept = new Set(to.map((p) => p.file));
+  return from.filter((p) => !kept.has(p.file));
+}
+
+function parseDataUrl(src) {
+  const m = /^data:([\w/+.-]+);base64,(.*)$/s.exec(String(src || ""));
+  if (!m) return null;
+  return { mime: m[1], buffer: Buffer.from(m[2], "base64") };
+}
+
+// Summary row used by the list endpoint (no photo payloads)
+function summarize(rec) {
+  return {
+    id: rec.id,
+    project: rec.form?.project || "",
+    date: rec.form?.date || "",
+    category: rec.form?.category || "",
+    hasPhotos: rec.photos.length > 0,
+    createdAt: rec.createdAt,
+    updatedAt: rec.updatedAt,
+  };
+}
+
+export function createSampleStore({ dir }) {
+  const file = path.join(dir, "samples.json");
+  const photoDir = path.join(dir, "photos");
+  let cache = null; // { [id]: record }, no prototype so IDs like "constructor" are just IDs
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (cache) return cache;
+    await fs.mkdir(photoDir, { recursive: true });
+    cache = Object.create(null);
+    try {
+      Object.assign(cache, JSON.parse(await fs.readFile(file, "utf8")));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return cache;
+  }
+
+  // Serialise writes and replace the file atomically so a crash never leaves half a JSON file.
+  // A failed write rejects for its caller only; the next one still runs.
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(cache, null, 2));
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  // Path of a stored blob, or null when `name` would point outside the photo directory
+  function blobPath(name) {
+    const root = path.resolve(photoDir);
+    const full = path.resolve(root, String(name || ""));
+    return path.dirname(full) === root ? full : null;
+  }
+
+  // Accepts the client's photo shapes: bare data URLs, {id, src} objects, or
+  // {id} references to blobs already stored for this sample. Blobs written
+  // before a bad photo is found are removed again.
+  async function writePhotos(incoming = [], previous = []) {
+    const prevById = new Map(previous.map((p) => [p.id, p]));
+    const out = [];
+    const written = [];
+    try {
+      for (const p of incoming) {
+        const photo = typeof p === "string" ? { src: p } : p || {};
+        const meta = photoMeta(photo);
+        const parsed = parseDataUrl(photo.src);
+        if (parsed) {
+          const blobId = crypto.randomBytes(12).toString("hex");
+          const fileName = `${blobId}.${MIME_EXT[parsed.mime] || "bin"}`;
+          await fs.writeFile(path.join(photoDir, fileName), parsed.buffer);
+          const stored = { ...meta, id: photo.id || blobId, file: fileName, mime: parsed.mime, bytes: parsed.buffer.length };
+          written.push(stored);
+          out.push(stored);
+        } else if (prevById.has(photo.id)) {
+          out.push({ ...prevById.get(photo.id), ...meta });
+        } else {
+          const err = new Error(`Photo ${photo.id ?? out.length} has no image data`);
+          err.status = 400;
+          throw err;
+        }
+      }
+    } catch (err) {
+      await removeBlobs(written);
+      throw err;
+    }
+    return out;
+  }
+
+  async function removeBlobs(photos) {
+    await Promise.all(
+      photos.map((p) => blobPath(p.file)).filter(Boolean).map((full) => fs.rm(full, { force: true }))
+    );
+  }
+
+  return {
+    async list({ project, from, to, page = 1, pageSize = 50 } = {}) {
+      const db = await load();
+      let rows = Object.values(db).map(summarize);
+      if (project) rows = rows.filter((r) => r.project === project);
+      if (from) rows = rows.filter((r) => r.date.slice(0, from.length) >= from);
+      if (to) rows = rows.filter((r) => r.date && r.date.slice(0, to.length) <= to);
+      rows.sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+      const size = Math.min(Math.max(1, Number(pageSize) || 50), 500);
+      const p = Math.max(1, Number(page) || 1);
+      return { items: rows.slice((p - 1) * size, p * size), total: rows.length, page: p, pageSize: size };
+    },
+
+    // Sample IDs (optionally by prefix), for client-side ID sequencing
+    async ids({ prefix = "" } = {}) {
+      const db = await load();
+      return Object.keys(db)
+        .filter((id) => id.startsWith(prefix))
+        .sort();
+    },
+
+    async get(id) {
+      const db = await load();
+      return db[id] || null; // no prototype, so only stored samples match
+    },
+
+    async create(payload) {
+      const db = await load();
+      const id = String(payload?.form?.sampleId || "").trim();
+      if (!id) {
+        const err = new Error("form.sampleId is required");
+        err.status = 400;
+        throw err;
+      }
+      if (db[id]) {
+        const err = new Error(`Sample ${id} already exists`);
+        err.status = 409;
+        throw err;
+      }
+      const now = new Date().toISOString();
+      const photos = await writePhotos(payload.photos);
+      db[id] = {
+        ...pick(payload, RECORD_FIELDS),
+        id,
+        form: { ...payload.form, sampleId: id },
+        photos,
+        generated: payload.generated || "",
+        createdAt: now,
+        updatedAt: now,
+      };
+      try {
+        await persist();
+      } catch (err) {
+        delete db[id];
+        await removeBlobs(photos);
+        throw err;
+      }
+      return db[id];
+    },
+
+    async update(id, payload) {
+      const db = await load();
+      const prev = db[id];
+      if (!prev) return null;
+      const photos = payload.photos ? await writePhotos(payload.photos, prev.photos) : prev.photos;
+      db[id] = {
+        ...prev,
+        ...pick(payload, RECORD_FIELDS),
+        form: { ...prev.form, ...(payload.form || {}), sampleId: id },
+        photos,
+        generated: payload.generated ?? prev.generated,
+        updatedAt: new Date().toISOString(),
+      };
+      // Blobs are only dropped once the file no longer references them
+      try {
+        await persist();
+      } catch (err) {
+        db[id] = prev;
+        await removeBlobs(unusedBlobs(photos, prev.photos));
+        throw err;
+      }
+      await removeBlobs(unusedBlobs(prev.photos, photos));
+      return db[id];
+    },
+
+    async remove(id) {
+      const db = await load();
+      const prev = db[id];
+      if (!prev) return false;
+      delete db[id];
+      try {
+        await persist();
+      } catch (err) {
+        db[id] = prev;
+        throw err;
+      }
+      await removeBlobs(prev.photos);
+      return true;
+    },
+
+    // Moves every sample of project `from` to `to`; returns the number moved
+    async renameProject(from, to) {
+      const db = await load();
+      const now = new Date().toISOString();
+      let moved = 0;
+      for (const rec of Object.values(db)) {
+        if (rec.form?.project !== from) continue;
+        rec.form = { ...rec.form, project: to };
+        rec.updatedAt = now;
+        moved++;
+      }
+      if (moved) await persist();
+      return moved;
+    },
+
+    async photoPath(id, photoId) {
+      const rec = (await load())[id];
+      const photo = rec?.photos.find((p) => p.id === photoId);
+      const full = photo && blobPath(photo.file);
+      return full ? { path: full, mime: photo.mime } : null;
+    },
+  };
+}
@@ -0,0 +1,127 @@
+// lib/structures.js (ESM) — structural measurements, shared by the client
+// (entry, conversion, stereonet) and the server (prompt context).
+// Planes are stored as entered, either strike/dip (right-hand rule: dip is to
+// the right when looking along strike) or dip/dip direction; lineations as
+// plunge/trend. normalizeMeasurement() gives the canonical form of either.
+
+export const STRUCTURE_TYPES = ["bedding", "foliation", "vein", "fault", "joint", "lineation"];
+export const PLANE_CONVENTIONS = { rhr: "Strike/dip (RHR)", dipdir: "Dip/dip direction" };
+export const POLARITIES = ["upright", "overturned", "unknown"];
+export const MEASUREMENT_CONFIDENCE = ["measured", "approximate", "inferred"];
+
+export const isLinear = (type) => type === "lineation";
+const azimuth = (v) => ((v % 360) + 360) % 360;
+const num = (v) => (v === "" || v == null ? NaN : Number(v));
+
+export function newMeasurement(type = "bedding") {
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    type,
+    convention: isLinear(type) ? "trendplunge" : "rhr",
+    strike: "",
+    dip: "",
+    dipDir: "",
+    trend: "",
+    plunge: "",
+    polarity: "",
+    confidence: "measured",
+    notes: "",
+  };
+}
+
+// Returns a list of messages (empty when valid)
+export function validateMeasurement(m) {
+  const errors = [];
+  const inAz = (v) => Number.isFinite(v) && v >= 0 && v <= 360;
+  const inDip = (v) => Number.isFinite(v) && v >= 0 && v <= 90;
+  if (!STRUCTURE_TYPES.includes(m.type)) errors.push("Unknown feature type");
+  if (isLinear(m.type)) {
+    if (!inAz(num(m.trend))) errors.push("Trend must be 0–360°");
+    if (!inDip(num(m.plunge))) errors.push("Plunge must be 0–90°");
+  } else {
+    if (m.convention === "rhr" && !inAz(num(m.strike))) errors.push("Strike must be 0–360°");
+    if (m.convention === "dipdir" && !inAz(num(m.dipDir))) errors.push("Dip direction must be 0–360°");
+    if (!inDip(num(m.dip))) errors.push("Dip must be 0–90°");
+  }
+  return errors;
+}
+
+export const strikeToDipDir = (strike) => azimuth(strike + 90);
+export const dipDirToStrike = (dipDir) => azimuth(dipDir - 90);
+
+/**
+ * Canonical form, or null when invalid:
+ *   planes    { type, kind: "plane", strike, dip, dipDir, polarity, confidence, notes }
+ *   lineation { type, kind: "line", trend, plunge, polarity, confidence, notes }
+ */
+export function normalizeMeasurement(m) {
+  if (!m || validateMeasurement(m).length) return null;
+  const extra = {
+    polarity: POLARITIES.includes(m.polarity) ? m.polarity : null,
+    confidence: MEASUREMENT_CONFIDENCE.includes(m.confidence) ? m.confidence : null,
+    notes: String(m.notes || "").slice(0, 200),
+  };
+  if (isLinear(m.type)) return { type: m.type, kind: "line", trend: azimuth(num(m.trend)), plunge: num(m.plunge), ...extra };
+  const dipDir = m.convention === "rhr" ? strikeToDipDir(num(m.strike)) : azimuth(num(m.dipDir));
+  return { type: m.type, kind: "plane", strike: dipDirToStrike(dipDir), dip: num(m.dip), dipDir, ...extra };
+}
+
+// Switch a plane between conventions, converting the entered values
+export function convertMeasurement(m, convention) {
+  if (isLinear(m.type) || m.convention === convention) return m;
+  const n = normalizeMeasurement(m);
+  if (!n) return { ...m, convention };
+  return convention === "rhr"
+    ? { ...m, convention, strike: String(n.strike), dipDir: "" }
+    : { ...m, convention, dipDir: String(n.dipDir), strike: "" };
+}
+
+const pad3 = (v) => String(Math.round(v) % 360).padStart(3, "0");
+const pad2 = (v) => String(Math.round(v)).padStart(2, "0");
+
+// "bedding 030/45 RHR (upright)", "lineation 25→120"
+export function formatMeasurement(m) {
+  const n = normalizeMeasurement(m);
+  if (!n) return `${m?.type || "measurement"} (invalid)`;
+  const value =
+    n.kind === "line"
+      ? `${pad2(n.plunge)}→${pad3(n.trend)}`
+      : m.convention === "dipdir"
+        ? `${pad2(n.dip)}/${pad3(n.dipDir)}`
+        : `${pad3(n.strike)}/${pad2(n.dip)} RHR`;
+  const flags = [n.polarity && n.polarity !== "unknown" ? n.polarity : "", n.confidence !== "measured" ? n.confidence : ""]
+    .filter(Boolean)
+    .join(", ");
+  return `${n.type} ${value}${flags ? ` (${flags})` : ""}${n.notes ? ` — ${n.notes}` : ""}`;
+}
+
+/* =========================
+   Stereonet (lower hemisphere, equal area)
+   ========================= */
+
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+// Line (trend/plunge) to x/y in the unit circle, north up (+y) and east right (+x)
+export function projectLine(trend, plunge) {
+  const r = Math.SQRT2 * Math.sin(toRad(90 - plunge) / 2);
+  return { x: r * Math.sin(toRad(trend)), y: r * Math.cos(toRad(trend)) };
+}
+
+export const poleOf = ({ dip, dipDir }) => ({ trend: azimuth(dipDir + 180), plunge: 90 - dip });
+
+// Points along a plane's great circle, strike to strike through the dip direction
+export function greatCircle({ dip, dipDir }, steps = 60) {
+  const s = toRad(dipDirToStrike(dipDir));
+  const d = toRad(dipDir);
+  const dipR = toRad(dip);
+  const strikeV = [Math.sin(s), Math.cos(s), 0]; // east, north, down
+  const dipV = [Math.sin(d) * Math.cos(dipR), Math.cos(d) * Math.cos(dipR), Math.sin(dipR)];
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = (Math.PI * i) / steps;
+    const [e, n, down] = strikeV.map((v, k) => Math.cos(t) * v + Math.sin(t) * dipV[k]);
+    points.push(projectLine(azimuth(toDeg(Math.atan2(e, n))), toDeg(Math.asin(Math.min(1, Math.max(0, down))))));
+  }
+  return points;
+}
@@ -0,0 +1,67 @@
+// public/sw.js — GeoDescribe service worker
+// Caches the app shell so the logger opens with no signal. Vite fingerprints
+// the JS/CSS bundles, so on install we read index.html to find and precache
+// them; anything else same-origin is cached the first time it is fetched.
+// API calls are never cached (describe requests are queued by the app instead).
+// The build stamps __BUILD_ID__ (vite.config.js), so a deploy with new assets
+// gets a new cache and activate drops the previous one.
+
+const CACHE = "geodescribe-shell-__BUILD_ID__";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(SHELL);
+      const html = await (await cache.match("/index.html")).text();
+      const assets = Array.from(html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g), (m) => m[1]);
+      await cache.addAll(assets);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  // Pages: network first so deploys show up, cached shell when offline
+  if (req.mode === "navigate") {
+    event.respondWith(
+      fetch(req)
+        .then((res) => {
+          const copy = res.clone();
+          caches.open(CACHE).then((c) => c.put("/index.html", copy));
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  // Static files: cache first (fingerprinted assets never change)
+  event.respondWith(
+    caches.match(req).then(
+      (hit) =>
+        hit ||
+        fetch(req).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((c) => c.put(req, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
@@ -1,9 +1,13 @@
 // server.js (ESM) — GeoDescribe on Replit/Render
-// Serves Vite build from /dist and exposes /api/describe (OpenAI vision)
+// Serves Vite build from /dist and exposes /api/describe (AI vision, see lib/providers),
+// /api/samples (server-side sample store) and /api/config (project form schema)
 
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createSampleStore } from "./lib/sampleStore.js";
+import { describeSample, describeCandidates, previewDescribe, sendDescribeStream } from "./lib/describe.js";
+import { loadProjectConfig } from "./lib/projectConfig.js";
 
 // Node >=18 provides global fetch
 
@@ -20,113 +24,156 @@ app.use(express.json({ limit: "8mb" }));
    =========================== */
 app.post("/api/describe", async (req, res) => {
   try {
-    const { form = {}, photoUrl = null, pxrfSummary = null } = req.body || {};
-
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
-    }
-
-    // ---- Build rich, geology-focused prompt ----
-    // Compact context to save tokens
-    const formBrief = JSON.stringify(form || {}, null, 0);
-    const pxrfBrief = pxrfSummary ? JSON.stringify(pxrfSummary || {}, null, 0) : null;
-
-    // Master vocabulary (guidance, not a hard list)
-    const MASTER_TERMS =
-      "Use standard geological terminology when relevant: " +
-      "colour/hue (reddish-brown, ochre, grey), luster (waxy, vitreous, metallic), " +
-      "textures (aphanitic, phaneritic, porphyritic, cryptocrystalline, conchoidal, clastic, brecciated, foliated, massive), " +
-      "grain size classes (mud, silt, sand, granule, pebble, cobble, boulder) and qualitative terms (fine/medium/coarse), " +
-      "structures (bedding, lamination, foliation, veining, boxwork, vugs), " +
-      "minerals (quartz, feldspar, mica, calcite, dolomite, hematite, goethite, limonite, sulfides), " +
-      "process terms (magmatic, volcanic, plutonic, sedimentary, diagenetic, metamorphic, hydrothermal, supergene), " +
-      "alteration (silicification, sericitization, chloritization, hematization, epidotization, argillic/advanced argillic, propylitic)." ;
-
-    // Strict style so outputs read like a field note
-    const STYLE_RULES =
-      "STYLE:\n" +
-      "- Write two short paragraphs. No headings, bullets, or JSON.\n" +
-      "- Paragraph 1 = observational description ONLY (colour, luster, texture/fabric, grain-size class if inferable, visible/likely minerals, alteration such as Fe-oxides). " +
-      "Base primarily on the photo; use FORM only as context. Do NOT mention magnetism or HCl unless present in FORM.\n" +
-      "- Paragraph 2 = concise scientific interpretation grounded in observations (process/setting, e.g., supergene oxidation, hydrothermal silica replacement, sedimentary chert, volcanic breccia, etc.). Avoid vague filler.\n" +
-      "- END with EXACTLY one line:  Suggested rock name: <single best-fit lithologic term>";
-
-    // Decision rules to avoid common mislabels (e.g., breccia vs. conchoidal silica)
-    const DECISION_RULES =
-      "DECISION RULES (very important):\n" +
-      "- Do NOT call it a breccia unless you see multiple distinct clasts with clear clast–matrix boundaries or vein fills; conchoidal fracture ≠ clasts.\n" +
-      "- If the specimen is homogeneous, very fine/cryptocrystalline silica with conchoidal fracture and waxy–dull luster, prefer chert (flint if dark; jasper if red/Fe-rich).\n" +
-      "- Use cautious terms only when supported by visible cues (e.g., blue-green Cu carbonates → possible malachite/azurite).";
-
-    // Build user content with optional image block
-    const userContent = [
-      {
-        type: "text",
-        text:
-          "You are a professional field geologist. Produce a tight observation + interpretation, then choose one rock name.\n\n" +
-          MASTER_TERMS + "\n\n" +
-          STYLE_RULES + "\n\n" +
-          DECISION_RULES + "\n\n" +
-          `FORM (context): ${formBrief}\n` +
-          (pxrfBrief ? `PXRF (optional): ${pxrfBrief}\n` : "")
-      }
-    ];
-    if (photoUrl) {
-      userContent.push({
-        type: "image_url",
-        image_url: { url: photoUrl, detail: "high" } // client should downscale to ~1024 px
-      });
-    }
-
-    // Allow model override via env; default to widely-available vision model
-    const MODEL = process.env.OPENAI_MODEL?.trim() || "gpt-4o-mini";
-    const TEMPERATURE = process.env.OPENAI_TEMPERATURE
-      ? Number(process.env.OPENAI_TEMPERATURE)
-      : 0.15;
-
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: MODEL,          // e.g., "gpt-4o-mini" or "gpt-5" when available on your key
-        temperature: TEMPERATURE,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are an expert, no-fluff exploration geologist. " +
-              "Write as if for a professional field notebook and avoid speculation beyond visible evidence.",
-          },
-          { role: "user", content: userContent },
-        ],
-      }),
-    });
-
-    const text = await r.text();
-    if (!r.ok) {
-      // Return upstream error to the client for quick debugging
-      return res.status(r.status).json({ error: `OpenAI ${r.status}: ${text}` });
-    }
-
-    const data = JSON.parse(text);
-    let description = data?.choices?.[0]?.message?.content?.trim() || "";
-
-    // Normalize if the model sneaks in markdown headers/bullets
-    description = description
-      .replace(/^\s*#+\s*/gm, "")
-      .replace(/^\s*[-*]\s+/gm, "");
-
-    return res.json({ description, model: MODEL });
+    return res.json(await describeSample(req.body || {}));
   } catch (err) {
+    // Upstream/validation errors carry a status; return them for quick debugging
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("API /describe error:", err);
     return res.status(500).json({ error: String(err?.message || err) });
   }
 });
 
+// Streaming variant (Server-Sent Events); POST because the body carries photos
+app.post("/api/describe/stream", (req, res) => sendDescribeStream(req, res, req.body || {}));
+
+// Several alternative descriptions for review ({ ...body, candidates: n })
+app.post("/api/describe/candidates", async (req, res) => {
+  try {
+    return res.json(await describeCandidates(req.body || {}));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("API /describe/candidates error:", err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+});
+
+// Assembled prompt for a sample, without calling the model
+app.post("/api/describe/preview", (req, res) => {
+  try {
+    return res.json(previewDescribe(req.body || {}));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("API /describe/preview error:", err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+});
+
+/* ===========================
+   /api/config  (project form schema extensions, see lib/projectConfig.js)
+   =========================== */
+app.get("/api/config", (req, res) => {
+  try {
+    return res.json(loadProjectConfig());
+  } catch (err) {
+    console.error("API /config error:", err);
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/* ===========================
+   /api/samples  (sample store)
+   =========================== */
+const store = createSampleStore({
+  dir: process.env.GEODESCRIBE_DATA_DIR || path.join(__dirname, "data"),
+});
+
+// Photos are served from their own URL rather than inlined as base64
+function withPhotoUrls(rec) {
+  return {
+    ...rec,
+    photos: rec.photos.map((photo) => {
+      const p = { ...photo, url: `/api/samples/${encodeURIComponent(rec.id)}/photos/${photo.id}` };
+      delete p.file;
+      return p;
+    }),
+  };
+}
+
+function sendStoreError(res, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error("API /samples error:", err);
+  return res.status(500).json({ error: String(err?.message || err) });
+}
+
+// GET /api/samples?project=&from=&to=&page=&pageSize=
+app.get("/api/samples", async (req, res) => {
+  try {
+    const { project, from, to, page, pageSize } = req.query;
+    res.json(await store.list({ project, from, to, page, pageSize }));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+// GET /api/sample-ids?prefix=  (ID sequencing / collision checks); outside
+// /api/samples/ so it can't shadow a sample whose ID is "ids"
+app.get("/api/sample-ids", async (req, res) => {
+  try {
+    res.json({ ids: await store.ids({ prefix: String(req.query.prefix || "") }) });
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+// POST /api/projects/rename  { from, to } — carries a project's samples to its new code
+app.post("/api/projects/rename", async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    if (!from || !to) return res.status(400).json({ error: "from and to are required" });
+    res.json({ moved: await store.renameProject(String(from), String(to)) });
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.post("/api/samples", async (req, res) => {
+  try {
+    const rec = await store.create(req.body || {});
+    res.status(201).location(`/api/samples/${encodeURIComponent(rec.id)}`).json(withPhotoUrls(rec));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.get("/api/samples/:id", async (req, res) => {
+  try {
+    const rec = await store.get(req.params.id);
+    if (!rec) return res.status(404).json({ error: "Sample not found" });
+    res.json(withPhotoUrls(rec));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.put("/api/samples/:id", async (req, res) => {
+  try {
+    const rec = await store.update(req.params.id, req.body || {});
+    if (!rec) return res.status(404).json({ error: "Sample not found" });
+    res.json(withPhotoUrls(rec));
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.delete("/api/samples/:id", async (req, res) => {
+  try {
+    if (!(await store.remove(req.params.id))) return res.status(404).json({ error: "Sample not found" });
+    res.status(204).end();
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
+app.get("/api/samples/:id/photos/:photoId", async (req, res) => {
+  try {
+    const photo = await store.photoPath(req.params.id, req.params.photoId);
+    if (!photo) return res.status(404).json({ error: "Photo not found" });
+    res.type(photo.mime).sendFile(photo.path);
+  } catch (err) {
+    sendStoreError(res, err);
+  }
+});
+
 /* ===========================
    Static hosting for Vite build
    =========================== */
@@ -139,7 +186,12 @@ app.get("*", (_req, res) => {
   res.sendFile(path.join(DIST, "index.html"));
 });
 
-const PORT = process.env.PORT || 3000; // Replit/Render set PORT
-app.listen(PORT, () => {
-  console.log(`GeoDescribe running on http://localhost:${PORT}`);
-});
+// Listen only when run directly (`node server.js`); tests import the app
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const PORT = process.env.PORT || 3000; // Replit/Render set PORT
+  app.listen(PORT, () => {
+    console.log(`GeoDescribe running on http://localhost:${PORT}`);
+  });
+}
+
+export default app;
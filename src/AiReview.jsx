@@ -0,0 +1,77 @@
+// src/AiReview.jsx
+// Review of the AI description: alternative candidates side by side, the
+// chosen one editable in place, and accept. App keeps the raw model output
+// (aiText/aiResult) and the approval (src/review.js) apart; `draft` is the
+// working copy being edited.
+import { aiProvenance } from "./revisions.js";
+
+export default function AiReview({ candidates, chosen, onChoose, draft, onDraft, generated, approved, onAccept, onRevoke, busy }) {
+  const accepted = Boolean(approved?.text) && approved.text === draft;
+  const edited = draft !== generated;
+  return (
+    <div className="mt-3 space-y-3">
+      {candidates.length > 1 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {candidates.map((c, i) => (
+            <div key={i} className={`flex flex-col rounded-xl border p-3 text-sm ${i === chosen ? "border-black" : ""}`}>
+              <div className="mb-1 flex flex-wrap items-center gap-2">
+                <span className="font-medium">
+                  {i + 1}. {c.rockName || "?"}
+                </span>
+                <span className="text-slate-500">{c.confidence}</span>
+              </div>
+              <div className="mb-2 text-xs text-slate-500">{aiProvenance(c)}</div>
+              <div className="max-h-48 overflow-y-auto whitespace-pre-wrap text-slate-700">{c.description}</div>
+              <button
+                className="mt-2 self-start rounded-xl px-3 py-1 border cursor-pointer hover:bg-slate-50 disabled:opacity-40 disabled:cursor-default"
+                disabled={i === chosen}
+                onClick={() => onChoose(i)}
+              >
+                {i === chosen ? "Chosen" : "Use this one"}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {accepted ? (
+          <span className="rounded-xl bg-emerald-100 text-emerald-800 px-2 py-1 text-xs font-medium">
+            Accepted{approved.by ? ` by ${approved.by}` : ""} · {new Date(approved.at).toLocaleString()}
+            {approved.edited && " · edited"}
+          </span>
+        ) : draft ? (
+          <span className="rounded-xl bg-amber-100 text-amber-800 px-2 py-1 text-xs font-medium">
+            {approved?.text ? "Changed since it was accepted" : "Unreviewed AI draft"}
+          </span>
+        ) : null}
+        {edited && generated && !busy && (
+          <button className="underline cursor-pointer text-slate-600" onClick={() => onDraft(generated)}>
+            Revert to the AI text
+          </button>
+        )}
+      </div>
+      <textarea
+        className={`w-full rounded-xl border p-3 text-sm min-h-[160px] outline-none focus:ring-2 focus:ring-black/30 ${accepted ? "bg-white" : "bg-amber-50"}`}
+        value={draft}
+        readOnly={busy}
+        placeholder="—"
+        onChange={(e) => onDraft(e.target.value)}
+      />
+      <div className="flex gap-2">
+        <button
+          className="rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95 disabled:opacity-40 disabled:cursor-default"
+          disabled={busy || !draft.trim() || accepted}
+          onClick={onAccept}
+        >
+          Accept description
+        </button>
+        {approved?.text && (
+          <button className="rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95" onClick={onRevoke}>
+            Withdraw acceptance
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
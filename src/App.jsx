@@ -1,145 +1,104 @@
 // src/App.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Section, Select } from "./ui.jsx";
+import SchemaFields from "./SchemaFields.jsx";
+import { DEFAULT_SCHEMA, resolveSchema, initialForm, missingRequired, formEntries } from "../lib/formSchema.js";
+import { cachedProjectConfig, fetchProjectConfig } from "./projectConfig.js";
+import {
+  saveSample,
+  loadSample,
+  sampleExists,
+  deleteSample,
+  listSamples,
+  listProjectMeasurements,
+  listSampleIds,
+  listProjects,
+  saveProject,
+  deleteProject,
+  renameProjectSamples,
+  listProjectLocations,
+  listMapLayers,
+  saveMapLayer,
+  deleteMapLayer,
+  listRevisions,
+  loadRevision,
+  listDeletedSamples,
+  restoreDeletedSample,
+  purgeDeletedSample,
+} from "./storage.js";
+import ProjectsPanel, { ProjectPicker } from "./ProjectsPanel.jsx";
+import { nextSampleId, idPrefix } from "./projects.js";
+import { serverSampleIds, renameServerProject } from "./serverSamples.js";
+import SampleLibrary from "./SampleLibrary.jsx";
+import DeletedSamples from "./DeletedSamples.jsx";
+import PxrfPanel from "./PxrfPanel.jsx";
+import { describeStream, describeOnce, describeCandidates, previewPrompt, isNetworkError } from "./describeClient.js";
+import { templateOptions } from "../lib/promptTemplates.js";
+import LocationInput from "./LocationInput.jsx";
+import { geographicPatch, formatLocation } from "./coords.js";
+import { readPhotoMeta, photoSpread, toLocalInput, SPREAD_WARN_M, SPREAD_WARN_MIN } from "./exif.js";
+import { enqueueDescribe, dequeueDescribe, retryDescribe, queueStatus, processQueue } from "./describeQueue.js";
+import { parsePxrf, matchReadings, summarizePxrf, formatConc } from "./pxrf.js";
+import StructuresPanel from "./StructuresPanel.jsx";
+import { formatMeasurement } from "../lib/structures.js";
+import { classifyForm } from "../lib/classifier.js";
+import CorePanel from "./CorePanel.jsx";
+import { newHole, intervalContext, sortIntervals } from "./core.js";
+import { sampleSheetPdf } from "./pdf.js";
+import LabSubmissionPanel from "./LabSubmissionPanel.jsx";
+import LabelsPanel from "./LabelsPanel.jsx";
+import QrScanner from "./QrScanner.jsx";
+import { parseLabelPayload } from "./labels.js";
+import CollectionTools from "./CollectionTools.jsx";
+import { toGeoJSON, toKML, toKMZ, toCSV, parseCollection } from "./gis.js";
+import MergeDialog from "./MergeDialog.jsx";
+import SampleMap from "./SampleMap.jsx";
+import { readMapLayer } from "./mapLayers.js";
+import SearchPanel from "./SearchPanel.jsx";
+import { EMPTY_QUERY, filterSamples, sortSamples, pageOf } from "./search.js";
+import { toInterchange, isInterchange, readInterchange, diffRecords, mergeRecords, INTERCHANGE_VERSION } from "./interchange.js";
+import RevisionHistory from "./RevisionHistory.jsx";
+import AiReview from "./AiReview.jsx";
+import PromptPreview from "./PromptPreview.jsx";
+import { approve, exportDescription, reviewLine, DRAFT_MARK } from "./review.js";
 
-// ---------------- Small UI helpers ----------------
-function Section({ title, children }) {
-  return (
-    <section className="mb-8">
-      <h2 className="text-xl font-semibold mb-3">{title}</h2>
-      <div className="rounded-2xl border bg-white p-4">{children}</div>
-    </section>
-  );
-}
-function TwoCol({ children }) {
-  return <div className="grid grid-cols-1 md:grid-cols-2 gap-3">{children}</div>;
-}
-function TextInput({ label, ...props }) {
-  return (
-    <label className="block">
-      <span className="block text-sm font-medium mb-1">{label}</span>
-      <input
-        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30"
-        {...props}
-      />
-    </label>
-  );
-}
-function TextArea({ label, ...props }) {
-  return (
-    <label className="block md:col-span-2">
-      <span className="block text-sm font-medium mb-1">{label}</span>
-      <textarea
-        rows={4}
-        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30"
-        {...props}
-      />
-    </label>
-  );
-}
-function Select({ label, options, value, onChange }) {
-  return (
-    <label className="block">
-      <span className="block text-sm font-medium mb-1">{label}</span>
-      <select
-        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30 cursor-pointer"
-        value={value ?? ""}
-        onChange={(e) => onChange(e.target.value)}
-      >
-        <option value="" disabled>
-          Select…
-        </option>
-        {options.map((opt) => (
-          <option key={opt} value={opt}>
-            {opt}
-          </option>
-        ))}
-      </select>
-    </label>
-  );
-}
-function CheckboxGroup({ options, value = [], onChange }) {
-  function toggle(v) {
-    const set = new Set(value);
-    if (set.has(v)) set.delete(v);
-    else set.add(v);
-    onChange(Array.from(set));
-  }
-  return (
-    <div className="flex flex-wrap gap-2">
-      {options.map((opt) => {
-        const on = value.includes(opt);
-        return (
-          <button
-            key={opt}
-            type="button"
-            onClick={() => toggle(opt)}
-            className={`px-3 py-1.5 rounded-xl border text-sm transition active:scale-95 ${
-              on ? "bg-black text-white border-black" : "hover:bg-slate-50"
-            }`}
-          >
-            {opt}
-          </button>
-        );
-      })}
-    </div>
-  );
-}
-
-// ---------------- Domain enums ----------------
-const ENUMS = {
-  context: ["Outcrop", "Float", "Trench", "Dump", "Drill core"],
-  category: ["Igneous", "Sedimentary", "Metamorphic", "Hydrothermal/Alteration"],
-  weatheringGrade: ["Fresh", "Slight", "Moderate", "Strong", "Complete"],
-  lustre: ["Dull", "Waxy", "Vitreous", "Resinous", "Submetallic", "Metallic"],
-  grainSize: ["Clay", "Silt", "Very fine", "Fine", "Medium", "Coarse", "Very coarse", "Granule", "Pebble"],
-  fabric: ["Massive", "Banded", "Foliated", "Brecciated", "Vuggy"],
-  magnetism: ["None", "Weak", "Moderate", "Strong"],
-  hcl: ["No reaction", "Weak fizz", "Strong fizz"],
-  minerals: [
-    "Quartz",
-    "Feldspar",
-    "Mica",
-    "Calcite",
-    "Dolomite",
-    "Hematite",
-    "Goethite",
-    "Pyrite",
-    "Chalcopyrite",
-    "Galena",
-    "Sphalerite",
-  ],
-  alteration: [
-    "Silicification",
-    "Sericitization",
-    "Chloritization",
-    "Hematization",
-    "Argillic",
-    "Propylitic",
-  ],
-  sulfides: ["Pyrite", "Chalcopyrite", "Bornite", "Galena", "Sphalerite"],
-  sampleType: ["Grab", "Chip", "Channel", "Core", "Float"],
-  hardness: ["1","2","3","4","5","6","7","8","9"],
-
-  // ✅ NEW FIELDS
-  packing: ["matrix-supported", "grain-supported"],
-  textureType: ["clastic", "crystalline"],
-};
+// Schema sections App lays out itself; any others come from the project config
+const BUILT_IN_SECTIONS = ["sample", "description", "sampling"];
+// Already in the Markdown export's header lines
+const MD_HEADER_KEYS = ["project", "sampleId", "date", "lat", "lon", "datum", "elevation"];
 
 // ---------------- Helpers ----------------
 const cryptoRandom = () => Math.random().toString(36).slice(2);
 
-// Downscale any read image to ~1024px before storing/sending
-async function downscaleDataUrl(dataUrl, maxDim = 1024) {
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Downscale any read image to ~1024px before storing/sending.
+// `rotation` (from readPhotoMeta) is applied when the browser ignores the EXIF orientation.
+async function downscaleDataUrl(dataUrl, maxDim = 1024, rotation = null) {
   return new Promise((resolve) => {
     const img = new Image();
     img.onload = () => {
       const scale = Math.min(1, maxDim / Math.max(img.width, img.height));
       const w = Math.round(img.width * scale);
       const h = Math.round(img.height * scale);
+      const turn = rotation?.canvas ? rotation : null;
       const c = document.createElement("canvas");
-      c.width = w;
-      c.height = h;
+      c.width = turn?.dimensionSwapped ? h : w;
+      c.height = turn?.dimensionSwapped ? w : h;
       const ctx = c.getContext("2d");
+      if (turn) {
+        ctx.translate(c.width / 2, c.height / 2);
+        ctx.rotate(turn.rad);
+        ctx.scale(turn.scaleX, turn.scaleY);
+        ctx.translate(-w / 2, -h / 2);
+      }
       ctx.drawImage(img, 0, 0, w, h);
       resolve(c.toDataURL("image/jpeg", 0.85));
     };
@@ -150,114 +109,591 @@ async function downscaleDataUrl(dataUrl, maxDim = 1024) {
 // ---------------- Main App ----------------
 export default function App() {
   // form model
-  const [form, setForm] = useState(() => ({
-    project: "",
-    sampleId: "MDO", // default prefix per your request
-    date: new Date().toISOString().slice(0, 16), // yyyy-MM-ddTHH:mm
-    lat: "",
-    lon: "",
-    elevation: "",
-    context: "",
-    hostUnit: "",
-    category: "",
-    weatheringGrade: "",
-    colourFresh: "",
-    colourWeathered: "",
-    lustre: "",
-    grainSize: "",
-    fabric: "",
-    streak: "",
-    magnetism: "",
-    hcl: "",
-    sg: "",
-    fabricNotes: "",
-    minerals: [],
-    alteration: [],
-    sulfides: [],
-    mineralizationNotes: "",
-    structures: "",
-    sampleType: "",
-    sampleLength_m: "",
-    pxrf: "",
-    hardness: "",
-
-    // ✅ NEW fields in model
-    packing: "",       // "matrix-supported" | "grain-supported"
-    textureType: "",   // "clastic" | "crystalline"
-  }));
-
-  const [photos, setPhotos] = useState([]); // [{id, src}]
+  // Form schema: built-in defaults extended by the project config (lib/formSchema.js)
+  const [config, setConfig] = useState({});
+  const [form, setForm] = useState(() => initialForm(DEFAULT_SCHEMA));
+  // Date a new form started with (the "now" default); EXIF may only replace that or an empty date
+  const [untouchedDate, setUntouchedDate] = useState(form.date);
+  const schema = useMemo(() => resolveSchema(config, form.project), [config, form.project]);
+  const sectionById = useMemo(() => Object.fromEntries(schema.sections.map((s) => [s.id, s])), [schema]);
+
+  useEffect(() => {
+    cachedProjectConfig()
+      .then((cached) => {
+        setConfig(cached);
+        return fetchProjectConfig();
+      })
+      .then(setConfig)
+      .catch((e) => console.warn("Project config unavailable, using cached copy:", e.message));
+  }, []);
+
+  const [photos, setPhotos] = useState([]); // [{id, src, role, sendToAI}]
   const [activeIdx, setActiveIdx] = useState(0);
-  const activeSrc = photos[activeIdx]?.src || null;
+  const activePhoto = photos[activeIdx] || null;
+  const activeSrc = activePhoto?.src || null;
+  const aiPhotos = photos.filter((p) => p.sendToAI !== false);
 
   const fileInputRef = useRef(null);
   const cameraInputRef = useRef(null);
 
-  const [aiText, setAiText] = useState("");
+  const [aiText, setAiText] = useState(""); // raw model output of the chosen candidate
+  const [aiResult, setAiResult] = useState(null); // structured fields from /api/describe
+  // Review (src/review.js): the editable working copy, the geologist's approval
+  // and the alternatives from the last "candidates" request
+  const [draft, setDraft] = useState("");
+  const [approved, setApproved] = useState(null);
+  const [aiCandidates, setAiCandidates] = useState([]);
+  const [chosenCandidate, setChosenCandidate] = useState(0);
+  const [candidateCount, setCandidateCount] = useState(3);
+  function showAiText(text) {
+    setAiText(text);
+    setDraft(text);
+  }
+  // Every AI description this sample has had, oldest first: [{ at, interval?, description, ...structured }]
+  const [aiRuns, setAiRuns] = useState([]);
+  const logAiRun = (data, extra = {}) => setAiRuns((runs) => [...runs, { at: new Date().toISOString(), ...extra, ...data }]);
   const [busy, setBusy] = useState(false);
+  // Form-only rule suggestions (work offline; the server cross-checks the AI name with the same rules)
+  const ruleCandidates = useMemo(() => classifyForm(form), [form]);
+
+  // pXRF: the imported file stays loaded across samples; `pxrf` holds the
+  // readings attached to this sample (saved with it)
+  const [pxrfFile, setPxrfFile] = useState(null); // {fileName, instrument, readings}
+  const [pxrf, setPxrf] = useState(null); // {fileName, instrument, readings}
+  const pxrfSummary = useMemo(() => (pxrf ? summarizePxrf(pxrf.readings, pxrf) : null), [pxrf]);
+
+  async function importPxrf(file) {
+    const parsed = { fileName: file.name, ...parsePxrf(await file.text()) };
+    setPxrfFile(parsed);
+    const matched = matchReadings(parsed.readings, { sampleId: form.sampleId });
+    setPxrf(matched.length ? { fileName: parsed.fileName, instrument: parsed.instrument, readings: matched } : null);
+  }
+
+  function pickPxrfReadings(readingNos) {
+    const readings = matchReadings(pxrfFile.readings, { readingNos });
+    setPxrf(readings.length ? { fileName: pxrfFile.fileName, instrument: pxrfFile.instrument, readings } : null);
+  }
+
+  // Sample library (IndexedDB)
+  const [library, setLibrary] = useState([]);
+  const [loadedId, setLoadedId] = useState(null); // sample ID the form was opened from / last saved as
+
+  const [deletedSamples, setDeletedSamples] = useState([]); // history kept, see removeSample
+
+  async function refreshLibrary() {
+    setLibrary(await listSamples());
+    setDeletedSamples(await listDeletedSamples());
+  }
+  useEffect(() => {
+    refreshLibrary();
+  }, []);
+
+  // Structural measurements of this sample; the stereonet can also show the
+  // whole project (saved samples, with this one's unsaved edits swapped in)
+  const [measurements, setMeasurements] = useState([]);
+  const [netScope, setNetScope] = useState("sample");
+  const [projectMeasurements, setProjectMeasurements] = useState([]);
+  const netItems = useMemo(() => {
+    const id = form.sampleId.trim();
+    return [
+      ...projectMeasurements.filter((m) => m.sampleId !== id),
+      ...measurements.map((m) => ({ ...m, sampleId: id })),
+    ];
+  }, [projectMeasurements, measurements, form.sampleId]);
+
+  useEffect(() => {
+    if (netScope !== "project") return;
+    let stale = false;
+    listProjectMeasurements(form.project).then((rows) => {
+      if (!stale) setProjectMeasurements(rows);
+    });
+    return () => {
+      stale = true;
+    };
+  }, [netScope, form.project, library]);
+
+  // Drill core: a "Drill core" sample is logged as a hole (collar = the location fields)
+  const [hole, setHole] = useState(() => newHole());
+  const coreMode = form.context === "Drill core";
+  const [describingId, setDescribingId] = useState(null);
+
+  async function describeInterval(id) {
+    const iv = hole.intervals.find((x) => x.id === id);
+    const ivPhotos = photos.filter((p) => iv.photoIds.includes(p.id));
+    setDescribingId(id);
+    const patchInterval = (patch) =>
+      setHole((h) => ({ ...h, intervals: h.intervals.map((x) => (x.id === id ? { ...x, ...patch } : x)) }));
+    try {
+      const { description, ...structured } = await describeOnce({
+        form: { ...form, sampleType: "Core" },
+        photos: ivPhotos.map((p) => ({ url: p.src, role: p.role || null })),
+        interval: intervalContext(hole, iv),
+        ...(promptTemplate ? { template: promptTemplate } : {}),
+      });
+      patchInterval({ generated: description || "", structured });
+      logAiRun({ description, ...structured }, { interval: `${iv.from}–${iv.to} m` });
+    } catch (e) {
+      patchInterval({ generated: `(Error) ${String(e.message || e)}` });
+    } finally {
+      setDescribingId(null);
+    }
+  }
+
+  // Search over the summary index (src/search.js); the map's box select sets query.bbox.
+  // Collection exports cover the ticked samples among the matches, or all matches.
+  const [query, setQuery] = useState(EMPTY_QUERY);
+  const [sort, setSort] = useState({ key: "date", dir: "desc" });
+  const [libraryPage, setLibraryPage] = useState(1);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [collectionBusy, setCollectionBusy] = useState(false);
+  const shownLibrary = useMemo(() => sortSamples(filterSamples(library, query), sort), [library, query, sort]);
+  const mapSamples = useMemo(() => filterSamples(library, { ...query, bbox: null }), [library, query]);
+  const libraryPageRows = pageOf(shownLibrary, libraryPage);
+
+  function search(next) {
+    setQuery(next);
+    setLibraryPage(1);
+  }
+  const shownSelected = shownLibrary.filter((s) => selectedIds.has(s.id));
+
+  function selectSamples(ids, on) {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      for (const id of ids) {
+        if (on) next.add(id);
+        else next.delete(id);
+      }
+      return next;
+    });
+  }
+
+  async function exportCollection(format) {
+    const ids = (shownSelected.length ? shownSelected : shownLibrary).map((s) => s.id);
+    setCollectionBusy(true);
+    try {
+      const records = (await Promise.all(ids.map(loadSample))).filter(Boolean);
+      const name = `samples-${query.project || "all"}`;
+      const thumbnail = (src) => downscaleDataUrl(src, 256);
+      if (format === "json") {
+        downloadBlob(new Blob([JSON.stringify(toInterchange(schema, records), null, 2)], { type: "application/json" }), `${name}.json`);
+      } else if (format === "geojson") {
+        downloadBlob(new Blob([toGeoJSON(schema, records)], { type: "application/geo+json" }), `${name}.geojson`);
+      } else if (format === "kml") {
+        downloadBlob(new Blob([await toKML(schema, records, thumbnail)], { type: "application/vnd.google-earth.kml+xml" }), `${name}.kml`);
+      } else if (format === "kmz") {
+        downloadBlob(new Blob([await toKMZ(schema, records, thumbnail)], { type: "application/vnd.google-earth.kmz" }), `${name}.kmz`);
+      } else {
+        downloadBlob(new Blob([toCSV(schema, records)], { type: "text/csv" }), `${name}.csv`);
+      }
+    } finally {
+      setCollectionBusy(false);
+    }
+  }
+
+  // Map: user layers (overlays/rasters) live in IndexedDB so they're there offline
+  const [mapLayers, setMapLayers] = useState([]);
+  const [mapColourBy, setMapColourBy] = useState("category");
+  useEffect(() => {
+    listMapLayers().then(setMapLayers);
+  }, []);
+
+  async function addMapLayer(file) {
+    try {
+      await saveMapLayer(await readMapLayer(file));
+      setMapLayers(await listMapLayers());
+    } catch (e) {
+      alert(`Could not load ${file.name}: ${e.message}`);
+    }
+  }
+
+  async function toggleMapLayer(id) {
+    const layer = mapLayers.find((l) => l.id === id);
+    await saveMapLayer({ ...layer, visible: !layer.visible });
+    setMapLayers(await listMapLayers());
+  }
+
+  async function removeMapLayer(id) {
+    if (!confirm(`Remove layer "${mapLayers.find((l) => l.id === id)?.name}"?`)) return;
+    await deleteMapLayer(id);
+    setMapLayers(await listMapLayers());
+  }
+
+  // Import: new samples are saved straight away; IDs already on this device
+  // queue up for the per-field merge dialog
+  const [mergeQueue, setMergeQueue] = useState([]); // [{ id, current, rows }]
+
+  async function importCollection(file) {
+    setCollectionBusy(true);
+    try {
+      let records;
+      let partial = true; // GIS formats carry only some of a record
+      const notes = [];
+      const doc = /\.(json|geojson)$/i.test(file.name) ? JSON.parse(await file.text()) : null;
+      if (isInterchange(doc)) {
+        const { version, results } = readInterchange(schema, doc);
+        partial = false;
+        records = results.filter((r) => r.record).map((r) => r.record);
+        if (version < INTERCHANGE_VERSION) notes.push(`Migrated from file version ${version}.`);
+        for (const r of results) {
+          if (r.errors.length) notes.push(`${r.id || "(no ID)"} not imported: ${r.errors.join("; ")}`);
+          else if (r.warnings.length) notes.push(`${r.id}: ${r.warnings.join("; ")}`);
+        }
+      } else {
+        const parsed = await parseCollection(schema, file);
+        records = parsed.records;
+        if (parsed.skipped) notes.push(`Ignored ${parsed.skipped} without a sample ID.`);
+      }
+
+      let added = 0;
+      const clashes = [];
+      for (const rec of records) {
+        const current = await loadSample(rec.form.sampleId);
+        if (!current) {
+          await saveSample(rec, { note: `Imported from ${file.name}` });
+          added++;
+          continue;
+        }
+        const incoming = partial && rec.structured ? { ...rec, structured: { ...current.structured, ...rec.structured } } : rec;
+        const rows = diffRecords(schema, current, incoming, { partial });
+        if (rows.length) clashes.push({ id: rec.form.sampleId, current, rows });
+      }
+      await refreshLibrary();
+      setMergeQueue(clashes);
+      alert(
+        [`Imported ${added} new sample(s)${clashes.length ? `; ${clashes.length} already saved to review` : ""}.`, ...notes.slice(0, 12)].join(
+          "\n"
+        ) + (notes.length > 12 ? `\n…and ${notes.length - 12} more` : "")
+      );
+    } catch (e) {
+      alert(`Import failed: ${e.message}`);
+    } finally {
+      setCollectionBusy(false);
+    }
+  }
+
+  async function resolveMerge(choices) {
+    const [head, ...rest] = mergeQueue;
+    if (choices) {
+      await saveSample(mergeRecords(head.current, head.rows, choices), { author: form.geologist, note: "Merged from import" });
+      await refreshLibrary();
+      if (head.id === loadedId) await openSample(head.id);
+    }
+    setMergeQueue(rest);
+  }
 
   function update(key, val) {
     setForm((f) => ({ ...f, [key]: val }));
   }
 
-  function resetForm() {
+  function patch(obj) {
+    setForm((f) => ({ ...f, ...obj }));
+  }
+
+  // Bumped whenever a different sample is loaded into the form, to reset panels with local input state
+  const [formEpoch, setFormEpoch] = useState(0);
+
+  function updatePhoto(id, patch) {
+    setPhotos((prev) => prev.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  // `preset` fills fields of the new sample (e.g. the ID and project from a scanned tag)
+  async function resetForm(preset = {}) {
+    const next = { ...initialForm(schema, form), ...preset };
+    const p = projects.find((x) => x.code === next.project);
+    if (p) Object.assign(next, { geologist: p.geologist || next.geologist, sampleType: p.sampleType || "" });
+    setForm(next);
+    setUntouchedDate(next.date);
+    setPhotos([]);
+    setActiveIdx(0);
+    showAiText("");
+    setAiResult(null);
+    setApproved(null);
+    setAiCandidates([]);
+    setAiRuns([]);
+    setPxrf(null);
+    setMeasurements([]);
+    setHole(newHole());
+    setLoadedId(null);
+    setFormEpoch((n) => n + 1);
+    if (p) {
+      const id = await allocateSampleId(p);
+      setForm((f) => (f.sampleId ? f : { ...f, sampleId: id }));
+    }
+  }
+
+  // Projects: code, ID pattern and defaults for new samples (form.project holds the code)
+  const [projects, setProjects] = useState([]);
+  const currentProject = projects.find((p) => p.code === form.project) || null;
+
+  async function refreshProjects() {
+    setProjects(await listProjects());
+  }
+  useEffect(() => {
+    refreshProjects();
+  }, []);
+
+  // Next free ID against this device's samples and, when reachable, the server's
+  async function allocateSampleId(project) {
+    const [local, remote] = await Promise.all([
+      listSampleIds(),
+      serverSampleIds(idPrefix(project)).catch(() => []),
+    ]);
+    return nextSampleId(project, [...local, ...remote]);
+  }
+
+  async function chooseProject(code) {
+    const p = projects.find((x) => x.code === code);
     setForm((f) => ({
       ...f,
-      project: "",
-      sampleId: "MDO",
-      date: new Date().toISOString().slice(0, 16),
-      lat: "",
-      lon: "",
-      elevation: "",
-      context: "",
-      hostUnit: "",
-      category: "",
-      weatheringGrade: "",
-      colourFresh: "",
-      colourWeathered: "",
-      lustre: "",
-      grainSize: "",
-      fabric: "",
-      streak: "",
-      magnetism: "",
-      hcl: "",
-      sg: "",
-      fabricNotes: "",
-      minerals: [],
-      alteration: [],
-      sulfides: [],
-      mineralizationNotes: "",
-      structures: "",
-      sampleType: "",
-      sampleLength_m: "",
-      pxrf: "",
-      hardness: "",
-      packing: "",
-      textureType: "",
+      project: code,
+      geologist: p?.geologist || f.geologist,
+      sampleType: f.sampleType || p?.sampleType || "",
     }));
-    setPhotos([]);
+    // A sample that was already saved keeps its ID
+    if (p && !loadedId) update("sampleId", await allocateSampleId(p));
+  }
+
+  async function storeProject(project, originalCode) {
+    await saveProject(project);
+    if (originalCode && originalCode !== project.code) {
+      await renameProjectSamples(originalCode, project.code, form.geologist);
+      await deleteProject(originalCode);
+      if (form.project === originalCode) update("project", project.code);
+      try {
+        await renameServerProject(originalCode, project.code);
+      } catch (e) {
+        alert(`Samples on this device moved to ${project.code}, but the server could not be updated: ${e.message}`);
+      }
+      await refreshLibrary();
+    }
+    await refreshProjects();
+  }
+
+  async function removeProject(code) {
+    if (!confirm(`Delete project "${code}"? Its samples are kept and still carry the code.`)) return;
+    await deleteProject(code);
+    await refreshProjects();
+  }
+
+  // Library actions
+  // Returns true once the sample is stored
+  async function saveCurrent() {
+    const id = form.sampleId.trim();
+    if (!id) {
+      alert("Enter a Sample ID before saving.");
+      return false;
+    }
+    const missing = missingRequired(schema, form);
+    if (missing.length && !confirm(`Required fields are empty: ${missing.join(", ")}. Save anyway?`)) return false;
+    const existing = await loadSample(id);
+    if (existing && id !== loadedId) {
+      const ok = confirm(
+        `Sample "${id}" already exists (${existing.form.project || "no project"}, ${existing.form.date || "no date"}). Overwrite it?`
+      );
+      if (!ok) return false;
+    }
+    if (!existing && id !== loadedId) {
+      const onServer = await serverSampleIds(id)
+        .then((ids) => ids.includes(id))
+        .catch(() => false);
+      if (onServer && !confirm(`Sample "${id}" already exists on the server. Save it on this device anyway?`)) return false;
+    }
+    // Edits to the description only count once accepted
+    let approval = approved;
+    if (draft.trim() && draft !== aiText && draft !== approved?.text) {
+      if (confirm("The description has edits that were not accepted. Accept them now?")) {
+        approval = approve(draft, { generated: aiText, structured: aiResult, by: form.geologist });
+        setApproved(approval);
+      }
+    }
+    await saveSample({
+      form: { ...form, sampleId: id },
+      photos,
+      generated: aiText,
+      structured: aiResult,
+      approved: approval,
+      aiRuns,
+      pxrf,
+      measurements,
+      hole: coreMode ? hole : null,
+    });
+    setLoadedId(id);
+    await refreshLibrary();
+    return true;
+  }
+
+  async function openSample(id) {
+    const s = await loadSample(id);
+    if (!s) return;
+    // Start from blank defaults so nothing of the sample on screen leaks into the loaded one
+    setForm({ ...initialForm(resolveSchema(config, s.form?.project)), ...s.form });
+    setUntouchedDate(null);
+    // Older exports stored photos as bare data URLs
+    setPhotos((s.photos || []).map((p) => (typeof p === "string" ? { id: cryptoRandom(), src: p } : p)));
     setActiveIdx(0);
-    setAiText("");
+    setAiText(s.generated || "");
+    setDraft(s.approved?.text || s.generated || "");
+    setAiResult(s.structured || null);
+    setApproved(s.approved || null);
+    setAiCandidates([]);
+    setAiRuns(s.aiRuns || []);
+    setPxrf(s.pxrf || null);
+    setMeasurements(s.measurements || []);
+    setHole(s.hole || newHole());
+    setLoadedId(id);
+    setFormEpoch((n) => n + 1);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  // Scanned tag (or a label link opened from the phone's camera app):
+  // open the saved record, or start a new sample with the tag's ID
+  const [scanning, setScanning] = useState(false);
+  async function openFromTag(text) {
+    setScanning(false);
+    const ref = parseLabelPayload(text);
+    if (!ref) {
+      alert(`Not a GeoDescribe sample tag: ${text}`);
+      return;
+    }
+    if (await sampleExists(ref.id)) {
+      await openSample(ref.id);
+      return;
+    }
+    await resetForm({ sampleId: ref.id, ...(ref.project ? { project: ref.project } : {}) });
+  }
+  // Latest handler for the one-off deep-link check on mount
+  const openFromTagRef = useRef(openFromTag);
+  useEffect(() => {
+    openFromTagRef.current = openFromTag;
+  });
+  useEffect(() => {
+    if (!new URLSearchParams(window.location.search).get("sample")) return;
+    const link = window.location.href;
+    window.history.replaceState(null, "", window.location.pathname);
+    openFromTagRef.current(link);
+  }, []);
+
+  // Revision history (src/storage.js): re-read after every save, which refreshes the library
+  const [revisions, setRevisions] = useState([]);
+  useEffect(() => {
+    if (loadedId) listRevisions(loadedId).then(setRevisions);
+    else setRevisions([]);
+  }, [loadedId, library]);
+
+  // Restoring saves the old revision as a new one, so nothing is lost
+  async function restoreRevision(rev) {
+    if (!confirm(`Restore revision ${rev} of "${loadedId}"? Unsaved changes in the form will be lost.`)) return;
+    const found = await loadRevision(loadedId, rev);
+    if (!found) return;
+    const current = await loadSample(loadedId);
+    await saveSample({ ...found.record, aiRuns: current?.aiRuns || aiRuns }, { author: form.geologist, note: `Restored revision ${rev}` });
+    await openSample(loadedId);
+    await refreshLibrary();
+    if (found.missingPhotos) alert(`${found.missingPhotos} photo(s) of revision ${rev} are no longer stored and were left out.`);
+  }
+
+  async function removeSample(id) {
+    if (!confirm(`Delete saved sample "${id}"? It can be restored from "Deleted samples" until purged.`)) return;
+    await deleteSample(id, { author: form.geologist });
+    await dequeueDescribe(id);
+    if (id === loadedId) setLoadedId(null);
+    await refreshLibrary();
+    await refreshQueue();
+  }
+
+  async function restoreDeleted(id) {
+    if (!confirm(`Restore deleted sample "${id}" and open it? Unsaved changes in the form will be lost.`)) return;
+    const found = await restoreDeletedSample(id, { author: form.geologist });
+    if (!found) return;
+    await openSample(id);
+    await refreshLibrary();
+    if (found.missingPhotos) alert(`${found.missingPhotos} photo(s) of "${id}" are no longer stored and were left out.`);
+  }
+
+  async function purgeDeleted(id) {
+    if (!confirm(`Permanently remove the history and archived photos of deleted sample "${id}"?`)) return;
+    await purgeDeletedSample(id);
+    await refreshLibrary();
+  }
+
+  // Offline describe queue: requests made without signal run when it returns
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [queue, setQueue] = useState({}); // { [sampleId]: { status, error } }
+  const loadedIdRef = useRef(loadedId);
+  loadedIdRef.current = loadedId;
+
+  async function refreshQueue() {
+    setQueue(await queueStatus());
+  }
+
+  async function runQueue() {
+    await processQueue({
+      onResult: (sampleId, data, run) => {
+        if (sampleId !== loadedIdRef.current) return;
+        const { description, ...structured } = data;
+        showAiText(description || "");
+        setAiResult(structured);
+        setAiRuns((runs) => [...runs, run]);
+      },
+    });
+    await refreshQueue();
+    await refreshLibrary();
+  }
+
+  // Latest runQueue for the online/offline listeners registered on mount
+  const runQueueRef = useRef(runQueue);
+  useEffect(() => {
+    runQueueRef.current = runQueue;
+  });
+
+  useEffect(() => {
+    queueStatus().then(setQueue);
+    if (navigator.onLine) runQueueRef.current();
+    const goOnline = () => {
+      setOnline(true);
+      runQueueRef.current();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  async function queueCurrent(body) {
+    if (!(await saveCurrent())) return;
+    await enqueueDescribe(form.sampleId.trim(), body);
+    showAiText("(Queued — the description will be generated when the device is back online)");
+    await refreshQueue();
+  }
+
+  async function retryQueued(id) {
+    await retryDescribe(id);
+    await refreshQueue();
+    if (navigator.onLine) runQueue();
   }
 
-  // File handling (with downscale)
+  // File handling: EXIF is read from the original file first, since downscaling drops it
   function onFile(e) {
     const files = Array.from(e.target.files || []);
     if (!files.length) return;
-    const readers = files.map(
-      (file) =>
-        new Promise((resolve) => {
-          const fr = new FileReader();
-          fr.onload = async (ev) => {
-            const small = await downscaleDataUrl(String(ev.target?.result), 1024);
-            resolve(small);
-          };
-          fr.readAsDataURL(file);
-        })
-    );
-    Promise.all(readers).then((dataUrls) => {
+    const readers = files.map(async (file) => {
+      const { meta, rotation } = await readPhotoMeta(file);
+      const dataUrl = await new Promise((resolve) => {
+        const fr = new FileReader();
+        fr.onload = (ev) => resolve(String(ev.target?.result));
+        fr.readAsDataURL(file);
+      });
+      return { src: await downscaleDataUrl(dataUrl, 1024, rotation), exif: meta };
+    });
+    Promise.all(readers).then((loaded) => {
       setPhotos((prev) => {
-        const next = [...prev, ...dataUrls.map((src) => ({ id: cryptoRandom(), src }))];
+        const next = [
+          ...prev,
+          ...loaded.map(({ src, exif }) => ({ id: cryptoRandom(), src, role: "", sendToAI: true, exif })),
+        ];
         if (prev.length === 0) setActiveIdx(0);
         return next;
       });
@@ -265,60 +701,105 @@ export default function App() {
     e.target.value = "";
   }
 
+  // EXIF auto-fill: offered for empty location fields and an empty or still-default date
+  const exifFill = useMemo(() => {
+    const withGps = photos.find((p) => p.exif?.lat != null && p.exif?.lon != null)?.exif;
+    const withElev = photos.find((p) => p.exif?.elevation != null)?.exif;
+    const withTime = photos.find((p) => p.exif?.takenAt)?.exif;
+    const fill = {};
+    if (withGps && !form.lat && !form.lon) {
+      Object.assign(fill, geographicPatch(withGps.lat, withGps.lon, form.datum), {
+        locationSource: "photo",
+        gpsAccuracy_m: withGps.gpsAccuracy == null ? "" : String(withGps.gpsAccuracy),
+      });
+    }
+    if (withElev && !form.elevation) fill.elevation = String(withElev.elevation);
+    if (withTime && (!form.date || form.date === untouchedDate)) {
+      const local = toLocalInput(new Date(withTime.takenAt));
+      if (local !== form.date) fill.date = local;
+    }
+    return Object.keys(fill).length ? fill : null;
+  }, [photos, form.lat, form.lon, form.elevation, form.date, form.datum, untouchedDate]);
+  const spread = useMemo(() => photoSpread(photos), [photos]);
+
   // Export helpers
+  // Versioned interchange file (src/interchange.js); import reads it back
   function exportJSON() {
-    const payload = {
+    const doc = toInterchange(schema, [
+      { form, photos, generated: aiText, structured: aiResult, approved, pxrf, measurements, hole: coreMode ? hole : null },
+    ]);
+    downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }), `${form.sampleId || "sample"}.json`);
+  }
+
+  // Printable sheet; the location inset plots the project's other saved samples
+  async function exportPDF() {
+    const nearby = await listProjectLocations(form.project);
+    const doc = sampleSheetPdf({
       form,
-      photos: photos.map((p) => p.src),
-      generated: aiText,
-      createdAt: new Date().toISOString(),
-    };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${form.sampleId || "sample"}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+      schema,
+      photos,
+      measurements,
+      description: exportDescription({ generated: aiText, approved }),
+      aiResult,
+      pxrfSummary,
+      hole: coreMode ? hole : null,
+      nearby,
+    });
+    doc.save(`${form.sampleId || "sample"}.pdf`);
   }
 
   function exportMarkdown() {
+    const description = exportDescription({ generated: aiText, approved });
     const md = [
       `# Sample ${form.sampleId || ""}`,
       `**Project:** ${form.project || ""}`,
       `**Date/time:** ${form.date || ""}`,
-      `**Location:** ${form.lat || ""}, ${form.lon || ""} (elev ${form.elevation || ""} m)`,
-      "",
-      "## Standard description fields",
-      `- Context: ${form.context || ""}`,
-      `- Category: ${form.category || ""}`,
-      `- Weathering grade: ${form.weatheringGrade || ""}`,
-      `- Hardness (Mohs): ${form.hardness || ""}`,
-      `- Colour (fresh): ${form.colourFresh || ""}`,
-      `- Colour (weathered): ${form.colourWeathered || ""}`,
-      `- Lustre: ${form.lustre || ""}`,
-      `- Grain size: ${form.grainSize || ""}`,
-      `- Fabric: ${form.fabric || ""}`,
-      `- Streak: ${form.streak || ""}`,
-      `- Magnetism: ${form.magnetism || ""}`,
-      `- HCl reaction: ${form.hcl || ""}`,
-      `- Specific gravity (qual): ${form.sg || ""}`,
-      `- Minerals: ${form.minerals.join(", ")}`,
-      `- Alteration: ${form.alteration.join(", ")}`,
-      `- Sulfides: ${form.sulfides.join(", ")}`,
-      `- Mineralization notes: ${form.mineralizationNotes || ""}`,
-      `- Structures: ${form.structures || ""}`,
-      "",
-      "## Sampling",
-      `- Sample type: ${form.sampleType || ""}`,
-      `- Sample length (m): ${form.sampleLength_m || ""}`,
-      "",
-      "## New fields",
-      `- Packing: ${form.packing || ""}`,
-      `- Texture: ${form.textureType || ""}`,
+      `**Location:** ${formatLocation(form)} (elev ${form.elevation || ""} m)` +
+        (form.gpsAccuracy_m ? ` ±${form.gpsAccuracy_m} m (${form.locationSource || "GPS"})` : ""),
       "",
-      "## AI Suggested narrative",
-      aiText || "—",
+      ...schema.sections.flatMap((sec) => {
+        const rows = formEntries(schema, form, { includeEmpty: true }).filter(
+          (e) => e.section === sec.id && !MD_HEADER_KEYS.includes(e.key)
+        );
+        return rows.length ? [`## ${sec.title}`, ...rows.map((e) => `- ${e.label}: ${e.value}`), ""] : [];
+      }),
+      ...(measurements.length
+        ? ["## Structural measurements", ...measurements.map((m) => `- ${formatMeasurement(m)}`), ""]
+        : []),
+      ...(pxrfSummary
+        ? [
+            "## pXRF",
+            `- Readings: ${pxrfSummary.readings.join(", ")}${pxrfSummary.instrument ? ` (${pxrfSummary.instrument})` : ""}`,
+            ...Object.entries(pxrfSummary.elements).map(
+              ([el, v]) => `- ${el}: ${v.bdl ? "<LOD" : `${formatConc(v.value)} ± ${formatConc(v.error2s)}`}`
+            ),
+            ...Object.entries(pxrfSummary.ratios).map(([k, v]) => `- ${k}: ${v}`),
+            "",
+          ]
+        : []),
+      ...(coreMode
+        ? [
+            "## Drill hole",
+            `- Hole ID: ${hole.holeId || ""}`,
+            `- Collar: ${formatLocation(form)}`,
+            `- Azimuth/dip: ${hole.azimuth || "?"}/${hole.dip || "?"}`,
+            `- Total depth (m): ${hole.depth || ""}`,
+            "",
+            "| From (m) | To (m) | Lithology | Weathering | Alteration | Mineralisation | Samples |",
+            "|---|---|---|---|---|---|---|",
+            ...sortIntervals(hole.intervals).map(
+              (iv) =>
+                `| ${iv.from} | ${iv.to} | ${iv.lithology} | ${iv.weatheringGrade} | ${iv.alteration.join(", ")} | ${iv.mineralisation.replace(/\n/g, " ")} | ${iv.sampleNos} |`
+            ),
+            "",
+            ...sortIntervals(hole.intervals)
+              .filter((iv) => iv.generated)
+              .flatMap((iv) => [`### ${iv.from}–${iv.to} m (${DRAFT_MARK})`, iv.generated, ""]),
+          ]
+        : []),
+      "## Description",
+      ...(description.status ? [`_${reviewLine(description)}_`, ""] : []),
+      description.text || "—",
     ].join("\n");
 
     const blob = new Blob([md], { type: "text/markdown" });
@@ -331,41 +812,145 @@ export default function App() {
   }
 
   // AI generate
+  // AI generate (streamed; partial text is kept on cancel or a dropped connection)
+  const aiAbortRef = useRef(null);
+
+  // Writing style (lib/promptTemplates.js): "" uses the project's default
+  const [promptTemplate, setPromptTemplate] = useState("");
+  const promptOptions = useMemo(() => {
+    try {
+      return templateOptions(config, form.project);
+    } catch (e) {
+      console.warn("Prompt templates in the project config are invalid:", e.message);
+      return { default: "", templates: [] };
+    }
+  }, [config, form.project]);
+  const [promptPreview, setPromptPreview] = useState(null);
+
+  function describeBody() {
+    return {
+      form,
+      photos: aiPhotos.map((p) => ({ url: p.src, role: p.role || null })),
+      pxrfSummary,
+      structures: measurements,
+      ...(promptTemplate ? { template: promptTemplate } : {}),
+    };
+  }
+
+  async function showPromptPreview() {
+    try {
+      setPromptPreview(await previewPrompt(describeBody()));
+    } catch (e) {
+      alert(`Could not build the prompt: ${e.message}`);
+    }
+  }
+
   async function generateAI() {
+    const body = describeBody();
+    if (!navigator.onLine) {
+      await queueCurrent(body);
+      return;
+    }
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
     setBusy(true);
-    setAiText("");
+    showAiText("");
+    setAiResult(null);
+    setAiCandidates([]);
+    let partial = "";
     try {
-      const r = await fetch("/api/describe", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          form,
-          photoUrl: activeSrc || null,
-        }),
-      });
-      const data = await r.json();
-      if (!r.ok) throw new Error(data?.error || "API error");
-      setAiText(data.description || "");
+      const data = await describeStream(
+        body,
+        {
+          signal: controller.signal,
+          onText: (t) => {
+            partial += t;
+            showAiText(partial);
+          },
+        }
+      );
+      showAiText(data.description || "");
+      const { description: _description, ...structured } = data;
+      setAiResult(structured);
+      logAiRun(data);
+      if (queue[form.sampleId.trim()]) {
+        await dequeueDescribe(form.sampleId.trim());
+        await refreshQueue();
+      }
     } catch (e) {
-      setAiText(`(Error) ${String(e.message || e)}`);
+      if (!partial && !controller.signal.aborted && isNetworkError(e)) await queueCurrent(body);
+      else if (!partial) showAiText(`(Error) ${String(e.message || e)}`);
+      else if (controller.signal.aborted) showAiText(`${partial}\n\n(Cancelled — partial output kept)`);
+      else showAiText(`${partial}\n\n(Interrupted: ${String(e.message || e)} — partial output kept)`);
     } finally {
+      aiAbortRef.current = null;
       setBusy(false);
     }
   }
 
+  // Several alternatives side by side (needs a connection; nothing is queued)
+  async function generateCandidates() {
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    setBusy(true);
+    try {
+      const { candidates, failed } = await describeCandidates(describeBody(), candidateCount, { signal: controller.signal });
+      const at = new Date().toISOString();
+      setAiRuns((runs) => [...runs, ...candidates.map((c) => ({ at, ...c }))]);
+      setAiCandidates(candidates);
+      chooseCandidate(0, candidates);
+      if (failed) alert(`${failed} of ${candidateCount} candidates failed; showing the rest.`);
+    } catch (e) {
+      if (!controller.signal.aborted) alert(`Could not generate candidates: ${e.message}`);
+    } finally {
+      aiAbortRef.current = null;
+      setBusy(false);
+    }
+  }
+
+  function chooseCandidate(i, candidates = aiCandidates) {
+    const { description, ...structured } = candidates[i];
+    setChosenCandidate(i);
+    showAiText(description || "");
+    setAiResult(structured);
+  }
+
+  function cancelAI() {
+    aiAbortRef.current?.abort();
+  }
+
   return (
     <div className="min-h-screen bg-slate-50 p-4 md:p-8">
       <div className="max-w-6xl mx-auto">
         {/* Header */}
         <header className="mb-6 sticky top-0 z-50 bg-slate-50/70 backdrop-blur flex items-center justify-between">
-          <h1 className="text-2xl md:text-3xl font-bold">GeoDescribe – Field Rock Logger</h1>
+          <h1 className="text-2xl md:text-3xl font-bold">
+            GeoDescribe – Field Rock Logger
+            {!online && (
+              <span className="ml-3 align-middle rounded-xl bg-amber-100 text-amber-800 px-2 py-1 text-xs font-medium">
+                Offline
+              </span>
+            )}
+          </h1>
           <div className="flex gap-2">
             <button
               className="rounded-xl px-4 py-2 bg-black text-white cursor-pointer hover:bg-gray-800 transition active:scale-95"
+              onClick={saveCurrent}
+            >
+              Save Sample
+            </button>
+            <button
+              className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95"
               onClick={exportMarkdown}
             >
               Export Markdown
             </button>
+            <button
+              className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95"
+              onClick={exportPDF}
+            >
+              Export PDF
+            </button>
             <button
               className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95"
               onClick={exportJSON}
@@ -374,54 +959,60 @@ export default function App() {
             </button>
             <button
               className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95"
-              onClick={resetForm}
+              onClick={() => resetForm()}
             >
               New Sample
             </button>
+            <button
+              className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95"
+              onClick={() => setScanning(true)}
+            >
+              Scan tag
+            </button>
           </div>
         </header>
 
         {/* Sample & Location */}
-        <Section title="Sample & Location">
-          <TwoCol>
-            <TextInput
-              label="Project"
-              value={form.project}
-              onChange={(e) => update("project", e.target.value)}
-            />
-            <TextInput
-              label="Sample ID"
-              value={form.sampleId}
-              onChange={(e) => update("sampleId", e.target.value)}
-            />
-            <TextInput
-              label="Date/time"
-              type="datetime-local"
-              value={form.date}
-              onChange={(e) => update("date", e.target.value)}
-            />
-            <div className="grid grid-cols-2 gap-3">
-              <TextInput label="Latitude" value={form.lat} onChange={(e) => update("lat", e.target.value)} />
-              <TextInput label="Longitude" value={form.lon} onChange={(e) => update("lon", e.target.value)} />
+        <Section title={sectionById.sample.title}>
+          {exifFill && (
+            <div className="mb-3 flex flex-wrap items-center gap-3 rounded-xl border border-sky-200 bg-sky-50 px-3 py-2 text-sm">
+              <span>
+                Photo metadata:{" "}
+                {[
+                  exifFill.lat && `${exifFill.lat}, ${exifFill.lon}`,
+                  exifFill.elevation && `${exifFill.elevation} m`,
+                  exifFill.date && exifFill.date.replace("T", " "),
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </span>
+              <button
+                type="button"
+                className="rounded-xl border bg-white px-3 py-1 cursor-pointer hover:bg-slate-50 active:scale-95"
+                onClick={() => setForm((f) => ({ ...f, ...exifFill }))}
+              >
+                Fill from photo
+              </button>
             </div>
-            <TextInput
-              label="Elevation (m)"
-              value={form.elevation}
-              onChange={(e) => update("elevation", e.target.value)}
-            />
-            <Select label="Context" options={ENUMS.context} value={form.context} onChange={(v) => update("context", v)} />
-            <TextInput
-              label="Host unit / Formation"
-              value={form.hostUnit}
-              onChange={(e) => update("hostUnit", e.target.value)}
-            />
-            <Select
-              label="Category"
-              options={ENUMS.category}
-              value={form.category}
-              onChange={(v) => update("category", v)}
-            />
-          </TwoCol>
+          )}
+          <SchemaFields
+            section={sectionById.sample}
+            enums={schema.enums}
+            form={form}
+            onChange={update}
+            suggestions={{ hostUnit: currentProject?.hostUnits }}
+            panels={{
+              project: (
+                <ProjectPicker
+                  projects={projects}
+                  value={form.project}
+                  onChange={chooseProject}
+                  onNextId={async () => update("sampleId", await allocateSampleId(currentProject))}
+                />
+              ),
+              location: <LocationInput key={formEpoch} form={form} onPatch={patch} />,
+            }}
+          />
         </Section>
 
         {/* Photo */}
@@ -489,12 +1080,57 @@ export default function App() {
                       }`}
                       title={`Photo ${i + 1}`}
                     >
-                      <img src={p.src} alt={`thumb-${i}`} className="h-16 w-16 object-cover rounded-lg" />
+                      <img
+                        src={p.src}
+                        alt={`thumb-${i}`}
+                        className={`h-16 w-16 object-cover rounded-lg ${p.sendToAI === false ? "opacity-40" : ""}`}
+                      />
+                      {p.role && (
+                        <span className="absolute bottom-1 left-1 right-1 truncate rounded bg-black/70 px-1 text-[10px] text-white">
+                          {p.role}
+                        </span>
+                      )}
                     </button>
                   ))}
                 </div>
               )}
 
+              {(spread.maxM > SPREAD_WARN_M || spread.spanMin > SPREAD_WARN_MIN) && (
+                <div className="mt-3 rounded-xl border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+                  ⚠️ These photos were taken {spread.maxM > SPREAD_WARN_M ? `up to ${Math.round(spread.maxM)} m apart` : ""}
+                  {spread.maxM > SPREAD_WARN_M && spread.spanMin > SPREAD_WARN_MIN ? " and " : ""}
+                  {spread.spanMin > SPREAD_WARN_MIN ? `over ${Math.round(spread.spanMin / 60)} h` : ""} — check they all belong to
+                  this sample.
+                </div>
+              )}
+
+              {activePhoto?.exif?.takenAt && (
+                <div className="mt-2 text-xs text-slate-500">
+                  Captured {new Date(activePhoto.exif.takenAt).toLocaleString()}
+                  {activePhoto.exif.lat != null && ` at ${activePhoto.exif.lat.toFixed(5)}, ${activePhoto.exif.lon.toFixed(5)}`}
+                  {activePhoto.exif.model && ` · ${[activePhoto.exif.make, activePhoto.exif.model].filter(Boolean).join(" ")}`}
+                </div>
+              )}
+
+              {activePhoto && (
+                <div className="mt-3 grid grid-cols-2 gap-3 items-end">
+                  <Select
+                    label="Photo role"
+                    options={schema.enums.photoRole}
+                    value={activePhoto.role}
+                    onChange={(v) => updatePhoto(activePhoto.id, { role: v })}
+                  />
+                  <label className="flex items-center gap-2 text-sm pb-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={activePhoto.sendToAI !== false}
+                      onChange={(e) => updatePhoto(activePhoto.id, { sendToAI: e.target.checked })}
+                    />
+                    Send to AI
+                  </label>
+                </div>
+              )}
+
               {photos.length > 0 && (
                 <div className="mt-2 flex gap-2">
                   <button
@@ -534,8 +1170,33 @@ export default function App() {
             {/* AI panel */}
             <div>
               <p className="text-sm text-slate-600 mb-2">
-                Generate a concise field description using the active photo and form fields.
+                Generate a concise field description using the selected photos ({aiPhotos.length} of {photos.length}) and
+                form fields.
               </p>
+              <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+                <label className="text-slate-600" htmlFor="prompt-template">
+                  Style
+                </label>
+                <select
+                  id="prompt-template"
+                  className="rounded-xl border px-2 py-1.5 cursor-pointer"
+                  value={promptTemplate}
+                  onChange={(e) => setPromptTemplate(e.target.value)}
+                >
+                  <option value="">
+                    Project default
+                    {promptOptions.default && ` (${promptOptions.templates.find((t) => t.id === promptOptions.default)?.label || promptOptions.default})`}
+                  </option>
+                  {promptOptions.templates.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.label} · v{t.version}
+                    </option>
+                  ))}
+                </select>
+                <button className="underline cursor-pointer text-slate-600 disabled:opacity-40" onClick={showPromptPreview} disabled={!online}>
+                  Preview prompt
+                </button>
+              </div>
               <button
                 className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95"
                 onClick={generateAI}
@@ -544,129 +1205,260 @@ export default function App() {
               >
                 {busy ? "Generating…" : "Generate AI description"}
               </button>
-              <div className="mt-3 rounded-xl border p-3 bg-amber-50 whitespace-pre-wrap text-sm min-h-[120px]">
-                {aiText || "—"}
-              </div>
+              <span className="ml-2 inline-flex items-center gap-1">
+                <button
+                  className="rounded-xl px-4 py-2 border cursor-pointer hover:bg-slate-50 active:scale-95 disabled:opacity-40"
+                  onClick={generateCandidates}
+                  disabled={busy || !online}
+                  title={online ? "Several alternative descriptions side by side" : "Needs a connection"}
+                >
+                  Compare
+                </button>
+                <select
+                  className="rounded-xl border px-2 py-2 text-sm cursor-pointer"
+                  value={candidateCount}
+                  onChange={(e) => setCandidateCount(Number(e.target.value))}
+                  aria-label="Number of candidates"
+                >
+                  {[2, 3, 4].map((n) => (
+                    <option key={n} value={n}>
+                      {n} candidates
+                    </option>
+                  ))}
+                </select>
+              </span>
+              {busy && (
+                <button
+                  className="ml-2 rounded-xl px-4 py-2 border cursor-pointer text-red-700 hover:bg-red-50 active:scale-95"
+                  onClick={cancelAI}
+                >
+                  Cancel
+                </button>
+              )}
+              {aiResult && (
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                  <span className="rounded-xl bg-black text-white px-3 py-1">{aiResult.rockName}</span>
+                  <span className="text-slate-600">confidence: {aiResult.confidence}</span>
+                  {aiResult.alternativeNames?.length > 0 && (
+                    <span className="text-slate-500">alt: {aiResult.alternativeNames.join(", ")}</span>
+                  )}
+                  {aiResult.photosOmitted > 0 && (
+                    <span className="text-amber-700">
+                      {aiResult.photosOmitted} photo(s) left out to stay within the server's image budget
+                    </span>
+                  )}
+                </div>
+              )}
+              {aiResult?.fallback && (
+                <div className="mt-2 text-sm text-amber-700">
+                  AI unavailable ({aiResult.fallback}) — rule-based result from the form fields only.
+                </div>
+              )}
+              {aiResult?.crossCheck?.contradictions?.length > 0 && (
+                <div className="mt-2 rounded-xl border border-red-200 bg-red-50 p-2 text-sm text-red-800">
+                  <div className="font-medium">Suggested name disagrees with the form:</div>
+                  <ul className="list-disc pl-5">
+                    {aiResult.crossCheck.contradictions.map((c) => (
+                      <li key={c}>{c}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <AiReview
+                candidates={aiCandidates}
+                chosen={chosenCandidate}
+                onChoose={(i) => {
+                  if (draft !== aiText && !confirm("Replace your edits with this candidate?")) return;
+                  chooseCandidate(i);
+                }}
+                draft={draft}
+                onDraft={setDraft}
+                generated={aiText}
+                approved={approved}
+                onAccept={() => setApproved(approve(draft, { generated: aiText, structured: aiResult, by: form.geologist }))}
+                onRevoke={() => setApproved(null)}
+                busy={busy}
+              />
+              <details className="mt-3 text-sm">
+                <summary className="cursor-pointer">Rule-based suggestions from the form ({ruleCandidates.length})</summary>
+                {ruleCandidates.length ? (
+                  <ul className="mt-2 space-y-1">
+                    {ruleCandidates.map((c) => (
+                      <li key={c.name}>
+                        <span className="font-medium">{c.name}</span>{" "}
+                        <span className="text-slate-600">— {c.reasons.join(", ")}</span>
+                        {c.against.length > 0 && <span className="text-red-700"> (against: {c.against.join(", ")})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="mt-2 text-slate-500">Not enough diagnostic fields filled in yet.</div>
+                )}
+              </details>
             </div>
           </div>
         </Section>
 
         {/* Standard description fields */}
-        <Section title="Standard description fields">
-          <TwoCol>
-            <Select
-              label="Weathering grade"
-              options={ENUMS.weatheringGrade}
-              value={form.weatheringGrade}
-              onChange={(v) => update("weatheringGrade", v)}
-            />
-            <Select
-              label="Hardness (Mohs / scratch test)"
-              options={ENUMS.hardness}
-              value={form.hardness}
-              onChange={(v) => update("hardness", v)}
-            />
-            <TextInput
-              label="Colour (fresh)"
-              value={form.colourFresh}
-              onChange={(e) => update("colourFresh", e.target.value)}
-            />
-            <TextInput
-              label="Colour (weathered)"
-              value={form.colourWeathered}
-              onChange={(e) => update("colourWeathered", e.target.value)}
-            />
-            <Select label="Lustre" options={ENUMS.lustre} value={form.lustre} onChange={(v) => update("lustre", v)} />
-            <Select
-              label="Grain size / class"
-              options={ENUMS.grainSize}
-              value={form.grainSize}
-              onChange={(v) => update("grainSize", v)}
-            />
-            <Select label="Fabric" options={ENUMS.fabric} value={form.fabric} onChange={(v) => update("fabric", v)} />
-            <TextInput label="Streak colour" value={form.streak} onChange={(e) => update("streak", e.target.value)} />
-            <Select
-              label="Magnetism"
-              options={ENUMS.magnetism}
-              value={form.magnetism}
-              onChange={(v) => update("magnetism", v)}
-            />
-            <Select label="HCl reaction" options={ENUMS.hcl} value={form.hcl} onChange={(v) => update("hcl", v)} />
-            <TextInput
-              label="Specific gravity (qualitative)"
-              value={form.sg}
-              onChange={(e) => update("sg", e.target.value)}
-            />
-            <TextArea
-              label="Fabric / texture notes"
-              value={form.fabricNotes}
-              onChange={(e) => update("fabricNotes", e.target.value)}
-            />
+        <Section title={sectionById.description.title}>
+          <SchemaFields section={sectionById.description} enums={schema.enums} form={form} onChange={update} />
+        </Section>
 
-            {/* ✅ NEW FIELD: Packing */}
-            <Select
-              label="Packing"
-              options={ENUMS.packing}
-              value={form.packing}
-              onChange={(v) => update("packing", v)}
+        {/* Drill core log */}
+        {coreMode && (
+          <Section title="Drill hole log">
+            <CorePanel
+              hole={hole}
+              onChange={setHole}
+              collar={formatLocation(form)}
+              photos={photos}
+              enums={schema.enums}
+              describingId={describingId}
+              onDescribe={describeInterval}
             />
+          </Section>
+        )}
 
-            {/* ✅ NEW FIELD: Texture Type */}
-            <Select
-              label="Texture"
-              options={ENUMS.textureType}
-              value={form.textureType}
-              onChange={(v) => update("textureType", v)}
-            />
-          </TwoCol>
+        {/* Structural measurements */}
+        <Section title="Structural measurements">
+          <StructuresPanel
+            items={measurements}
+            onChange={setMeasurements}
+            scope={netScope}
+            onScope={setNetScope}
+            projectItems={netItems}
+            project={form.project}
+          />
+        </Section>
 
-          <div className="mt-2">
-            <div className="mb-1 text-sm font-medium">Minerals present</div>
-            <CheckboxGroup options={ENUMS.minerals} value={form.minerals} onChange={(v) => update("minerals", v)} />
-          </div>
+        {/* Sampling & extra */}
+        <Section title={sectionById.sampling.title}>
+          <SchemaFields
+            section={sectionById.sampling}
+            enums={schema.enums}
+            form={form}
+            onChange={update}
+            panels={{
+              pxrfPanel: (
+                <PxrfPanel
+                  file={pxrfFile}
+                  attached={pxrf}
+                  summary={pxrfSummary}
+                  onImport={importPxrf}
+                  onPick={pickPxrfReadings}
+                />
+              ),
+            }}
+          />
+        </Section>
 
-          <div className="mt-2">
-            <div className="mb-1 text-sm font-medium">Alteration</div>
-            <CheckboxGroup options={ENUMS.alteration} value={form.alteration} onChange={(v) => update("alteration", v)} />
-          </div>
+        {/* Sections added by the project config */}
+        {schema.sections
+          .filter((sec) => !BUILT_IN_SECTIONS.includes(sec.id))
+          .map((sec) => (
+            <Section key={sec.id} title={sec.title}>
+              <SchemaFields section={sec} enums={schema.enums} form={form} onChange={update} />
+            </Section>
+          ))}
 
-          <div className="mt-2">
-            <div className="mb-1 text-sm font-medium">Sulfides observed</div>
-            <CheckboxGroup options={ENUMS.sulfides} value={form.sulfides} onChange={(v) => update("sulfides", v)} />
-          </div>
+        {/* Revision history of the open sample */}
+        {loadedId && (
+          <Section title={`History (${revisions.length})`}>
+            <RevisionHistory key={loadedId} schema={schema} revisions={revisions} aiRuns={aiRuns} onRestore={restoreRevision} />
+          </Section>
+        )}
 
-          <TwoCol>
-            <TextArea
-              label="Mineralization notes"
-              value={form.mineralizationNotes}
-              onChange={(e) => update("mineralizationNotes", e.target.value)}
-            />
-            <TextArea
-              label="Structures (veins, shear, breccia type, orientations)"
-              value={form.structures}
-              onChange={(e) => update("structures", e.target.value)}
-            />
-          </TwoCol>
+        {/* Projects */}
+        <Section title={`Projects (${projects.length})`}>
+          <ProjectsPanel projects={projects} sampleTypes={schema.enums.sampleType} onSave={storeProject} onDelete={removeProject} />
         </Section>
 
-        {/* Sampling & extra */}
-        <Section title="Sampling & extra">
-          <TwoCol>
-            <Select
-              label="Sample type"
-              options={ENUMS.sampleType}
-              value={form.sampleType}
-              onChange={(v) => update("sampleType", v)}
-            />
-            <TextInput
-              label="Sample length (m)"
-              value={form.sampleLength_m}
-              onChange={(e) => update("sampleLength_m", e.target.value)}
-            />
-            <TextArea label="pXRF summary (if any)" value={form.pxrf} onChange={(e) => update("pxrf", e.target.value)} />
-          </TwoCol>
+        {/* Map */}
+        <Section title="Map">
+          <SampleMap
+            samples={mapSamples}
+            layers={mapLayers}
+            colourBy={mapColourBy}
+            onColourBy={setMapColourBy}
+            bbox={query.bbox}
+            onBox={(bbox) => search({ ...query, bbox })}
+            currentId={loadedId}
+            onOpen={openSample}
+            onAddLayer={addMapLayer}
+            onToggleLayer={toggleMapLayer}
+            onRemoveLayer={removeMapLayer}
+          />
+        </Section>
+
+        {/* Sample library */}
+        <Section title={`Sample library (${library.length})`}>
+          <SearchPanel
+            query={query}
+            onChange={search}
+            enums={schema.enums}
+            projects={Array.from(new Set(library.map((s) => s.project))).sort()}
+            rockNames={Array.from(new Set(library.map((s) => s.rockName).filter(Boolean))).sort()}
+            total={library.length}
+            shown={shownLibrary.length}
+          />
+          <CollectionTools
+            count={shownLibrary.length}
+            selectedCount={shownSelected.length}
+            busy={collectionBusy}
+            onExport={exportCollection}
+            onImport={importCollection}
+          />
+          <SampleLibrary
+            samples={libraryPageRows.rows}
+            emptyText={library.length ? "No samples match the search." : undefined}
+            sort={sort}
+            onSort={setSort}
+            page={libraryPageRows.page}
+            pages={libraryPageRows.pages}
+            onPage={setLibraryPage}
+            currentId={loadedId}
+            queue={queue}
+            selected={selectedIds}
+            onSelect={selectSamples}
+            onOpen={openSample}
+            onDelete={removeSample}
+            onRetry={retryQueued}
+          />
         </Section>
 
+        {/* Deleted samples (history kept until purged) */}
+        {deletedSamples.length > 0 && (
+          <Section title={`Deleted samples (${deletedSamples.length})`}>
+            <DeletedSamples samples={deletedSamples} onRestore={restoreDeleted} onPurge={purgeDeleted} />
+          </Section>
+        )}
+
+        {/* Sample tags */}
+        <Section title="Sample tags">
+          <LabelsPanel samples={library} project={form.project} />
+        </Section>
+
+        {/* Lab submission */}
+        <Section title="Lab submission">
+          <LabSubmissionPanel samples={library} analyses={schema.enums.analyses} loadRecord={loadSample} submitter={form.geologist} />
+        </Section>
+
+        {promptPreview && <PromptPreview preview={promptPreview} onClose={() => setPromptPreview(null)} />}
+
+        {mergeQueue.length > 0 && (
+          <MergeDialog
+            key={mergeQueue[0].id}
+            id={mergeQueue[0].id}
+            rows={mergeQueue[0].rows}
+            remaining={mergeQueue.length - 1}
+            onApply={resolveMerge}
+            onSkip={() => resolveMerge(null)}
+            onCancel={() => setMergeQueue([])}
+          />
+        )}
+
+        {scanning && <QrScanner onScan={openFromTag} onClose={() => setScanning(false)} />}
+
         {/* Footer */}
         <footer className="mt-8 text-center text-xs text-slate-500">
           © {new Date().getFullYear()} GeoDescribe prototype.
@@ -0,0 +1,45 @@
+// src/CollectionTools.jsx
+// Library toolbar: collection exports (src/gis.js) and the matching import
+// (JSON sample files too). Exports cover the ticked samples, or every sample
+// the search shows (all pages).
+import { useRef } from "react";
+
+const btn = "rounded-xl border px-3 py-1.5 text-sm cursor-pointer hover:bg-slate-50 active:scale-95 disabled:opacity-50";
+
+const COLLECTION_FORMATS = [
+  ["json", "JSON bundle"],
+  ["geojson", "GeoJSON"],
+  ["kml", "KML"],
+  ["kmz", "KMZ"],
+  ["csv", "CSV"],
+];
+
+export default function CollectionTools({ count, selectedCount, busy, onExport, onImport }) {
+  const fileRef = useRef(null);
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2">
+      <span className="text-sm text-slate-500">
+        Export {selectedCount ? `${selectedCount} selected` : `all ${count} shown`}:
+      </span>
+      {COLLECTION_FORMATS.map(([id, label]) => (
+        <button key={id} className={btn} disabled={busy || !(selectedCount || count)} onClick={() => onExport(id)}>
+          {label}
+        </button>
+      ))}
+      <button className={`${btn} ml-auto`} disabled={busy} onClick={() => fileRef.current?.click()}>
+        Import…
+      </button>
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".geojson,.json,.kml,.kmz,.csv"
+        className="hidden"
+        onChange={(e) => {
+          const f = e.target.files?.[0];
+          e.target.value = "";
+          if (f) onImport(f);
+        }}
+      />
+    </div>
+  );
+}
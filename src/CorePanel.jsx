@@ -0,0 +1,161 @@
+// src/CorePanel.jsx
+// Drill core logging: hole header (collar = the sample's location), the
+// from/to interval log with gap/overlap checks, a strip log, and per-interval
+// AI descriptions from the photos assigned to that interval. App owns the hole
+// and runs the describe calls.
+import { useState } from "react";
+import { TextInput, CheckboxGroup } from "./ui.jsx";
+import StripLog from "./StripLog.jsx";
+import { newInterval, validateHole, checkIntervals, sortIntervals } from "./core.js";
+
+const cell = "rounded-lg border px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-black/30";
+
+export default function CorePanel({ hole, onChange, collar, photos, enums, describingId, onDescribe }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const { rows, gaps, overlaps } = checkIntervals(hole.intervals, hole.depth);
+  const holeErrors = validateHole(hole);
+
+  function setHole(patch) {
+    onChange({ ...hole, ...patch });
+  }
+  function editInterval(id, patch) {
+    setHole({ intervals: hole.intervals.map((iv) => (iv.id === id ? { ...iv, ...patch } : iv)) });
+  }
+  function addInterval() {
+    // Continue from the deepest logged To
+    const deepest = Math.max(0, ...hole.intervals.map((iv) => Number(iv.to)).filter(Number.isFinite));
+    const iv = newInterval(hole.intervals.length ? deepest : 0);
+    setHole({ intervals: [...hole.intervals, iv] });
+    setSelectedId(iv.id);
+  }
+  function togglePhoto(iv, photoId) {
+    const ids = new Set(iv.photoIds);
+    if (ids.has(photoId)) ids.delete(photoId);
+    else ids.add(photoId);
+    editInterval(iv.id, { photoIds: Array.from(ids) });
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <TextInput label="Hole ID" value={hole.holeId} onChange={(e) => setHole({ holeId: e.target.value })} />
+        <TextInput label="Azimuth (°)" inputMode="decimal" value={hole.azimuth} onChange={(e) => setHole({ azimuth: e.target.value })} />
+        <TextInput label="Dip (°, negative down)" inputMode="decimal" value={hole.dip} onChange={(e) => setHole({ dip: e.target.value })} />
+        <TextInput label="Total depth (m)" inputMode="decimal" value={hole.depth} onChange={(e) => setHole({ depth: e.target.value })} />
+      </div>
+      <div className="mt-2 text-sm text-slate-600">Collar: {collar || "set the location under Sample & Location"}</div>
+      {holeErrors.length > 0 && <div className="mt-1 text-sm text-red-700">{holeErrors.join(" · ")}</div>}
+      {(gaps.length > 0 || overlaps.length > 0) && (
+        <div className="mt-2 rounded-xl border border-red-200 bg-red-50 p-2 text-sm text-red-800">
+          {gaps.length > 0 && <div>Gaps: {gaps.map((g) => `${g.from}–${g.to} m`).join(", ")}</div>}
+          {overlaps.length > 0 && <div>Overlaps: {overlaps.map((o) => `${o.from}–${o.to} m`).join(", ")}</div>}
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-col md:flex-row gap-4">
+        <StripLog
+          intervals={hole.intervals}
+          gaps={gaps}
+          overlaps={overlaps}
+          depth={hole.depth}
+          selectedId={selectedId}
+          onSelect={setSelectedId}
+        />
+
+        <div className="flex-1 min-w-0 space-y-2">
+          {sortIntervals(hole.intervals).map((iv) => {
+            const open = iv.id === selectedId;
+            return (
+              <div
+                key={iv.id}
+                className={`rounded-xl border p-2 ${open ? "border-black" : ""}`}
+                onFocus={() => setSelectedId(iv.id)}
+                onClick={() => setSelectedId(iv.id)}
+              >
+                <div className="flex flex-wrap items-center gap-2">
+                  <input className={`${cell} w-20`} placeholder="From" inputMode="decimal" value={iv.from} onChange={(e) => editInterval(iv.id, { from: e.target.value })} />
+                  <span className="text-slate-500">–</span>
+                  <input className={`${cell} w-20`} placeholder="To" inputMode="decimal" value={iv.to} onChange={(e) => editInterval(iv.id, { to: e.target.value })} />
+                  <span className="text-sm text-slate-500">m</span>
+                  <input className={`${cell} flex-1 min-w-32`} placeholder="Lithology" value={iv.lithology} onChange={(e) => editInterval(iv.id, { lithology: e.target.value })} />
+                  <select className={cell} value={iv.weatheringGrade} onChange={(e) => editInterval(iv.id, { weatheringGrade: e.target.value })}>
+                    <option value="">weathering…</option>
+                    {enums.weatheringGrade.map((w) => (
+                      <option key={w} value={w}>
+                        {w}
+                      </option>
+                    ))}
+                  </select>
+                  <input className={`${cell} w-32`} placeholder="Sample no(s)" value={iv.sampleNos} onChange={(e) => editInterval(iv.id, { sampleNos: e.target.value })} />
+                  <button
+                    type="button"
+                    className="rounded-lg border px-2 py-1 text-sm cursor-pointer text-red-700 hover:bg-red-50 active:scale-95"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setHole({ intervals: hole.intervals.filter((x) => x.id !== iv.id) });
+                    }}
+                  >
+                    Remove
+                  </button>
+                </div>
+                {rows[iv.id] && <div className="mt-1 text-xs text-red-700">{rows[iv.id].join(" · ")}</div>}
+
+                {open && (
+                  <div className="mt-3 space-y-3">
+                    <CheckboxGroup options={enums.alteration} value={iv.alteration} onChange={(v) => editInterval(iv.id, { alteration: v })} />
+                    <textarea
+                      rows={2}
+                      className={`${cell} w-full`}
+                      placeholder="Mineralisation (style, sulfides, %)"
+                      value={iv.mineralisation}
+                      onChange={(e) => editInterval(iv.id, { mineralisation: e.target.value })}
+                    />
+                    <div>
+                      <div className="text-sm font-medium mb-1">Photos for this interval</div>
+                      {photos.length ? (
+                        <div className="flex flex-wrap gap-2">
+                          {photos.map((p, i) => (
+                            <button
+                              key={p.id}
+                              type="button"
+                              onClick={() => togglePhoto(iv, p.id)}
+                              className={`relative rounded-lg overflow-hidden border-2 ${iv.photoIds.includes(p.id) ? "border-black" : "border-transparent opacity-60"}`}
+                              title={p.role || `Photo ${i + 1}`}
+                            >
+                              <img src={p.src} alt={`Photo ${i + 1}`} className="w-16 h-16 object-cover" />
+                            </button>
+                          ))}
+                        </div>
+                      ) : (
+                        <div className="text-sm text-slate-500">Add core photos above, then tick them here.</div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <button
+                        type="button"
+                        className="rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95 disabled:opacity-50"
+                        disabled={!!describingId || !iv.photoIds.length || !!rows[iv.id]}
+                        onClick={() => onDescribe(iv.id)}
+                      >
+                        {describingId === iv.id ? "Describing…" : "Describe interval (AI)"}
+                      </button>
+                      {iv.structured?.rockName && <span className="text-sm text-slate-600">→ {iv.structured.rockName}</span>}
+                    </div>
+                    {iv.generated && <div className="whitespace-pre-wrap text-sm rounded-xl bg-slate-50 p-3">{iv.generated}</div>}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          <button
+            type="button"
+            className="rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95"
+            onClick={addInterval}
+          >
+            ＋ Add interval
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// src/DeletedSamples.jsx
+// Samples deleted on this device whose revision history is still kept
+// (src/storage.js): restore one as it was, or purge its history and photos.
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : "");
+
+export default function DeletedSamples({ samples, onRestore, onPurge }) {
+  if (!samples.length) return <div className="text-sm text-slate-500">No deleted samples.</div>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500 border-b">
+            <th className="py-2 pr-3 font-medium">Sample ID</th>
+            <th className="py-2 pr-3 font-medium">Project</th>
+            <th className="py-2 pr-3 font-medium">Deleted</th>
+            <th className="py-2 pr-3 font-medium">By</th>
+            <th className="py-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {samples.map((s) => (
+            <tr key={s.id} className="border-b last:border-0">
+              <td className="py-2 pr-3 font-medium">{s.id}</td>
+              <td className="py-2 pr-3">{s.project}</td>
+              <td className="py-2 pr-3 text-slate-600">{when(s.deletedAt)}</td>
+              <td className="py-2 pr-3 text-slate-600">{s.author}</td>
+              <td className="py-2 text-right whitespace-nowrap">
+                <button
+                  className="rounded-xl border px-3 py-1 cursor-pointer hover:bg-slate-50 active:scale-95"
+                  onClick={() => onRestore(s.id)}
+                >
+                  Restore
+                </button>
+                <button
+                  className="ml-2 rounded-xl border px-3 py-1 cursor-pointer text-red-700 hover:bg-red-50 active:scale-95"
+                  onClick={() => onPurge(s.id)}
+                >
+                  Purge
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+// src/LabSubmissionPanel.jsx
+// Batch lab submission: pick saved samples, set weights and requested
+// analyses, download the PDF form (src/pdf.js). Weight and sample type come
+// from the saved records through `loadRecord`; edits here don't touch them.
+import { useState } from "react";
+import { TwoCol, TextInput, TextArea, CheckboxGroup } from "./ui.jsx";
+import { labSubmissionPdf } from "./pdf.js";
+
+export default function LabSubmissionPanel({ samples, analyses, loadRecord, submitter = "" }) {
+  const [header, setHeader] = useState(() => ({
+    lab: "",
+    reference: "",
+    submitter,
+    dispatchDate: new Date().toISOString().slice(0, 10),
+    notes: "",
+  }));
+  const [batchAnalyses, setBatchAnalyses] = useState([]);
+  const [rows, setRows] = useState([]); // [{ id, project, sampleType, weightKg, analyses, notes }]
+  const [error, setError] = useState("");
+
+  const included = new Set(rows.map((r) => r.id));
+  const editHeader = (patch) => setHeader((h) => ({ ...h, ...patch }));
+  const editRow = (id, patch) => setRows((rs) => rs.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  async function toggle(id) {
+    setError("");
+    if (included.has(id)) {
+      setRows((rs) => rs.filter((r) => r.id !== id));
+      return;
+    }
+    try {
+      const rec = await loadRecord(id);
+      const f = rec?.form || {};
+      setRows((rs) => [
+        ...rs,
+        { id, project: f.project || "", sampleType: f.sampleType || "", weightKg: f.sampleWeight_kg || "", analyses: [...batchAnalyses], notes: "" },
+      ]);
+    } catch (e) {
+      setError(String(e.message || e));
+    }
+  }
+
+  // Changing the batch selection applies to every row
+  function setBatch(next) {
+    setBatchAnalyses(next);
+    setRows((rs) => rs.map((r) => ({ ...r, analyses: [...next] })));
+  }
+
+  function download() {
+    const projects = Array.from(new Set(rows.map((r) => r.project).filter(Boolean)));
+    const doc = labSubmissionPdf({ header: { ...header, project: projects.join(", ") }, samples: rows });
+    doc.save(`submission-${header.reference || header.dispatchDate}.pdf`);
+  }
+
+  return (
+    <div>
+      <TwoCol>
+        <TextInput label="Laboratory" value={header.lab} onChange={(e) => editHeader({ lab: e.target.value })} />
+        <TextInput label="Submission reference" value={header.reference} onChange={(e) => editHeader({ reference: e.target.value })} />
+        <TextInput label="Submitted by" value={header.submitter} onChange={(e) => editHeader({ submitter: e.target.value })} />
+        <TextInput label="Dispatch date" type="date" value={header.dispatchDate} onChange={(e) => editHeader({ dispatchDate: e.target.value })} />
+        <TextArea label="Notes to the lab" value={header.notes} onChange={(e) => editHeader({ notes: e.target.value })} />
+      </TwoCol>
+
+      <div className="mt-4 mb-1 text-sm font-medium">Analyses (whole batch; adjust per sample below)</div>
+      <CheckboxGroup options={analyses} value={batchAnalyses} onChange={setBatch} />
+
+      {samples.length ? (
+        <div className="mt-4 max-h-56 overflow-y-auto rounded-xl border p-2">
+          {samples.map((s) => (
+            <label key={s.id} className="flex items-center gap-2 px-1 py-0.5 text-sm cursor-pointer">
+              <input type="checkbox" checked={included.has(s.id)} onChange={() => toggle(s.id)} />
+              <span className="font-medium">{s.id}</span>
+              <span className="text-slate-500">{s.project}</span>
+            </label>
+          ))}
+        </div>
+      ) : (
+        <div className="mt-4 text-sm text-slate-500">Save samples to the library to add them to a submission.</div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-2 pr-3 font-medium">Sample ID</th>
+                <th className="py-2 pr-3 font-medium">Type</th>
+                <th className="py-2 pr-3 font-medium">Weight (kg)</th>
+                <th className="py-2 pr-3 font-medium">Analyses</th>
+                <th className="py-2 font-medium">Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.id} className="border-b last:border-0 align-top">
+                  <td className="py-2 pr-3 font-medium">{r.id}</td>
+                  <td className="py-2 pr-3">{r.sampleType || "—"}</td>
+                  <td className="py-2 pr-3">
+                    <input
+                      className="w-20 rounded-lg border px-2 py-1"
+                      inputMode="decimal"
+                      value={r.weightKg}
+                      onChange={(e) => editRow(r.id, { weightKg: e.target.value })}
+                    />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <details>
+                      <summary className="cursor-pointer">{r.analyses.length ? r.analyses.join(", ") : "none"}</summary>
+                      <div className="mt-2">
+                        <CheckboxGroup options={analyses} value={r.analyses} onChange={(v) => editRow(r.id, { analyses: v })} />
+                      </div>
+                    </details>
+                  </td>
+                  <td className="py-2">
+                    <input className="w-full rounded-lg border px-2 py-1" value={r.notes} onChange={(e) => editRow(r.id, { notes: e.target.value })} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {error && <div className="mt-2 text-sm text-red-700">{error}</div>}
+      <button
+        className="mt-3 rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95 disabled:opacity-50"
+        disabled={!rows.length}
+        onClick={download}
+      >
+        Download submission PDF ({rows.length})
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+// src/LabelsPanel.jsx
+// Printable QR tag sheets for saved samples (bags, core trays). The PDF is
+// laid out for the chosen label stock; see src/labels.js and src/pdf.js.
+import { useState } from "react";
+import { TwoCol, TextInput } from "./ui.jsx";
+import { LABEL_STOCKS, DEFAULT_STOCK, labelPayload } from "./labels.js";
+import { labelSheetPdf } from "./pdf.js";
+
+const selectCls = "w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30 cursor-pointer";
+
+export default function LabelsPanel({ samples, project }) {
+  const [stockId, setStockId] = useState(DEFAULT_STOCK);
+  const [skip, setSkip] = useState("0");
+  const [copies, setCopies] = useState("1");
+  const [filter, setFilter] = useState(project || "");
+  const [picked, setPicked] = useState(() => new Set());
+
+  const stock = LABEL_STOCKS[stockId];
+  const perPage = stock.cols * stock.rows;
+  const projects = Array.from(new Set(samples.map((s) => s.project))).sort();
+  const shown = samples.filter((s) => !filter || s.project === filter);
+  const chosen = samples.filter((s) => picked.has(s.id));
+  const nSkip = Math.min(Math.max(0, parseInt(skip, 10) || 0), perPage - 1);
+  const nCopies = Math.min(Math.max(1, parseInt(copies, 10) || 1), 10);
+  const sheets = Math.ceil((chosen.length * nCopies + nSkip) / perPage);
+
+  function toggle(id) {
+    setPicked((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function download() {
+    const doc = labelSheetPdf({
+      samples: chosen.map((s) => ({ ...s, project: s.project === "—" ? "" : s.project })),
+      stock,
+      skip: nSkip,
+      copies: nCopies,
+      payload: labelPayload,
+    });
+    doc.save(`labels-${filter || "samples"}-${stockId}.pdf`);
+  }
+
+  return (
+    <div>
+      <TwoCol>
+        <label className="block">
+          <span className="block text-sm font-medium mb-1">Label stock</span>
+          <select className={selectCls} value={stockId} onChange={(e) => setStockId(e.target.value)}>
+            {Object.entries(LABEL_STOCKS).map(([id, s]) => (
+              <option key={id} value={id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-sm font-medium mb-1">Project</span>
+          <select className={selectCls} value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value="">All projects</option>
+            {projects.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+        </label>
+        <TextInput label={`Skip used labels on the first sheet (0–${perPage - 1})`} inputMode="numeric" value={skip} onChange={(e) => setSkip(e.target.value)} />
+        <TextInput label="Copies per sample (bag + tag, tray ends…)" inputMode="numeric" value={copies} onChange={(e) => setCopies(e.target.value)} />
+      </TwoCol>
+
+      {shown.length ? (
+        <div className="mt-4">
+          <div className="mb-1 flex gap-3 text-sm">
+            <button className="underline cursor-pointer" onClick={() => setPicked(new Set([...picked, ...shown.map((s) => s.id)]))}>
+              Select all shown
+            </button>
+            <button className="underline cursor-pointer" onClick={() => setPicked(new Set())}>
+              Clear
+            </button>
+          </div>
+          <div className="max-h-56 overflow-y-auto rounded-xl border p-2">
+            {shown.map((s) => (
+              <label key={s.id} className="flex items-center gap-2 px-1 py-0.5 text-sm cursor-pointer">
+                <input type="checkbox" checked={picked.has(s.id)} onChange={() => toggle(s.id)} />
+                <span className="font-medium">{s.id}</span>
+                <span className="text-slate-500">{s.project}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="mt-4 text-sm text-slate-500">No saved samples{filter ? ` in ${filter}` : ""} to label.</div>
+      )}
+
+      <button
+        className="mt-3 rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95 disabled:opacity-50"
+        disabled={!chosen.length}
+        onClick={download}
+      >
+        Download labels ({chosen.length * nCopies} on {sheets || 0} sheet{sheets === 1 ? "" : "s"})
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+// src/LocationInput.jsx
+// Location entry in decimal degrees, DMS or UTM on a stated datum, plus one-tap
+// device GPS. Every valid entry patches both the geographic (lat/lon) and the
+// projected (utmZone/utmHemisphere/easting/northing) form fields.
+import { useState } from "react";
+import { TextInput, Select } from "./ui.jsx";
+import {
+  DATUMS,
+  parseAngle,
+  formatDms,
+  validateGeographic,
+  validateUtm,
+  geographicPatch,
+  projectedPatch,
+} from "./coords.js";
+
+const MODES = [
+  ["dd", "Decimal °"],
+  ["dms", "D° M' S\""],
+  ["utm", "UTM / MGA"],
+];
+const CLEAR_UTM = { utmZone: "", utmHemisphere: "", easting: "", northing: "" };
+
+const utmOf = (f) => ({
+  zone: Number(f.utmZone),
+  hemisphere: String(f.utmHemisphere || "").toUpperCase(),
+  easting: Number(f.easting),
+  northing: Number(f.northing),
+});
+
+export default function LocationInput({ form, onPatch }) {
+  const mode = form.coordEntry || "dd";
+  const datum = form.datum || "WGS84";
+  const [dms, setDms] = useState(() => ({
+    lat: form.lat ? formatDms(Number(form.lat), "lat") : "",
+    lon: form.lon ? formatDms(Number(form.lon), "lon") : "",
+  }));
+  const [gps, setGps] = useState({ busy: false, error: "" });
+
+  // Errors shown under the inputs for the active mode
+  let errors = [];
+  if (mode === "utm" && (form.utmZone || form.easting || form.northing)) errors = validateUtm(utmOf(form));
+  else if (mode === "dms" && (dms.lat || dms.lon)) {
+    errors = validateGeographic(parseAngle(dms.lat, "lat"), parseAngle(dms.lon, "lon"));
+  } else if (mode !== "utm" && (form.lat || form.lon)) {
+    errors = validateGeographic(parseAngle(form.lat, "lat"), parseAngle(form.lon, "lon"));
+  }
+
+  // Plain decimals typed in DD mode are kept as typed (so editing isn't fought
+  // by reformatting); anything else is stored as the parsed decimal.
+  function setGeographic(latText, lonText) {
+    const lat = parseAngle(latText, "lat");
+    const lon = parseAngle(lonText, "lon");
+    if (validateGeographic(lat, lon).length) {
+      onPatch({ ...(mode === "dd" ? { lat: latText, lon: lonText } : { lat: "", lon: "" }), ...CLEAR_UTM });
+      return;
+    }
+    const patch = { ...geographicPatch(lat, lon, datum), locationSource: "manual" };
+    const plain = /^\s*-?\d*\.?\d*\s*$/;
+    if (mode === "dd" && plain.test(latText)) patch.lat = latText.trim();
+    if (mode === "dd" && plain.test(lonText)) patch.lon = lonText.trim();
+    onPatch(patch);
+  }
+
+  function setUtm(field, value) {
+    const next = { ...form, [field]: value };
+    const utm = utmOf(next);
+    if (!validateUtm(utm).length) onPatch({ ...projectedPatch(utm, datum), [field]: value, locationSource: "manual" });
+    else onPatch({ [field]: value, lat: "", lon: "" });
+  }
+
+  function setMode(m) {
+    if (m === "dms") setDms({ lat: form.lat ? formatDms(Number(form.lat), "lat") : "", lon: form.lon ? formatDms(Number(form.lon), "lon") : "" });
+    onPatch({ coordEntry: m });
+  }
+
+  // Re-derive the dependent system on the new datum
+  function setDatum(d) {
+    if (mode === "utm" && !validateUtm(utmOf(form)).length) onPatch({ datum: d, ...projectedPatch(utmOf(form), d) });
+    else if (form.lat && form.lon && !validateGeographic(Number(form.lat), Number(form.lon)).length) {
+      onPatch({ datum: d, ...geographicPatch(Number(form.lat), Number(form.lon), d) });
+    } else onPatch({ datum: d });
+  }
+
+  function captureDevice() {
+    if (!navigator.geolocation) {
+      setGps({ busy: false, error: "This device has no geolocation support." });
+      return;
+    }
+    setGps({ busy: true, error: "" });
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        const { latitude, longitude, altitude, accuracy } = pos.coords;
+        const patch = {
+          ...geographicPatch(latitude, longitude, datum),
+          gpsAccuracy_m: String(Math.round(accuracy * 10) / 10),
+          locationSource: "device",
+        };
+        if (altitude != null) patch.elevation = String(Math.round(altitude * 10) / 10);
+        onPatch(patch);
+        setDms({ lat: formatDms(latitude, "lat"), lon: formatDms(longitude, "lon") });
+        setGps({ busy: false, error: "" });
+      },
+      (err) => setGps({ busy: false, error: err.message || "Could not get a position fix." }),
+      { enableHighAccuracy: true, timeout: 30000, maximumAge: 0 }
+    );
+  }
+
+  return (
+    <div className="md:col-span-2 rounded-xl border p-3">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {MODES.map(([m, label]) => (
+          <button
+            key={m}
+            type="button"
+            onClick={() => setMode(m)}
+            className={`px-3 py-1.5 rounded-xl border text-sm ${mode === m ? "bg-black text-white border-black" : "hover:bg-slate-50"}`}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="ml-auto rounded-xl px-3 py-1.5 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95"
+          onClick={captureDevice}
+          disabled={gps.busy}
+        >
+          {gps.busy ? "Getting fix…" : "📍 Use device location"}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Select label="Datum" options={Object.keys(DATUMS)} value={datum} onChange={setDatum} />
+        {mode === "dd" && (
+          <>
+            <TextInput label="Latitude (°)" value={form.lat} inputMode="decimal" onChange={(e) => setGeographic(e.target.value, form.lon)} />
+            <TextInput label="Longitude (°)" value={form.lon} inputMode="decimal" onChange={(e) => setGeographic(form.lat, e.target.value)} />
+          </>
+        )}
+        {mode === "dms" && (
+          <>
+            <TextInput
+              label="Latitude (D M S N/S)"
+              value={dms.lat}
+              placeholder={`23°30'15.2"S`}
+              onChange={(e) => {
+                setDms((d) => ({ ...d, lat: e.target.value }));
+                setGeographic(e.target.value, dms.lon);
+              }}
+            />
+            <TextInput
+              label="Longitude (D M S E/W)"
+              value={dms.lon}
+              placeholder={`146°06'00.0"E`}
+              onChange={(e) => {
+                setDms((d) => ({ ...d, lon: e.target.value }));
+                setGeographic(dms.lat, e.target.value);
+              }}
+            />
+          </>
+        )}
+        {mode === "utm" && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <TextInput label="Zone" value={form.utmZone} inputMode="numeric" onChange={(e) => setUtm("utmZone", e.target.value)} />
+              <Select label="Hemi." options={["N", "S"]} value={form.utmHemisphere} onChange={(v) => setUtm("utmHemisphere", v)} />
+            </div>
+            <TextInput label="Easting (m)" value={form.easting} inputMode="decimal" onChange={(e) => setUtm("easting", e.target.value)} />
+            <TextInput label="Northing (m)" value={form.northing} inputMode="decimal" onChange={(e) => setUtm("northing", e.target.value)} />
+          </>
+        )}
+      </div>
+
+      {errors.length > 0 && <div className="mt-2 text-sm text-red-700">{errors.join(" · ")}</div>}
+      {gps.error && <div className="mt-2 text-sm text-red-700">{gps.error}</div>}
+
+      {/* Live conversion */}
+      {form.lat && form.lon && form.easting && form.northing && (
+        <div className="mt-2 text-xs text-slate-600">
+          {form.lat}, {form.lon} · {formatDms(Number(form.lat), "lat")} {formatDms(Number(form.lon), "lon")} · UTM{" "}
+          {form.utmZone}
+          {form.utmHemisphere} {form.easting} E {form.northing} N ({DATUMS[datum]?.label || datum})
+          {form.gpsAccuracy_m && form.locationSource === "device" && ` · device fix ±${form.gpsAccuracy_m} m`}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+// src/MergeDialog.jsx
+// Per-field merge for an imported sample whose ID is already saved. Rows come
+// from diffRecords() (src/interchange.js); App applies the choices with
+// mergeRecords() and moves on to the next clash.
+import { useState } from "react";
+
+export default function MergeDialog({ id, rows, remaining, onApply, onSkip, onCancel }) {
+  const [choices, setChoices] = useState(() => Object.fromEntries(rows.map((r) => [r.id, r.pick])));
+  const pickAll = (side) => setChoices(Object.fromEntries(rows.map((r) => [r.id, side])));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-2xl bg-white p-4">
+        <h2 className="text-lg font-semibold">Sample {id} already exists</h2>
+        <div className="mb-3 text-sm text-slate-600">
+          Choose which value to keep for each difference.
+          {remaining > 0 && ` ${remaining} more clash${remaining === 1 ? "" : "es"} after this one.`}
+        </div>
+        {rows.length ? (
+          <div className="overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b">
+                  <th className="py-2 pr-3 font-medium">Field</th>
+                  <th className="py-2 pr-3 font-medium">
+                    <button className="underline cursor-pointer" onClick={() => pickAll("current")}>
+                      On this device
+                    </button>
+                  </th>
+                  <th className="py-2 font-medium">
+                    <button className="underline cursor-pointer" onClick={() => pickAll("incoming")}>
+                      In the file
+                    </button>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.id} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-3 font-medium">{r.label}</td>
+                    {["current", "incoming"].map((side, i) => (
+                      <td key={side} className="py-2 pr-3">
+                        <label className="flex gap-2 cursor-pointer">
+                          <input
+                            type="radio"
+                            name={r.id}
+                            checked={choices[r.id] === side}
+                            onChange={() => setChoices((c) => ({ ...c, [r.id]: side }))}
+                          />
+                          <span className={`whitespace-pre-wrap break-words ${choices[r.id] === side ? "" : "text-slate-400"}`}>
+                            {r.preview[i] || <em>empty</em>}
+                          </span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-sm text-slate-500">The file's copy is identical to the saved one.</div>
+        )}
+        <div className="mt-4 flex gap-2">
+          <button
+            className="rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95"
+            onClick={() => onApply(choices)}
+          >
+            Save merged sample
+          </button>
+          <button className="rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95" onClick={onSkip}>
+            Keep saved copy
+          </button>
+          <button className="ml-auto rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95" onClick={onCancel}>
+            Stop importing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+// src/ProjectsPanel.jsx
+// Project list/editor and the form's project picker. App owns the projects
+// (IndexedDB via src/storage.js) and carries samples across on a code change.
+import { useState } from "react";
+import { TextInput, Select } from "./ui.jsx";
+import { newProject, validateProject, formatSampleId } from "./projects.js";
+
+const selectCls = "w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30 cursor-pointer";
+
+export function ProjectPicker({ projects, value, onChange, onNextId }) {
+  const known = projects.some((p) => p.code === value);
+  return (
+    <label className="block">
+      <span className="block text-sm font-medium mb-1">Project</span>
+      <div className="flex gap-2">
+        <select className={selectCls} value={value ?? ""} onChange={(e) => onChange(e.target.value)}>
+          <option value="">No project</option>
+          {projects.map((p) => (
+            <option key={p.code} value={p.code}>
+              {p.code}
+              {p.name ? ` — ${p.name}` : ""}
+            </option>
+          ))}
+          {value && !known && <option value={value}>{value} (not set up)</option>}
+        </select>
+        <button
+          type="button"
+          className="shrink-0 rounded-xl border px-3 py-2 text-sm cursor-pointer hover:bg-slate-50 active:scale-95 disabled:opacity-50"
+          disabled={!known}
+          onClick={onNextId}
+          title="Set the Sample ID to the project's next free ID"
+        >
+          Next ID
+        </button>
+      </div>
+    </label>
+  );
+}
+
+export default function ProjectsPanel({ projects, sampleTypes, onSave, onDelete }) {
+  const [editing, setEditing] = useState(null); // { draft, original } — original code, or null for a new project
+  const [error, setError] = useState("");
+
+  const draft = editing?.draft;
+  const errors = draft
+    ? validateProject(
+        draft,
+        projects.map((p) => p.code).filter((c) => c !== editing.original)
+      )
+    : [];
+
+  function edit(patch) {
+    setEditing((e) => ({ ...e, draft: { ...e.draft, ...patch } }));
+  }
+
+  async function save() {
+    setError("");
+    try {
+      await onSave(draft, editing.original);
+      setEditing(null);
+    } catch (e) {
+      setError(String(e.message || e));
+    }
+  }
+
+  return (
+    <div>
+      {projects.length ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-2 pr-3 font-medium">Code</th>
+                <th className="py-2 pr-3 font-medium">Name</th>
+                <th className="py-2 pr-3 font-medium">Next ID looks like</th>
+                <th className="py-2 pr-3 font-medium">Geologist</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {projects.map((p) => (
+                <tr key={p.code} className="border-b last:border-0">
+                  <td className="py-2 pr-3 font-medium">{p.code}</td>
+                  <td className="py-2 pr-3">{p.name}</td>
+                  <td className="py-2 pr-3 font-mono">{formatSampleId(p, 1)}</td>
+                  <td className="py-2 pr-3">{p.geologist}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      className="rounded-xl border px-3 py-1 cursor-pointer hover:bg-slate-50 active:scale-95"
+                      onClick={() => setEditing({ draft: { ...p }, original: p.code })}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      className="ml-2 rounded-xl border px-3 py-1 cursor-pointer text-red-700 hover:bg-red-50 active:scale-95"
+                      onClick={() => onDelete(p.code)}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-sm text-slate-500">No projects yet. A project sets the sample ID pattern and the defaults for new samples.</div>
+      )}
+
+      {draft ? (
+        <div className="mt-4 rounded-xl border p-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <TextInput label="Code" value={draft.code} onChange={(e) => edit({ code: e.target.value.trim() })} />
+            <TextInput label="Name" value={draft.name} onChange={(e) => edit({ name: e.target.value })} />
+            <TextInput label="ID prefix" value={draft.prefix} onChange={(e) => edit({ prefix: e.target.value.trim() })} />
+            <TextInput
+              label="ID pattern ({prefix}, {seq:N}, {yyyy}, {yy})"
+              value={draft.pattern}
+              onChange={(e) => edit({ pattern: e.target.value.trim() })}
+            />
+            <TextInput
+              label="Host units (comma separated)"
+              value={draft.hostUnits.join(", ")}
+              onChange={(e) => edit({ hostUnits: e.target.value.split(",").map((s) => s.trimStart()) })}
+              onBlur={() => edit({ hostUnits: draft.hostUnits.map((s) => s.trim()).filter(Boolean) })}
+            />
+            <Select label="Default sample type" options={sampleTypes} value={draft.sampleType} onChange={(v) => edit({ sampleType: v })} />
+            <TextInput label="Assigned geologist" value={draft.geologist} onChange={(e) => edit({ geologist: e.target.value })} />
+            <div className="self-end pb-2 text-sm text-slate-600">
+              First ID: <span className="font-mono">{errors.length ? "—" : formatSampleId(draft, 1)}</span>
+            </div>
+          </div>
+          {editing.original && draft.code !== editing.original && !errors.length && (
+            <div className="mt-2 text-sm text-amber-700">
+              Samples in {editing.original} will move to {draft.code} (on this device and on the server).
+            </div>
+          )}
+          {(errors.length > 0 || error) && <div className="mt-2 text-sm text-red-700">{[...errors, error].filter(Boolean).join(" · ")}</div>}
+          <div className="mt-3 flex gap-2">
+            <button
+              className="rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95 disabled:opacity-50"
+              disabled={errors.length > 0}
+              onClick={save}
+            >
+              Save project
+            </button>
+            <button className="rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          className="mt-3 rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95"
+          onClick={() => setEditing({ draft: newProject(), original: null })}
+        >
+          ＋ New project
+        </button>
+      )}
+    </div>
+  );
+}
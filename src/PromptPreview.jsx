@@ -0,0 +1,51 @@
+// src/PromptPreview.jsx
+// What /api/describe would send the model for the current sample
+// (POST /api/describe/preview): template, version and the assembled text.
+
+export default function PromptPreview({ preview, onClose }) {
+  const kb = (bytes) => `${Math.round(bytes / 1024)} kB`;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-2xl bg-white p-4">
+        <h2 className="text-lg font-semibold">Prompt preview</h2>
+        <div className="mb-3 text-sm text-slate-600">
+          {preview.promptVersion} · hash {preview.promptHash} · temperature {preview.temperature}
+          {preview.photosOmitted > 0 && ` · ${preview.photosOmitted} photo(s) left out (image budget)`}
+        </div>
+        <div className="space-y-3 overflow-y-auto text-sm">
+          <div>
+            <div className="mb-1 font-medium">System</div>
+            <pre className="whitespace-pre-wrap rounded-xl bg-slate-50 p-3 text-xs">{preview.system}</pre>
+          </div>
+          <div>
+            <div className="mb-1 font-medium">User</div>
+            <pre className="whitespace-pre-wrap rounded-xl bg-slate-50 p-3 text-xs">{preview.user}</pre>
+          </div>
+          {preview.images.length > 0 && (
+            <div>
+              <div className="mb-1 font-medium">Images</div>
+              <ul className="list-disc pl-5 text-slate-600">
+                {preview.images.map((img) => (
+                  <li key={img.label}>
+                    {img.label} · {kb(img.bytes)} · detail {img.detail}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+        <div className="mt-4 flex gap-2">
+          <button
+            className="rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95"
+            onClick={() => navigator.clipboard?.writeText(`${preview.system}\n\n${preview.user}`)}
+          >
+            Copy text
+          </button>
+          <button className="ml-auto rounded-xl px-4 py-2 bg-black text-white text-sm cursor-pointer hover:bg-gray-800 active:scale-95" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
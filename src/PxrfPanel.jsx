@@ -0,0 +1,116 @@
+// src/PxrfPanel.jsx
+// pXRF import + element table. App owns the parsed file (kept for the whole
+// session so each new sample can be matched against it) and the readings
+// attached to the current sample.
+import { useRef, useState } from "react";
+import { PATHFINDER_RATIOS, formatConc } from "./pxrf.js";
+
+export default function PxrfPanel({ file, attached, summary, onImport, onPick }) {
+  const inputRef = useRef(null);
+  const [error, setError] = useState("");
+  const picked = new Set((attached?.readings || []).map((r) => r.reading));
+
+  async function onChoose(e) {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    setError("");
+    try {
+      await onImport(f);
+    } catch (err) {
+      setError(String(err.message || err));
+    }
+  }
+
+  function toggle(no) {
+    const next = new Set(picked);
+    if (next.has(no)) next.delete(no);
+    else next.add(no);
+    onPick(Array.from(next));
+  }
+
+  return (
+    <div className="md:col-span-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          className="rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95"
+          onClick={() => inputRef.current?.click()}
+        >
+          📈 Import pXRF file (CSV/TXT)
+        </button>
+        <input ref={inputRef} type="file" accept=".csv,.txt,.tsv,text/csv,text/plain" onChange={onChoose} className="hidden" />
+        {file && (
+          <span className="text-sm text-slate-600">
+            {file.fileName}: {file.readings.length} reading(s){file.instrument ? ` · ${file.instrument}` : ""}
+          </span>
+        )}
+      </div>
+      {error && <div className="mt-2 text-sm text-red-700">{error}</div>}
+
+      {/* Reading picker when the file has no row for this sample ID */}
+      {file && (
+        <details className="mt-3" open={!attached?.readings?.length}>
+          <summary className="text-sm cursor-pointer">Match readings to this sample ({picked.size} attached)</summary>
+          <div className="mt-2 flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+            {file.readings.map((r) => (
+              <button
+                key={r.reading}
+                type="button"
+                onClick={() => toggle(r.reading)}
+                className={`px-3 py-1 rounded-xl border text-xs ${
+                  picked.has(r.reading) ? "bg-black text-white border-black" : "hover:bg-slate-50"
+                }`}
+              >
+                #{r.reading}
+                {r.sampleId ? ` · ${r.sampleId}` : ""}
+              </button>
+            ))}
+          </div>
+        </details>
+      )}
+
+      {summary && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <table className="text-sm w-full">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-1 pr-3 font-medium">Element</th>
+                <th className="py-1 pr-3 font-medium">Conc.</th>
+                <th className="py-1 font-medium">±2σ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(summary.elements).map(([el, v]) => {
+                const anomalous = summary.anomalies.includes(el);
+                return (
+                  <tr key={el} className={`border-b last:border-0 ${anomalous ? "text-red-700 font-semibold" : ""}`}>
+                    <td className="py-1 pr-3">{el}</td>
+                    <td className="py-1 pr-3">{v.bdl ? (v.lod ? `<${formatConc(v.lod)}` : "<LOD") : formatConc(v.value)}</td>
+                    <td className="py-1">{v.bdl ? "" : formatConc(v.error2s)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div>
+            <div className="text-sm font-medium mb-1">Pathfinder ratios</div>
+            {PATHFINDER_RATIOS.filter((r) => summary.ratios[r.key] != null).map((r) => (
+              <div key={r.key} className="mb-1 rounded-lg bg-amber-50 border border-amber-200 px-2 py-1 text-sm">
+                <span className="font-semibold">{r.key} = {summary.ratios[r.key]}</span>
+                <span className="text-slate-600"> — {r.note}</span>
+              </div>
+            ))}
+            {!Object.keys(summary.ratios).length && <div className="text-sm text-slate-500">Not enough elements detected.</div>}
+            {summary.anomalies.length > 0 && (
+              <div className="mt-2 text-sm text-red-700">Above background: {summary.anomalies.join(", ")}</div>
+            )}
+            <div className="mt-2 text-xs text-slate-500">
+              Mean of reading(s) {summary.readings.join(", ")}; ppm unless shown as %.
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+// src/QrScanner.jsx
+// Camera QR reader for sample tags. Uses the browser's BarcodeDetector where
+// it exists and jsQR on canvas frames elsewhere; calls onScan(text) once and
+// releases the camera.
+import { useEffect, useRef, useState } from "react";
+import jsQR from "jsqr";
+
+export default function QrScanner({ onScan, onClose }) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState("");
+  // Latest callback without restarting the camera when App re-renders
+  const onScanRef = useRef(onScan);
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    let stream = null;
+    let frame = 0;
+    let done = false;
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    const detector = "BarcodeDetector" in window ? new window.BarcodeDetector({ formats: ["qr_code"] }) : null;
+
+    async function read(video) {
+      if (detector) {
+        const [hit] = await detector.detect(video);
+        return hit?.rawValue || null;
+      }
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      ctx.drawImage(video, 0, 0);
+      const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      return jsQR(img.data, img.width, img.height, { inversionAttempts: "dontInvert" })?.data || null;
+    }
+
+    async function tick() {
+      const video = videoRef.current;
+      if (done || !video) return;
+      if (video.readyState >= video.HAVE_ENOUGH_DATA) {
+        const text = await read(video).catch(() => null);
+        if (text && !done) {
+          done = true;
+          onScanRef.current(text);
+          return;
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    }
+
+    (async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+        if (done) {
+          stream.getTracks().forEach((t) => t.stop()); // closed while the permission prompt was up
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        frame = requestAnimationFrame(tick);
+      } catch (e) {
+        setError(e.name === "NotAllowedError" ? "Camera permission was denied." : `Camera unavailable: ${e.message || e.name}`);
+      }
+    })();
+
+    return () => {
+      done = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div className="w-full max-w-md rounded-2xl bg-white p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="mb-2 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Scan sample tag</h2>
+          <button className="rounded-xl border px-3 py-1 text-sm cursor-pointer hover:bg-slate-50 active:scale-95" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        {error ? (
+          <div className="text-sm text-red-700">{error}</div>
+        ) : (
+          <>
+            <video ref={videoRef} className="w-full rounded-xl bg-black" playsInline muted />
+            <div className="mt-2 text-sm text-slate-500">Point the camera at the QR code on the bag or tray label.</div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+// src/RevisionHistory.jsx
+// Audit trail of the open sample: its revisions (src/storage.js), a diff
+// between any two and restore, plus every AI description it has had.
+import { useState } from "react";
+import { aiProvenance, revisionDiff, revisionSummary } from "./revisions.js";
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : "");
+
+export default function RevisionHistory({ schema, revisions, aiRuns = [], onRestore }) {
+  // Revisions compared in the diff: `to` against `from` (defaults: latest vs the one before)
+  const [picked, setPicked] = useState({ from: null, to: null });
+  if (!revisions.length) {
+    return <div className="text-sm text-slate-500">No revisions yet. Each save records one.</div>;
+  }
+  const latest = revisions.at(-1).rev;
+  const to = revisions.find((r) => r.rev === picked.to) || revisions.at(-1);
+  const from = revisions.find((r) => r.rev === picked.from) || revisions[revisions.indexOf(to) - 1] || null;
+  const rows = from ? revisionDiff(schema, from, to) : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b">
+              <th className="py-2 pr-3 font-medium" title="Compare from">
+                A
+              </th>
+              <th className="py-2 pr-3 font-medium" title="Compare to">
+                B
+              </th>
+              <th className="py-2 pr-3 font-medium">Rev</th>
+              <th className="py-2 pr-3 font-medium">Saved</th>
+              <th className="py-2 pr-3 font-medium">By</th>
+              <th className="py-2 pr-3 font-medium">What</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {[...revisions].reverse().map((r) => {
+              const i = revisions.indexOf(r);
+              return (
+                <tr key={r.rev} className="border-b last:border-0">
+                  <td className="py-2 pr-3">
+                    <input type="radio" name="rev-from" checked={from?.rev === r.rev} onChange={() => setPicked((p) => ({ ...p, from: r.rev }))} />
+                  </td>
+                  <td className="py-2 pr-3">
+                    <input type="radio" name="rev-to" checked={to.rev === r.rev} onChange={() => setPicked((p) => ({ ...p, to: r.rev }))} />
+                  </td>
+                  <td className="py-2 pr-3 font-medium">{r.rev}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{when(r.at)}</td>
+                  <td className="py-2 pr-3">{r.author || "—"}</td>
+                  <td className="py-2 pr-3 text-slate-600">{revisionSummary(schema, revisions[i - 1], r)}</td>
+                  <td className="py-2 text-right">
+                    {r.rev !== latest && (
+                      <button className="underline cursor-pointer" onClick={() => onRestore(r.rev)}>
+                        Restore
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {from && (
+        <div>
+          <div className="mb-1 text-sm font-medium">
+            Revision {from.rev} → {to.rev}
+          </div>
+          {rows.length ? (
+            <table className="w-full text-sm">
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.id} className="border-b last:border-0 align-top">
+                    <td className="py-1.5 pr-3 font-medium w-1/5">{row.label}</td>
+                    <td className="py-1.5 pr-3 w-2/5 whitespace-pre-wrap break-words text-red-800 line-through decoration-red-300">
+                      {row.preview[0] || <em className="no-underline">empty</em>}
+                    </td>
+                    <td className="py-1.5 w-2/5 whitespace-pre-wrap break-words text-emerald-800">{row.preview[1] || <em>empty</em>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-sm text-slate-500">No differences.</div>
+          )}
+        </div>
+      )}
+
+      {aiRuns.length > 0 && (
+        <div>
+          <div className="mb-1 text-sm font-medium">AI descriptions ({aiRuns.length})</div>
+          <ul className="space-y-1 text-sm">
+            {[...aiRuns].reverse().map((run, i) => (
+              <li key={`${run.at}-${i}`}>
+                <details>
+                  <summary className="cursor-pointer">
+                    {when(run.at)} · {run.rockName || "?"} ({run.confidence || "?"}) · <span className="text-slate-500">{aiProvenance(run)}</span>
+                  </summary>
+                  <div className="mt-1 ml-4 whitespace-pre-wrap text-slate-700">{run.description}</div>
+                </details>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+// src/SampleLibrary.jsx
+// Saved-sample list (IndexedDB via src/storage.js). Purely presentational —
+// App owns the list, the offline describe queue, the selection (collection
+// exports), the sort and page (src/search.js) and the open/delete actions.
+
+const QUEUE_BADGE = {
+  pending: "bg-amber-100 text-amber-800",
+  done: "bg-emerald-100 text-emerald-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+// Column header that sorts by `sortKey`; a second click flips the direction
+function SortHeader({ label, sortKey, sort, onSort }) {
+  if (!onSort) return <th className="py-2 pr-3 font-medium">{label}</th>;
+  const active = sort?.key === sortKey;
+  return (
+    <th className="py-2 pr-3 font-medium" aria-sort={active ? (sort.dir === "asc" ? "ascending" : "descending") : undefined}>
+      <button
+        className={`cursor-pointer hover:text-black ${active ? "text-black" : ""}`}
+        onClick={() => onSort({ key: sortKey, dir: active && sort.dir === "asc" ? "desc" : "asc" })}
+      >
+        {label}
+        {active && (sort.dir === "asc" ? " ▲" : " ▼")}
+      </button>
+    </th>
+  );
+}
+
+export default function SampleLibrary({
+  samples,
+  emptyText,
+  sort,
+  onSort,
+  page = 1,
+  pages = 1,
+  onPage,
+  currentId,
+  queue = {},
+  selected,
+  onSelect,
+  onOpen,
+  onDelete,
+  onRetry,
+}) {
+  if (!samples.length) {
+    return (
+      <div className="text-sm text-slate-500">
+        {emptyText || "No saved samples yet. Use “Save Sample” to keep the current form, photos and AI text on this device."}
+      </div>
+    );
+  }
+  const header = (label, key) => <SortHeader label={label} sortKey={key} sort={sort} onSort={onSort} />;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500 border-b">
+            {selected && (
+              <th className="py-2 pr-2">
+                <input
+                  type="checkbox"
+                  title="Select all"
+                  checked={samples.every((s) => selected.has(s.id))}
+                  onChange={(e) => onSelect(samples.map((s) => s.id), e.target.checked)}
+                />
+              </th>
+            )}
+            {header("Sample ID", "id")}
+            {header("Project", "project")}
+            {header("Date", "date")}
+            <th className="py-2 pr-3 font-medium">Photos</th>
+            <th className="py-2 pr-3 font-medium">AI</th>
+            <th className="py-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {samples.map((s) => (
+            <tr key={s.id} className={`border-b last:border-0 ${s.id === currentId ? "bg-slate-50" : ""}`}>
+              {selected && (
+                <td className="py-2 pr-2">
+                  <input type="checkbox" checked={selected.has(s.id)} onChange={(e) => onSelect([s.id], e.target.checked)} />
+                </td>
+              )}
+              <td className="py-2 pr-3 font-medium">{s.id}</td>
+              <td className="py-2 pr-3">{s.project}</td>
+              <td className="py-2 pr-3">{s.date ? s.date.replace("T", " ") : "—"}</td>
+              <td className="py-2 pr-3">{s.hasPhotos ? "📷" : "—"}</td>
+              <td className="py-2 pr-3">
+                {queue[s.id] ? (
+                  <span title={queue[s.id].error || ""} className={`rounded-lg px-2 py-0.5 text-xs ${QUEUE_BADGE[queue[s.id].status]}`}>
+                    {queue[s.id].status}
+                  </span>
+                ) : (
+                  "—"
+                )}
+                {queue[s.id]?.status === "failed" && (
+                  <button className="ml-1 text-xs underline cursor-pointer" onClick={() => onRetry(s.id)}>
+                    retry
+                  </button>
+                )}
+              </td>
+              <td className="py-2 text-right whitespace-nowrap">
+                <button
+                  className="rounded-xl border px-3 py-1 cursor-pointer hover:bg-slate-50 active:scale-95"
+                  onClick={() => onOpen(s.id)}
+                >
+                  Open
+                </button>
+                <button
+                  className="ml-2 rounded-xl border px-3 py-1 cursor-pointer text-red-700 hover:bg-red-50 active:scale-95"
+                  onClick={() => onDelete(s.id)}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {pages > 1 && onPage && (
+        <div className="mt-3 flex items-center gap-2 text-sm">
+          <button
+            className="rounded-xl px-3 py-1 border cursor-pointer hover:bg-slate-50 disabled:opacity-40 disabled:cursor-default"
+            disabled={page <= 1}
+            onClick={() => onPage(page - 1)}
+          >
+            Prev
+          </button>
+          <span className="text-slate-500">
+            Page {page} of {pages}
+          </span>
+          <button
+            className="rounded-xl px-3 py-1 border cursor-pointer hover:bg-slate-50 disabled:opacity-40 disabled:cursor-default"
+            disabled={page >= pages}
+            onClick={() => onPage(page + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+// src/SampleMap.jsx
+// Offline map of the saved samples (SVG, Web Mercator; see src/mapLayers.js).
+// Drag to pan, wheel or +/− to zoom, click a sample to open it, shift-drag a
+// box to filter the library to it (a lon/lat bbox in the search query). App
+// owns the user layers (overlays and rasters, stored in IndexedDB) and the query.
+import { useEffect, useMemo, useRef, useState } from "react";
+import { project, unproject, metresPerUnit, screenPath, basemapParts } from "./mapLayers.js";
+
+const W = 800;
+const H = 450;
+const PALETTE = ["#2563eb", "#dc2626", "#059669", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#92400e", "#475569"];
+const NONE = "#94a3b8";
+const LAYER_COLOURS = ["#e11d48", "#0d9488", "#9333ea", "#ca8a04"];
+const btn = "rounded-lg border bg-white px-2 py-1 text-sm cursor-pointer hover:bg-slate-50 active:scale-95";
+
+// View that shows all points (or the world when there are none)
+function fitView(points) {
+  if (!points.length) return { x: 0, y: 0.5 - H / W / 2, k: W };
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const span = Math.max(x1 - x0, ((y1 - y0) * W) / H, 2e-5); // at least ~800 m across
+  const k = (W / span) * 0.8;
+  return { x: (x0 + x1) / 2 - W / 2 / k, y: (y0 + y1) / 2 - H / 2 / k, k };
+}
+
+function scaleBar(view) {
+  const [, lat] = unproject(view.x + W / 2 / view.k, view.y + H / 2 / view.k);
+  const mPerPx = metresPerUnit(lat) / view.k;
+  const nice = [1, 2, 5].flatMap((m) => [1, 10, 100, 1000, 1e4, 1e5, 1e6].map((p) => m * p)).sort((a, b) => a - b);
+  const metres = nice.filter((v) => v / mPerPx <= 120).pop() || 1;
+  return { px: metres / mPerPx, label: metres >= 1000 ? `${metres / 1000} km` : `${metres} m` };
+}
+
+export default function SampleMap({
+  samples,
+  layers = [],
+  colourBy,
+  onColourBy,
+  bbox,
+  onBox,
+  currentId,
+  onOpen,
+  onAddLayer,
+  onToggleLayer,
+  onRemoveLayer,
+}) {
+  const svgRef = useRef(null);
+  const fileRef = useRef(null);
+  const drag = useRef(null); // { mode: "pan" | "box", start: [x, y], view, moved }
+  const [box, setBox] = useState(null);
+
+  const points = useMemo(
+    () =>
+      samples
+        .filter((s) => s.lat != null && s.lon != null)
+        .map((s) => {
+          const [x, y] = project(s.lon, s.lat);
+          return { ...s, x, y, key: (colourBy === "rockName" ? s.rockName : s.category) || "" };
+        }),
+    [samples, colourBy]
+  );
+  const [view, setView] = useState(() => fitView(points));
+  // The library loads after mount: fit once when the first located samples arrive
+  const fitted = useRef(points.length > 0);
+  useEffect(() => {
+    if (fitted.current || !points.length) return;
+    fitted.current = true;
+    setView(fitView(points));
+  }, [points]);
+  const colours = useMemo(() => {
+    const keys = Array.from(new Set(points.map((p) => p.key).filter(Boolean))).sort();
+    return Object.fromEntries(keys.map((k, i) => [k, PALETTE[i % PALETTE.length]]));
+  }, [points]);
+
+  const toSvg = (e) => {
+    const pt = new DOMPoint(e.clientX, e.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return [pt.x, pt.y];
+  };
+  const screen = (p) => [(p.x - view.x) * view.k, (p.y - view.y) * view.k];
+
+  function zoomAt([sx, sy], factor) {
+    setView((v) => {
+      const k = Math.min(Math.max(v.k * factor, 200), 2e9);
+      const wx = v.x + sx / v.k;
+      const wy = v.y + sy / v.k;
+      return { x: wx - sx / k, y: wy - sy / k, k };
+    });
+  }
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const el = svgRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const pt = new DOMPoint(e.clientX, e.clientY).matrixTransform(el.getScreenCTM().inverse());
+      zoomAt([pt.x, pt.y], e.deltaY < 0 ? 1.25 : 0.8);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  function onPointerDown(e) {
+    svgRef.current.setPointerCapture(e.pointerId);
+    drag.current = { mode: e.shiftKey ? "box" : "pan", start: toSvg(e), view, moved: false };
+  }
+
+  function onPointerMove(e) {
+    const d = drag.current;
+    if (!d) return;
+    const [x, y] = toSvg(e);
+    const [dx, dy] = [x - d.start[0], y - d.start[1]];
+    if (Math.abs(dx) + Math.abs(dy) > 3) d.moved = true;
+    if (d.mode === "pan") setView({ ...d.view, x: d.view.x - dx / d.view.k, y: d.view.y - dy / d.view.k });
+    else setBox([Math.min(d.start[0], x), Math.min(d.start[1], y), Math.abs(dx), Math.abs(dy)]);
+  }
+
+  function onPointerUp(e) {
+    const d = drag.current;
+    drag.current = null;
+    if (!d) return;
+    const [x, y] = toSvg(e);
+    if (d.mode === "box" && box) {
+      const [bx, by, bw, bh] = box;
+      const [west, north] = unproject(view.x + bx / view.k, view.y + by / view.k);
+      const [east, south] = unproject(view.x + (bx + bw) / view.k, view.y + (by + bh) / view.k);
+      setBox(null);
+      if (bw > 3 && bh > 3) onBox({ west, south, east, north });
+      return;
+    }
+    if (!d.moved) {
+      const hit = points
+        .map((p) => ({ p, dist: Math.hypot(screen(p)[0] - x, screen(p)[1] - y) }))
+        .filter(({ dist }) => dist <= 8)
+        .sort((a, b) => a.dist - b.dist)[0];
+      if (hit) onOpen(hit.p.id);
+    }
+  }
+
+  const bar = scaleBar(view);
+  const visibleLayers = layers.filter((l) => l.visible);
+
+  return (
+    <div>
+      <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-slate-500">Colour by</span>
+        <select className="rounded-lg border px-2 py-1 cursor-pointer" value={colourBy} onChange={(e) => onColourBy(e.target.value)}>
+          <option value="category">Category</option>
+          <option value="rockName">Rock name (AI)</option>
+        </select>
+        <button className={btn} onClick={() => setView(fitView(points))}>
+          Fit samples
+        </button>
+        {bbox && (
+          <button className={btn} onClick={() => onBox(null)}>
+            Clear box filter
+          </button>
+        )}
+        <span className="ml-auto text-xs text-slate-500">
+          {points.length} of {samples.length} located · shift-drag to filter
+        </span>
+      </div>
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${W} ${H}`}
+          className="w-full rounded-xl border bg-sky-50 touch-none select-none cursor-grab"
+          role="img"
+          aria-label="Sample map"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+        >
+          <path d={screenPath(basemapParts(), view, W, H)} fill="#f8fafc" stroke="#94a3b8" strokeWidth="0.7" />
+          {visibleLayers
+            .filter((l) => l.kind === "raster")
+            .map((l) => (
+              <image
+                key={l.id}
+                href={l.src}
+                x={(l.x - view.x) * view.k}
+                y={(l.y - view.y) * view.k}
+                width={l.w * view.k}
+                height={l.h * view.k}
+                preserveAspectRatio="none"
+                opacity="0.9"
+              />
+            ))}
+          {visibleLayers
+            .filter((l) => l.kind === "vector")
+            .map((l, i) => {
+              const colour = LAYER_COLOURS[i % LAYER_COLOURS.length];
+              return (
+                <g key={l.id}>
+                  <path d={screenPath(l.parts, view, W, H)} fill={colour} fillOpacity="0.08" fillRule="evenodd" stroke={colour} strokeWidth="1.5" />
+                  {l.points.map((p, j) => {
+                    const [px, py] = screen(p);
+                    return (
+                      <g key={j}>
+                        <path d={`M${px - 4} ${py}L${px + 4} ${py}M${px} ${py - 4}L${px} ${py + 4}`} stroke={colour} strokeWidth="1.5" />
+                        {p.name && (
+                          <text x={px + 5} y={py - 4} fontSize="10" fill={colour}>
+                            {p.name}
+                          </text>
+                        )}
+                      </g>
+                    );
+                  })}
+                </g>
+              );
+            })}
+          {points.map((p) => {
+            const [px, py] = screen(p);
+            const picked = bbox && p.lat >= bbox.south && p.lat <= bbox.north && p.lon >= bbox.west && p.lon <= bbox.east;
+            return (
+              <g key={p.id}>
+                <circle
+                  cx={px}
+                  cy={py}
+                  r={p.id === currentId ? 6 : 4.5}
+                  fill={colours[p.key] || NONE}
+                  stroke={picked ? "#0f172a" : "white"}
+                  strokeWidth={picked || p.id === currentId ? 2 : 1}
+                  opacity={bbox && !picked ? 0.45 : 1}
+                >
+                  <title>{[p.id, p.key].filter(Boolean).join(" — ")}</title>
+                </circle>
+                {view.k > 2e6 && (
+                  <text x={px + 6} y={py + 3} fontSize="10" fill="#0f172a">
+                    {p.id}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+          {box && <rect x={box[0]} y={box[1]} width={box[2]} height={box[3]} fill="#2563eb" fillOpacity="0.1" stroke="#2563eb" strokeDasharray="4 3" />}
+          <g transform={`translate(12 ${H - 14})`}>
+            <rect x="-4" y="-14" width={bar.px + 8} height="20" fill="white" opacity="0.7" />
+            <path d={`M0 0H${bar.px}M0 -4V0M${bar.px} -4V0`} stroke="#0f172a" strokeWidth="1.5" />
+            <text x={bar.px / 2} y="-4" fontSize="10" textAnchor="middle" fill="#0f172a">
+              {bar.label}
+            </text>
+          </g>
+        </svg>
+        <div className="absolute right-2 top-2 flex flex-col gap-1">
+          <button className={btn} onClick={() => zoomAt([W / 2, H / 2], 2)} aria-label="Zoom in">
+            +
+          </button>
+          <button className={btn} onClick={() => zoomAt([W / 2, H / 2], 0.5)} aria-label="Zoom out">
+            −
+          </button>
+        </div>
+      </div>
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-slate-500">Layers</span>
+        {layers.map((l) => (
+          <span key={l.id} className="flex items-center gap-1 rounded-lg border px-2 py-0.5">
+            <input type="checkbox" checked={l.visible} onChange={() => onToggleLayer(l.id)} />
+            <span>{l.name}</span>
+            <button className="ml-1 text-slate-400 cursor-pointer hover:text-red-700" onClick={() => onRemoveLayer(l.id)} aria-label={`Remove ${l.name}`}>
+              ×
+            </button>
+          </span>
+        ))}
+        <button className={btn} onClick={() => fileRef.current?.click()}>
+          Add layer (GeoJSON, KML/KMZ, GeoTIFF)…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".geojson,.json,.kml,.kmz,.tif,.tiff"
+          className="hidden"
+          onChange={(e) => {
+            const f = e.target.files?.[0];
+            e.target.value = "";
+            if (f) onAddLayer(f);
+          }}
+        />
+      </div>
+      {Object.keys(colours).length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-3 text-xs">
+          {Object.entries(colours).map(([k, c]) => (
+            <span key={k} className="flex items-center gap-1">
+              <span className="inline-block h-3 w-3 rounded-full" style={{ background: c }} />
+              {k}
+            </span>
+          ))}
+          <span className="flex items-center gap-1 text-slate-500">
+            <span className="inline-block h-3 w-3 rounded-full" style={{ background: NONE }} />
+            not set
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
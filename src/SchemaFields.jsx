@@ -0,0 +1,87 @@
+// src/SchemaFields.jsx
+// Renders one schema section's fields (lib/formSchema.js). "project",
+// "location" and "panel" fields are drawn by App through `panels[field.key]`;
+// `suggestions[field.key]` offers a pick list on a text field.
+import { TwoCol, TextInput, TextArea, Select, CheckboxGroup } from "./ui.jsx";
+import { fieldLabel, fieldValue } from "../lib/formSchema.js";
+
+function label(field) {
+  return field.required ? `${fieldLabel(field)} *` : fieldLabel(field);
+}
+
+export default function SchemaFields({ section, enums, form, onChange, panels = {}, suggestions = {} }) {
+  return (
+    <TwoCol>
+      {section.fields.map((field) => {
+        const value = fieldValue(field, form);
+        switch (field.type) {
+          case "project":
+          case "location":
+          case "panel":
+            return <div key={field.key} className="contents">{panels[field.key] || null}</div>;
+          case "select":
+            return (
+              <Select
+                key={field.key}
+                label={label(field)}
+                options={enums[field.enum] || field.options || []}
+                value={value}
+                onChange={(v) => onChange(field.key, v)}
+              />
+            );
+          case "multiselect":
+            return (
+              <div key={field.key} className="md:col-span-2">
+                <div className="mb-1 text-sm font-medium">{label(field)}</div>
+                <CheckboxGroup
+                  options={enums[field.enum] || field.options || []}
+                  value={value}
+                  onChange={(v) => onChange(field.key, v)}
+                />
+              </div>
+            );
+          case "textarea":
+            return <TextArea key={field.key} label={label(field)} value={value} onChange={(e) => onChange(field.key, e.target.value)} />;
+          case "datetime":
+            return (
+              <TextInput
+                key={field.key}
+                label={label(field)}
+                type="datetime-local"
+                value={value}
+                onChange={(e) => onChange(field.key, e.target.value)}
+              />
+            );
+          case "number":
+            return (
+              <TextInput
+                key={field.key}
+                label={label(field)}
+                inputMode="decimal"
+                value={value}
+                onChange={(e) => onChange(field.key, e.target.value)}
+              />
+            );
+          default:
+            return suggestions[field.key]?.length ? (
+              <div key={field.key}>
+                <TextInput
+                  label={label(field)}
+                  value={value}
+                  list={`suggest-${field.key}`}
+                  onChange={(e) => onChange(field.key, e.target.value)}
+                />
+                <datalist id={`suggest-${field.key}`}>
+                  {suggestions[field.key].map((s) => (
+                    <option key={s} value={s} />
+                  ))}
+                </datalist>
+              </div>
+            ) : (
+              <TextInput key={field.key} label={label(field)} value={value} onChange={(e) => onChange(field.key, e.target.value)} />
+            );
+        }
+      })}
+    </TwoCol>
+  );
+}
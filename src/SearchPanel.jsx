@@ -0,0 +1,107 @@
+// src/SearchPanel.jsx
+// Library search form (src/search.js). App owns the query; the map's box
+// select sets `bbox` and shows up here as a removable chip.
+import { EMPTY_QUERY, isFiltered } from "./search.js";
+
+const inputCls = "w-full rounded-xl border px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-black/30";
+
+function Chips({ label, options, value, onChange }) {
+  return (
+    <div>
+      <div className="mb-1 text-xs font-medium text-slate-500">{label} (all of)</div>
+      <div className="flex flex-wrap gap-1">
+        {options.map((o) => {
+          const on = value.includes(o);
+          return (
+            <button
+              key={o}
+              className={`rounded-lg border px-2 py-0.5 text-xs cursor-pointer ${on ? "bg-black text-white" : "hover:bg-slate-50"}`}
+              onClick={() => onChange(on ? value.filter((x) => x !== o) : [...value, o])}
+            >
+              {o}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function SearchPanel({ query, onChange, enums, projects, rockNames, total, shown }) {
+  const set = (patch) => onChange({ ...query, ...patch });
+  const b = query.bbox;
+  return (
+    <div className="mb-3">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+        <input
+          className={`${inputCls} md:col-span-2`}
+          type="search"
+          placeholder="Search notes, descriptions, IDs…"
+          value={query.text}
+          onChange={(e) => set({ text: e.target.value })}
+        />
+        <select className={`${inputCls} cursor-pointer`} value={query.project} onChange={(e) => set({ project: e.target.value })}>
+          <option value="">All projects</option>
+          {projects.map((p) => (
+            <option key={p} value={p}>
+              {p}
+            </option>
+          ))}
+        </select>
+        <select className={`${inputCls} cursor-pointer`} value={query.category} onChange={(e) => set({ category: e.target.value })}>
+          <option value="">Any category</option>
+          {enums.category.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+      </div>
+      <details className="mt-2">
+        <summary className="text-sm cursor-pointer">More filters</summary>
+        <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2">
+          <label className="text-xs font-medium text-slate-500">
+            From
+            <input className={inputCls} type="date" value={query.dateFrom} onChange={(e) => set({ dateFrom: e.target.value })} />
+          </label>
+          <label className="text-xs font-medium text-slate-500">
+            To
+            <input className={inputCls} type="date" value={query.dateTo} onChange={(e) => set({ dateTo: e.target.value })} />
+          </label>
+          <label className="text-xs font-medium text-slate-500">
+            Rock name (AI)
+            <input className={inputCls} list="search-rock-names" value={query.rockName} onChange={(e) => set({ rockName: e.target.value })} />
+            <datalist id="search-rock-names">
+              {rockNames.map((r) => (
+                <option key={r} value={r} />
+              ))}
+            </datalist>
+          </label>
+        </div>
+        <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <Chips label="Minerals" options={enums.minerals} value={query.minerals} onChange={(v) => set({ minerals: v })} />
+          <Chips label="Alteration" options={enums.alteration} value={query.alteration} onChange={(v) => set({ alteration: v })} />
+          <Chips label="Sulfides" options={enums.sulfides} value={query.sulfides} onChange={(v) => set({ sulfides: v })} />
+        </div>
+      </details>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-slate-500">
+        <span>
+          {shown} of {total} samples
+        </span>
+        {b && (
+          <span className="rounded-lg border px-2 py-0.5 text-xs">
+            Map box {b.south.toFixed(3)}…{b.north.toFixed(3)}, {b.west.toFixed(3)}…{b.east.toFixed(3)}
+            <button className="ml-1 cursor-pointer hover:text-red-700" onClick={() => set({ bbox: null })} aria-label="Clear map box">
+              ×
+            </button>
+          </span>
+        )}
+        {isFiltered(query) && (
+          <button className="underline cursor-pointer" onClick={() => onChange(EMPTY_QUERY)}>
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+// src/Stereonet.jsx
+// Lower-hemisphere equal-area (Schmidt) net drawn as SVG. Planes plot as great
+// circles with their poles, lineations as squares; invalid rows are skipped.
+import { normalizeMeasurement, projectLine, poleOf, greatCircle } from "../lib/structures.js";
+
+const TYPE_COLOURS = {
+  bedding: "#2563eb",
+  foliation: "#7c3aed",
+  vein: "#059669",
+  fault: "#dc2626",
+  joint: "#d97706",
+  lineation: "#0f172a",
+};
+
+const R = 120; // net radius (px)
+const PAD = 20;
+const xy = ({ x, y }) => [PAD + R + x * R, PAD + R - y * R];
+
+export default function Stereonet({ items, showCircles = true }) {
+  const measured = items.map((m) => ({ m, n: normalizeMeasurement(m) })).filter(({ n }) => n);
+  const size = 2 * (R + PAD);
+  const types = Array.from(new Set(measured.map(({ n }) => n.type)));
+
+  return (
+    <div className="flex flex-wrap items-start gap-4">
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} className="shrink-0" role="img" aria-label="Stereonet">
+        <circle cx={PAD + R} cy={PAD + R} r={R} fill="white" stroke="#334155" />
+        <line x1={PAD + R - 5} x2={PAD + R + 5} y1={PAD + R} y2={PAD + R} stroke="#94a3b8" />
+        <line x1={PAD + R} x2={PAD + R} y1={PAD + R - 5} y2={PAD + R + 5} stroke="#94a3b8" />
+        <text x={PAD + R} y={PAD - 6} textAnchor="middle" fontSize="12" fill="#334155">
+          N
+        </text>
+
+        {showCircles &&
+          measured
+            .filter(({ n }) => n.kind === "plane")
+            .map(({ m, n }, i) => (
+              <polyline
+                key={`gc-${m.sampleId || ""}-${m.id || i}`}
+                points={greatCircle(n)
+                  .map((p) => xy(p).join(","))
+                  .join(" ")}
+                fill="none"
+                stroke={TYPE_COLOURS[n.type]}
+                strokeWidth="1"
+                strokeDasharray={n.confidence === "measured" || !n.confidence ? undefined : "4 3"}
+                opacity="0.7"
+              />
+            ))}
+
+        {measured.map(({ m, n }, i) => {
+          const [x, y] = xy(n.kind === "plane" ? projectLine(poleOf(n).trend, poleOf(n).plunge) : projectLine(n.trend, n.plunge));
+          const key = `pt-${m.sampleId || ""}-${m.id || i}`;
+          const title = `${m.sampleId ? `${m.sampleId}: ` : ""}${n.type} ${
+            n.kind === "plane" ? `${Math.round(n.dip)}/${Math.round(n.dipDir)}` : `${Math.round(n.plunge)}→${Math.round(n.trend)}`
+          }`;
+          return n.kind === "plane" ? (
+            <circle key={key} cx={x} cy={y} r="3.5" fill={TYPE_COLOURS[n.type]}>
+              <title>{title}</title>
+            </circle>
+          ) : (
+            <rect key={key} x={x - 3.5} y={y - 3.5} width="7" height="7" fill={TYPE_COLOURS[n.type]}>
+              <title>{title}</title>
+            </rect>
+          );
+        })}
+      </svg>
+
+      <div className="text-xs text-slate-600 space-y-1">
+        <div>Lower hemisphere, equal area</div>
+        <div>● pole to plane · ■ lineation{showCircles ? " · — great circle" : ""}</div>
+        {types.map((t) => (
+          <div key={t} className="flex items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: TYPE_COLOURS[t] }} />
+            {t} ({measured.filter(({ n }) => n.type === t).length})
+          </div>
+        ))}
+        {!measured.length && <div className="text-slate-500">No valid measurements to plot.</div>}
+      </div>
+    </div>
+  );
+}
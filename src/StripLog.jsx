@@ -0,0 +1,89 @@
+// src/StripLog.jsx
+// Graphic strip log of a hole's intervals: lithology column coloured by name,
+// unlogged gaps hatched and overlaps outlined in red. Clicking an interval
+// selects it in the log table.
+import { lithologyColour } from "./core.js";
+
+const W = 300;
+const TOP = 16;
+const AXIS = 44; // depth labels
+const BAR = 70; // lithology column
+const PX_MIN = 240;
+
+export default function StripLog({ intervals, gaps, overlaps, depth, selectedId, onSelect }) {
+  const rows = intervals
+    .map((iv) => ({ iv, from: Number(iv.from), to: Number(iv.to) }))
+    .filter(({ from, to, iv }) => iv.from !== "" && iv.to !== "" && Number.isFinite(from) && to > from);
+  const bottom = Math.max(Number(depth) || 0, ...rows.map((r) => r.to), 1);
+  const height = Math.max(PX_MIN, Math.min(900, bottom * 6));
+  const y = (d) => TOP + (d / bottom) * height;
+  const tickStep = [1, 2, 5, 10, 20, 25, 50, 100].find((s) => bottom / s <= 12) || 200;
+  const ticks = [];
+  for (let d = 0; d <= bottom + 1e-9; d += tickStep) ticks.push(d);
+
+  return (
+    <svg width={W} height={height + TOP * 2} className="shrink-0" role="img" aria-label="Strip log">
+      <defs>
+        <pattern id="striplog-gap" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <line x1="0" y1="0" x2="0" y2="6" stroke="#ef4444" strokeWidth="2" />
+        </pattern>
+      </defs>
+
+      {ticks.map((d) => (
+        <g key={d}>
+          <line x1={AXIS - 4} x2={AXIS} y1={y(d)} y2={y(d)} stroke="#64748b" />
+          <text x={AXIS - 6} y={y(d) + 4} textAnchor="end" fontSize="10" fill="#475569">
+            {d} m
+          </text>
+        </g>
+      ))}
+      <line x1={AXIS} x2={AXIS} y1={y(0)} y2={y(bottom)} stroke="#64748b" />
+
+      {rows.map(({ iv, from, to }) => (
+        <g key={iv.id} className="cursor-pointer" onClick={() => onSelect(iv.id)}>
+          <rect
+            x={AXIS}
+            y={y(from)}
+            width={BAR}
+            height={Math.max(1, y(to) - y(from))}
+            fill={lithologyColour(iv.lithology)}
+            stroke={iv.id === selectedId ? "#000" : "#94a3b8"}
+            strokeWidth={iv.id === selectedId ? 2 : 0.5}
+          />
+          {y(to) - y(from) >= 11 && (
+            <text x={AXIS + BAR + 6} y={(y(from) + y(to)) / 2 + 4} fontSize="11" fill="#0f172a">
+              {`${iv.lithology || "—"}${iv.sampleNos ? ` [${iv.sampleNos}]` : ""}`.slice(0, 36)}
+            </text>
+          )}
+          <title>{`${from}–${to} m: ${iv.lithology || "no lithology"}`}</title>
+        </g>
+      ))}
+
+      {gaps.map((g) => (
+        <rect key={`gap-${g.from}`} x={AXIS} y={y(g.from)} width={BAR} height={y(g.to) - y(g.from)} fill="url(#striplog-gap)">
+          <title>{`Unlogged ${g.from}–${g.to} m`}</title>
+        </rect>
+      ))}
+      {overlaps.map((o) => (
+        <rect
+          key={`ov-${o.ids.join("-")}`}
+          x={AXIS - 2}
+          y={y(o.from)}
+          width={BAR + 4}
+          height={Math.max(2, y(o.to) - y(o.from))}
+          fill="none"
+          stroke="#dc2626"
+          strokeWidth="2"
+        >
+          <title>{`Overlap ${o.from}–${o.to} m`}</title>
+        </rect>
+      ))}
+
+      {Number(depth) > 0 && (
+        <text x={AXIS + BAR + 6} y={y(Number(depth)) + 4} fontSize="10" fill="#475569">
+          EOH {depth} m
+        </text>
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,170 @@
+// src/StructuresPanel.jsx
+// Structural measurement list for the current sample plus a stereonet of this
+// sample or its whole project. App owns the list (saved with the sample and
+// sent to /api/describe) and loads the project's measurements on demand.
+import {
+  STRUCTURE_TYPES,
+  PLANE_CONVENTIONS,
+  POLARITIES,
+  MEASUREMENT_CONFIDENCE,
+  isLinear,
+  newMeasurement,
+  validateMeasurement,
+  convertMeasurement,
+  normalizeMeasurement,
+} from "../lib/structures.js";
+import Stereonet from "./Stereonet.jsx";
+
+const cell = "rounded-lg border px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-black/30";
+
+function Num({ label, value, onChange, max }) {
+  return (
+    <input
+      className={`${cell} w-16`}
+      placeholder={label}
+      title={label}
+      inputMode="decimal"
+      value={value}
+      min="0"
+      max={max}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+}
+
+export default function StructuresPanel({ items, onChange, scope, onScope, projectItems, project }) {
+  function edit(id, patch) {
+    onChange(items.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+  }
+
+  function setType(m, type) {
+    // Switching between planar and linear features resets the convention
+    if (isLinear(type) === isLinear(m.type)) edit(m.id, { type });
+    else edit(m.id, { type, convention: isLinear(type) ? "trendplunge" : "rhr" });
+  }
+
+  const plotted = scope === "project" ? projectItems : items;
+
+  return (
+    <div className="md:col-span-2">
+      <div className="space-y-2">
+        {items.map((m) => {
+          const errors = validateMeasurement(m);
+          const touched = [m.strike, m.dip, m.dipDir, m.trend, m.plunge].some((v) => v !== "");
+          const n = normalizeMeasurement(m);
+          return (
+            <div key={m.id} className="rounded-xl border p-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <select className={cell} value={m.type} onChange={(e) => setType(m, e.target.value)}>
+                  {STRUCTURE_TYPES.map((t) => (
+                    <option key={t} value={t}>
+                      {t}
+                    </option>
+                  ))}
+                </select>
+
+                {isLinear(m.type) ? (
+                  <>
+                    <Num label="Plunge" max="90" value={m.plunge} onChange={(v) => edit(m.id, { plunge: v })} />
+                    <span className="text-slate-500">→</span>
+                    <Num label="Trend" max="360" value={m.trend} onChange={(v) => edit(m.id, { trend: v })} />
+                  </>
+                ) : (
+                  <>
+                    <select
+                      className={cell}
+                      value={m.convention}
+                      onChange={(e) => onChange(items.map((x) => (x.id === m.id ? convertMeasurement(x, e.target.value) : x)))}
+                    >
+                      {Object.entries(PLANE_CONVENTIONS).map(([k, label]) => (
+                        <option key={k} value={k}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    {m.convention === "rhr" ? (
+                      <>
+                        <Num label="Strike" max="360" value={m.strike} onChange={(v) => edit(m.id, { strike: v })} />
+                        <span className="text-slate-500">/</span>
+                        <Num label="Dip" max="90" value={m.dip} onChange={(v) => edit(m.id, { dip: v })} />
+                      </>
+                    ) : (
+                      <>
+                        <Num label="Dip" max="90" value={m.dip} onChange={(v) => edit(m.id, { dip: v })} />
+                        <span className="text-slate-500">/</span>
+                        <Num label="Dip dir." max="360" value={m.dipDir} onChange={(v) => edit(m.id, { dipDir: v })} />
+                      </>
+                    )}
+                  </>
+                )}
+
+                <select className={cell} value={m.polarity} onChange={(e) => edit(m.id, { polarity: e.target.value })}>
+                  <option value="">polarity…</option>
+                  {POLARITIES.map((p) => (
+                    <option key={p} value={p}>
+                      {p}
+                    </option>
+                  ))}
+                </select>
+                <select className={cell} value={m.confidence} onChange={(e) => edit(m.id, { confidence: e.target.value })}>
+                  {MEASUREMENT_CONFIDENCE.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  className={`${cell} flex-1 min-w-32`}
+                  placeholder="Notes"
+                  value={m.notes}
+                  onChange={(e) => edit(m.id, { notes: e.target.value })}
+                />
+                <button
+                  type="button"
+                  className="rounded-lg border px-2 py-1 text-sm cursor-pointer text-red-700 hover:bg-red-50 active:scale-95"
+                  onClick={() => onChange(items.filter((x) => x.id !== m.id))}
+                >
+                  Remove
+                </button>
+              </div>
+              {touched && errors.length > 0 && <div className="mt-1 text-xs text-red-700">{errors.join(" · ")}</div>}
+              {n?.kind === "plane" && (
+                <div className="mt-1 text-xs text-slate-500">
+                  = {m.convention === "rhr" ? `dip/dip direction ${n.dip}/${n.dipDir}` : `strike/dip (RHR) ${n.strike}/${n.dip}`}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        type="button"
+        className="mt-3 rounded-xl px-4 py-2 border text-sm cursor-pointer hover:bg-slate-50 active:scale-95"
+        onClick={() => onChange([...items, newMeasurement(items.at(-1)?.type)])}
+      >
+        ＋ Add measurement
+      </button>
+
+      <div className="mt-4">
+        <div className="flex items-center gap-2 mb-2 text-sm">
+          <span className="font-medium">Stereonet:</span>
+          {[
+            ["sample", "This sample"],
+            ["project", `Project${project ? ` “${project}”` : ""}`],
+          ].map(([s, label]) => (
+            <button
+              key={s}
+              type="button"
+              onClick={() => onScope(s)}
+              className={`px-3 py-1 rounded-xl border ${scope === s ? "bg-black text-white border-black" : "hover:bg-slate-50"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <Stereonet items={plotted} />
+      </div>
+    </div>
+  );
+}
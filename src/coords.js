@@ -0,0 +1,190 @@
+// src/coords.js — coordinate parsing, validation and UTM conversion
+// Geographic coordinates are decimal degrees on the stated datum. UTM uses the
+// usual Snyder series (sub-metre within a zone). GDA94/GDA2020/NAD83 share the
+// GRS80 ellipsoid, whose difference from WGS84 is negligible at field accuracy;
+// MGA zones are UTM zones on GDA.
+
+export const DATUMS = {
+  WGS84: { label: "WGS84", a: 6378137, f: 1 / 298.257223563 },
+  GDA2020: { label: "GDA2020 (MGA2020)", a: 6378137, f: 1 / 298.257222101 },
+  GDA94: { label: "GDA94 (MGA94)", a: 6378137, f: 1 / 298.257222101 },
+  NAD83: { label: "NAD83", a: 6378137, f: 1 / 298.257222101 },
+};
+
+const K0 = 0.9996;
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+function ellipsoid(datum) {
+  const { a, f } = DATUMS[datum] || DATUMS.WGS84;
+  const e2 = f * (2 - f);
+  return { a, e2, ep2: e2 / (1 - e2) };
+}
+
+// UTM zone incl. the Norway / Svalbard exceptions
+export function utmZoneFor(lat, lon) {
+  if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) return 32;
+  if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) return lon < 9 ? 31 : lon < 21 ? 33 : lon < 33 ? 35 : 37;
+  return Math.min(60, Math.floor((lon + 180) / 6) + 1);
+}
+
+export function toUtm(lat, lon, { datum = "WGS84", zone = utmZoneFor(lat, lon) } = {}) {
+  const { a, e2, ep2 } = ellipsoid(datum);
+  const phi = toRad(lat);
+  const lam0 = toRad((zone - 1) * 6 - 180 + 3);
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+  const tan = Math.tan(phi);
+  const N = a / Math.sqrt(1 - e2 * sin * sin);
+  const T = tan * tan;
+  const C = ep2 * cos * cos;
+  const A = cos * (toRad(lon) - lam0);
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const M =
+    a *
+    ((1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256) * phi -
+      ((3 * e2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024) * Math.sin(2 * phi) +
+      ((15 * e4) / 256 + (45 * e6) / 1024) * Math.sin(4 * phi) -
+      ((35 * e6) / 3072) * Math.sin(6 * phi));
+
+  const easting =
+    K0 * N * (A + ((1 - T + C) * A ** 3) / 6 + ((5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5) / 120) + 500000;
+  let northing =
+    K0 *
+    (M +
+      N *
+        tan *
+        ((A * A) / 2 +
+          ((5 - T + 9 * C + 4 * C * C) * A ** 4) / 24 +
+          ((61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6) / 720));
+  const hemisphere = lat < 0 ? "S" : "N";
+  if (hemisphere === "S") northing += 10000000;
+  return { zone, hemisphere, easting, northing };
+}
+
+export function fromUtm({ zone, hemisphere, easting, northing }, { datum = "WGS84" } = {}) {
+  const { a, e2, ep2 } = ellipsoid(datum);
+  const x = easting - 500000;
+  const y = hemisphere === "S" ? northing - 10000000 : northing;
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const mu = y / K0 / (a * (1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256));
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const phi1 =
+    mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+  const sin1 = Math.sin(phi1);
+  const cos1 = Math.cos(phi1);
+  const tan1 = Math.tan(phi1);
+  const N1 = a / Math.sqrt(1 - e2 * sin1 * sin1);
+  const T1 = tan1 * tan1;
+  const C1 = ep2 * cos1 * cos1;
+  const R1 = (a * (1 - e2)) / (1 - e2 * sin1 * sin1) ** 1.5;
+  const D = x / (N1 * K0);
+
+  const lat =
+    phi1 -
+    ((N1 * tan1) / R1) *
+      ((D * D) / 2 -
+        ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4) / 24 +
+        ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6) / 720);
+  const lon =
+    toRad((zone - 1) * 6 - 180 + 3) +
+    (D - ((1 + 2 * T1 + C1) * D ** 3) / 6 + ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5) / 120) /
+      cos1;
+  return { lat: toDeg(lat), lon: toDeg(lon) };
+}
+
+/**
+ * Parse decimal degrees or DMS into a signed decimal.
+ * Accepts "-23.5", "23.5 S", "23°30'15.2\"S", "23 30 15.2 S", "S23:30:15.2".
+ * Returns null when unparseable.
+ */
+export function parseAngle(text, axis) {
+  let s = String(text || "").trim().toUpperCase();
+  if (!s) return null;
+  const hemi = /[NSEW]/.exec(s)?.[0] || null;
+  if (hemi && ((axis === "lat" && /[EW]/.test(hemi)) || (axis === "lon" && /[NS]/.test(hemi)))) return null;
+  s = s.replace(/[NSEW]/g, " ").replace(/[°º˚:'′’"″”]/g, " ").trim();
+  const parts = s.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (!parts.length || parts.length > 3 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [d, m = 0, sec = 0] = parts;
+  if (m < 0 || m >= 60 || sec < 0 || sec >= 60 || (parts.length > 1 && !Number.isInteger(d))) return null;
+  let value = Math.abs(d) + m / 60 + sec / 3600;
+  if (d < 0 || Object.is(d, -0) || hemi === "S" || hemi === "W") value = -value;
+  return value;
+}
+
+export function formatDms(value, axis) {
+  if (value == null || !Number.isFinite(value)) return "";
+  const hemi = axis === "lat" ? (value < 0 ? "S" : "N") : value < 0 ? "W" : "E";
+  let abs = Math.abs(value);
+  let d = Math.floor(abs);
+  let m = Math.floor((abs - d) * 60);
+  let sec = Math.round(((abs - d) * 60 - m) * 60 * 10) / 10;
+  if (sec >= 60) {
+    sec = 0;
+    m += 1;
+  }
+  if (m >= 60) {
+    m = 0;
+    d += 1;
+  }
+  return `${d}°${String(m).padStart(2, "0")}'${sec.toFixed(1).padStart(4, "0")}"${hemi}`;
+}
+
+// Range checks; returns a list of messages (empty when valid)
+export function validateGeographic(lat, lon) {
+  const errors = [];
+  if (lat == null || !Number.isFinite(lat) || lat < -90 || lat > 90) errors.push("Latitude must be between -90 and 90");
+  if (lon == null || !Number.isFinite(lon) || lon < -180 || lon > 180) errors.push("Longitude must be between -180 and 180");
+  return errors;
+}
+
+export function validateUtm({ zone, hemisphere, easting, northing }) {
+  const errors = [];
+  if (!Number.isInteger(zone) || zone < 1 || zone > 60) errors.push("UTM zone must be 1–60");
+  if (hemisphere !== "N" && hemisphere !== "S") errors.push("Hemisphere must be N or S");
+  if (!Number.isFinite(easting) || easting < 100000 || easting > 900000) errors.push("Easting must be 100 000–900 000 m");
+  if (!Number.isFinite(northing) || northing < 0 || northing > 10000000) errors.push("Northing must be 0–10 000 000 m");
+  return errors;
+}
+
+// Form patch for a geographic position: lat/lon plus the derived UTM fields,
+// so every record and export carries both.
+export function geographicPatch(lat, lon, datum = "WGS84") {
+  const utm = toUtm(lat, lon, { datum });
+  return {
+    lat: lat.toFixed(6),
+    lon: lon.toFixed(6),
+    utmZone: String(utm.zone),
+    utmHemisphere: utm.hemisphere,
+    easting: utm.easting.toFixed(1),
+    northing: utm.northing.toFixed(1),
+  };
+}
+
+// Form patch for a UTM position (zone as entered), with derived lat/lon
+export function projectedPatch(utm, datum = "WGS84") {
+  const { lat, lon } = fromUtm(utm, { datum });
+  return {
+    lat: lat.toFixed(6),
+    lon: lon.toFixed(6),
+    utmZone: String(utm.zone),
+    utmHemisphere: utm.hemisphere,
+    easting: utm.easting.toFixed(1),
+    northing: utm.northing.toFixed(1),
+  };
+}
+
+// One-line location for exports, e.g. "-23.500000, 146.100000 (WGS84) · UTM 55S 512345.0E 7400000.0N"
+export function formatLocation(form) {
+  const geo = form.lat && form.lon ? `${form.lat}, ${form.lon}` : "";
+  const utm = form.easting && form.northing ? `UTM ${form.utmZone}${form.utmHemisphere} ${form.easting}E ${form.northing}N` : "";
+  const datum = form.datum || "WGS84";
+  return [geo && `${geo} (${datum})`, utm].filter(Boolean).join(" · ");
+}
@@ -0,0 +1,111 @@
+// src/core.js — drill hole logging model
+// A core-mode sample carries one hole: collar = the form's location fields,
+// plus azimuth/dip/depth and a from/to interval log. Depths are metres down hole.
+
+const EPS = 0.005; // depths are logged to the centimetre
+
+export function newHole(holeId = "") {
+  return { holeId, azimuth: "", dip: "", depth: "", intervals: [] };
+}
+
+export function newInterval(from = "") {
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    from: from === "" ? "" : String(from),
+    to: "",
+    lithology: "",
+    weatheringGrade: "",
+    alteration: [],
+    mineralisation: "",
+    sampleNos: "",
+    photoIds: [],
+    generated: "",
+    structured: null,
+  };
+}
+
+const num = (v) => (v === "" || v == null ? NaN : Number(v));
+
+// Hole header checks; returns a list of messages (empty when valid)
+export function validateHole(hole) {
+  const errors = [];
+  const az = num(hole.azimuth);
+  const dip = num(hole.dip);
+  const depth = num(hole.depth);
+  if (hole.azimuth !== "" && !(az >= 0 && az <= 360)) errors.push("Azimuth must be 0–360°");
+  // Negative dips point down (the usual surface-hole convention)
+  if (hole.dip !== "" && !(dip >= -90 && dip <= 90)) errors.push("Dip must be -90 to 90°");
+  if (hole.depth !== "" && !(depth > 0)) errors.push("Total depth must be greater than 0 m");
+  return errors;
+}
+
+/**
+ * Interval log checks against the hole's total depth.
+ * Returns { rows: { [intervalId]: [messages] }, gaps: [{from, to}], overlaps: [{from, to, ids}] }.
+ * Gaps include unlogged core from 0 m and to end of hole when the depth is known.
+ */
+export function checkIntervals(intervals, depth) {
+  const rows = {};
+  const flag = (id, msg) => (rows[id] = [...(rows[id] || []), msg]);
+  const eoh = num(depth);
+  const valid = [];
+  for (const iv of intervals) {
+    const from = num(iv.from);
+    const to = num(iv.to);
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      if (iv.from !== "" || iv.to !== "") flag(iv.id, "Enter both From and To");
+      continue;
+    }
+    if (from < 0) flag(iv.id, "From must be ≥ 0 m");
+    if (to <= from) flag(iv.id, "To must be greater than From");
+    else if (Number.isFinite(eoh) && to > eoh + EPS) flag(iv.id, `To is past end of hole (${eoh} m)`);
+    if (from >= 0 && to > from) valid.push({ id: iv.id, from, to });
+  }
+
+  valid.sort((a, b) => a.from - b.from || a.to - b.to);
+  const gaps = [];
+  const overlaps = [];
+  let cursor = 0;
+  let last = null;
+  for (const iv of valid) {
+    if (iv.from > cursor + EPS) gaps.push({ from: cursor, to: iv.from });
+    else if (last && iv.from < cursor - EPS) {
+      overlaps.push({ from: iv.from, to: Math.min(cursor, iv.to), ids: [last.id, iv.id] });
+      flag(iv.id, `Overlaps ${last.from}–${last.to} m`);
+    }
+    if (iv.to >= cursor) {
+      cursor = iv.to;
+      last = iv;
+    }
+  }
+  if (Number.isFinite(eoh) && valid.length && eoh > cursor + EPS) gaps.push({ from: cursor, to: eoh });
+  return { rows, gaps, overlaps };
+}
+
+export const sortIntervals = (intervals) =>
+  [...intervals].sort((a, b) => (num(a.from) || 0) - (num(b.from) || 0) || (num(a.to) || 0) - (num(b.to) || 0));
+
+// Interval context for /api/describe (the form supplies the collar and hole setting)
+export function intervalContext(hole, iv) {
+  return {
+    holeId: hole.holeId,
+    azimuth: hole.azimuth,
+    dip: hole.dip,
+    from_m: iv.from,
+    to_m: iv.to,
+    lithology: iv.lithology,
+    weatheringGrade: iv.weatheringGrade,
+    alteration: iv.alteration,
+    mineralisation: iv.mineralisation,
+    sampleNos: iv.sampleNos,
+  };
+}
+
+// Stable colour per lithology name for the strip log
+export function lithologyColour(name) {
+  const s = String(name || "").trim().toLowerCase();
+  if (!s) return "#e2e8f0";
+  let h = 0;
+  for (const ch of s) h = (h * 31 + ch.charCodeAt(0)) % 360;
+  return `hsl(${h} 45% 72%)`;
+}
@@ -0,0 +1,77 @@
+// src/describeClient.js — clients for /api/describe
+// describeStream() uses POST /api/describe/stream (Server-Sent Events): it
+// calls onText(delta) as narrative text arrives and resolves to the final
+// /api/describe body. Rejects on server errors, dropped connections and
+// aborts; whatever onText already delivered is the caller's to keep.
+
+// POST a JSON body. Only a rejected fetch() — no connection at all — is
+// marked `offline`; errors reading or parsing the response are not.
+async function postJson(url, body, signal) {
+  const init = { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body), signal };
+  try {
+    return await fetch(url, init);
+  } catch (e) {
+    if (!signal?.aborted) e.offline = true;
+    throw e;
+  }
+}
+
+export async function describeStream(body, { signal, onText }) {
+  const r = await postJson("/api/describe/stream", body, signal);
+  if (!r.ok || !r.body) {
+    const data = await r.json().catch(() => ({}));
+    throw new Error(data?.error || `API error ${r.status}`);
+  }
+
+  const reader = r.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += value;
+    let sep;
+    while ((sep = buf.indexOf("\n\n")) >= 0) {
+      const frame = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+      const event = /^event: (.*)$/m.exec(frame)?.[1] || "message";
+      const data = JSON.parse(
+        frame
+          .split("\n")
+          .filter((l) => l.startsWith("data: "))
+          .map((l) => l.slice(6))
+          .join("\n") || "null"
+      );
+      if (event === "token") onText(data.text);
+      else if (event === "done") return data;
+      else if (event === "error") throw new Error(data?.error || "API error");
+    }
+  }
+  throw new Error("Connection closed before the description finished");
+}
+
+// One-shot request (used by the offline queue)
+export async function describeOnce(body) {
+  const r = await postJson("/api/describe", body);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw Object.assign(new Error(data?.error || `API error ${r.status}`), { status: r.status });
+  return data;
+}
+
+// Alternative descriptions for review: resolves to { candidates: [body], failed }
+export async function describeCandidates(body, count, { signal } = {}) {
+  const r = await postJson("/api/describe/candidates", { ...body, candidates: count }, signal);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw Object.assign(new Error(data?.error || `API error ${r.status}`), { status: r.status });
+  return data;
+}
+
+// Assembled prompt for the body, without calling the model (/api/describe/preview)
+export async function previewPrompt(body) {
+  const r = await postJson("/api/describe/preview", body);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `API error ${r.status}`);
+  return data;
+}
+
+// The request never reached the server (see postJson), or the device is offline
+export const isNetworkError = (e) => Boolean(e?.offline) || !navigator.onLine;
@@ -0,0 +1,69 @@
+// src/describeQueue.js — describe requests made offline, kept in IndexedDB
+// One entry per sample ID: { sampleId, body, status: pending|done|failed, error, queuedAt, finishedAt }.
+// The result is written into the saved sample when the request finally runs.
+import { get, set, del, keys } from 'idb-keyval';
+import { loadSample, saveSample } from './storage.js';
+import { describeOnce, isNetworkError } from './describeClient.js';
+
+const key = (id) => `describeQueue:${id}`;
+
+export async function enqueueDescribe(sampleId, body) {
+  await set(key(sampleId), { sampleId, body, status: 'pending', error: null, queuedAt: new Date().toISOString() });
+}
+
+export async function retryDescribe(sampleId) {
+  const entry = await get(key(sampleId));
+  if (entry) await set(key(sampleId), { ...entry, status: 'pending', error: null });
+}
+
+export async function dequeueDescribe(sampleId) {
+  return del(key(sampleId));
+}
+
+// { [sampleId]: { status, error, queuedAt, finishedAt } } without the request bodies
+export async function queueStatus() {
+  const ks = (await keys()).filter((k) => String(k).startsWith('describeQueue:'));
+  const out = {};
+  for (const k of ks) {
+    const { body: _body, sampleId, ...rest } = await get(k);
+    out[sampleId] = rest;
+  }
+  return out;
+}
+
+let running = null;
+
+// Runs every pending entry once. Network failures leave the entry pending for
+// the next 'online' event; server errors mark it failed. onResult(sampleId, data, run)
+// fires after each success so the UI can refresh an open sample; `run` is the
+// entry added to the sample's aiRuns (see src/revisions.js).
+export function processQueue({ onResult } = {}) {
+  if (running) return running;
+  running = (async () => {
+    const ks = (await keys()).filter((k) => String(k).startsWith('describeQueue:'));
+    for (const k of ks) {
+      const entry = await get(k);
+      if (!entry || entry.status !== 'pending') continue;
+      try {
+        const data = await describeOnce(entry.body);
+        const { description, ...structured } = data;
+        const run = { at: new Date().toISOString(), ...data };
+        const saved = await loadSample(entry.sampleId);
+        if (saved) {
+          await saveSample(
+            { ...saved, generated: description || '', structured, aiRuns: [...(saved.aiRuns || []), run] },
+            { note: 'AI description (queued request)' }
+          );
+        }
+        await set(k, { ...entry, status: 'done', error: null, finishedAt: new Date().toISOString() });
+        onResult?.(entry.sampleId, data, run);
+      } catch (e) {
+        if (isNetworkError(e)) break; // still offline — try again later
+        await set(k, { ...entry, status: 'failed', error: String(e.message || e), finishedAt: new Date().toISOString() });
+      }
+    }
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
@@ -0,0 +1,72 @@
+// src/exif.js — capture metadata from photo files
+// Read from the original File before downscaleDataUrl() redraws it to a canvas
+// (which strips all EXIF).
+import exifr from "exifr";
+
+// Spread across one sample's photos worth a warning
+export const SPREAD_WARN_M = 200;
+export const SPREAD_WARN_MIN = 120;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Local yyyy-MM-ddTHH:mm, the format of the Date/time input
+export function toLocalInput(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Returns { meta, rotation } for an image File.
+ * meta: { lat, lon, elevation, takenAt (ISO), orientation, make, model, gpsAccuracy } — null fields when absent
+ * rotation: exifr rotation info; `rotation.canvas` is true when the browser will
+ * NOT apply the orientation tag itself and the canvas must be rotated by hand.
+ */
+export async function readPhotoMeta(file) {
+  let tags = null;
+  let rotation = null;
+  try {
+    tags = await exifr.parse(file, { tiff: true, exif: true, gps: true, translateValues: false, reviveValues: true });
+    rotation = await exifr.rotation(file);
+  } catch {
+    // PNGs, screenshots and edited images often carry no EXIF at all
+  }
+  if (!tags) return { meta: null, rotation };
+  const taken = tags.DateTimeOriginal || tags.CreateDate || null;
+  const alt = typeof tags.GPSAltitude === "number" ? tags.GPSAltitude * (tags.GPSAltitudeRef === 1 ? -1 : 1) : null;
+  return {
+    meta: {
+      lat: Number.isFinite(tags.latitude) ? tags.latitude : null,
+      lon: Number.isFinite(tags.longitude) ? tags.longitude : null,
+      elevation: alt === null ? null : Math.round(alt * 10) / 10,
+      takenAt: taken instanceof Date && !isNaN(taken) ? taken.toISOString() : null,
+      orientation: tags.Orientation ?? null,
+      make: tags.Make || null,
+      model: tags.Model || null,
+      gpsAccuracy: typeof tags.GPSHPositioningError === "number" ? tags.GPSHPositioningError : null,
+    },
+    rotation,
+  };
+}
+
+// Great-circle distance in metres
+export function haversineM(lat1, lon1, lat2, lon2) {
+  const R = 6371008.8;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// Largest pairwise distance (m) and time span (min) across the photos' capture metadata
+export function photoSpread(photos) {
+  const located = photos.map((p) => p.exif).filter((m) => m?.lat != null && m?.lon != null);
+  let maxM = 0;
+  for (let i = 0; i < located.length; i++) {
+    for (let j = i + 1; j < located.length; j++) {
+      maxM = Math.max(maxM, haversineM(located[i].lat, located[i].lon, located[j].lat, located[j].lon));
+    }
+  }
+  const times = photos.map((p) => Date.parse(p.exif?.takenAt)).filter(Number.isFinite);
+  const spanMin = times.length > 1 ? (Math.max(...times) - Math.min(...times)) / 60000 : 0;
+  return { maxM, spanMin };
+}
@@ -0,0 +1,316 @@
+// src/gis.js — sample collections in and out of GIS
+// GeoJSON (QGIS/ArcGIS), KML/KMZ (Google Earth; placemark shows the primary
+// photo thumbnail) and a flat CSV with one row per sample, where each
+// multiselect field (minerals, alteration, sulfides…) becomes one 0/1 column
+// per option ("minerals:Quartz"). parseCollection() reads all of them back.
+// Records are the saved-sample shape from src/storage.js.
+import { zipSync, unzipSync, strToU8, strFromU8 } from "fflate";
+import { schemaFields, LOCATION_DEFAULTS, initialForm } from "../lib/formSchema.js";
+import { formatMeasurement } from "../lib/structures.js";
+import { exportDescription, markedText, unmarkText, reviewLine } from "./review.js";
+
+// Non-form columns, kept clear of schema keys. `description` is the approved
+// text, or the AI draft marked as unreviewed (src/review.js);
+// description_status says which.
+const AI_COLUMNS = ["ai_rockName", "ai_confidence", "ai_model", "description", "description_status"];
+const LIST_SEP = "; ";
+
+// Form keys in schema order, the location widget expanded to its fields
+export function formColumns(schema) {
+  return schemaFields(schema).flatMap((f) =>
+    f.type === "location" ? Object.keys(LOCATION_DEFAULTS) : f.type === "panel" ? [] : [f.key]
+  );
+}
+
+const multiFields = (schema) => schemaFields(schema).filter((f) => f.type === "multiselect");
+
+function point(form) {
+  const lat = Number(form.lat);
+  const lon = Number(form.lon);
+  if (form.lat === "" || form.lon === "" || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const elev = Number(form.elevation);
+  return form.elevation !== "" && Number.isFinite(elev) ? [lon, lat, elev] : [lon, lat];
+}
+
+// Properties of one record; multiselect values stay arrays
+function properties(schema, rec) {
+  const props = {};
+  for (const k of formColumns(schema)) props[k] = rec.form[k] ?? "";
+  props.ai_rockName = rec.structured?.rockName || "";
+  props.ai_confidence = rec.structured?.confidence || "";
+  props.ai_model = rec.structured?.model || "";
+  const description = exportDescription(rec);
+  props.description = markedText(description);
+  props.description_status = description.status;
+  props.structuralMeasurements = (rec.measurements || []).map(formatMeasurement).join(LIST_SEP);
+  props.savedAt = rec.savedAt || "";
+  return props;
+}
+
+/* ===== GeoJSON ===== */
+
+export function toGeoJSON(schema, records) {
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      name: "geodescribe-samples",
+      features: records.map((rec) => {
+        const coords = point(rec.form);
+        return {
+          type: "Feature",
+          id: rec.form.sampleId,
+          geometry: coords ? { type: "Point", coordinates: coords } : null,
+          // measurements ride along as objects so an import restores them exactly
+          properties: { ...properties(schema, rec), measurements: rec.measurements || [] },
+        };
+      }),
+    },
+    null,
+    2
+  );
+}
+
+/* ===== KML / KMZ ===== */
+
+const xml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+const cdata = (s) => `<![CDATA[${String(s).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+function placemark(schema, rec, imgSrc) {
+  const props = properties(schema, rec);
+  const coords = point(rec.form);
+  const description = exportDescription(rec);
+  const title = [props.ai_rockName, rec.form.sampleType].filter(Boolean).join(" · ");
+  const html =
+    (imgSrc ? `<img src="${imgSrc}" width="256"/><br/>` : "") +
+    (title ? `<b>${xml(title)}</b><br/>` : "") +
+    (description.status === "draft" ? `<p><b style="color:#b91c1c">${xml(reviewLine(description))}</b></p>` : "") +
+    (description.text ? `<p>${xml(description.text).replace(/\n/g, "<br/>")}</p>` : "") +
+    (description.status === "approved" ? `<p><i>${xml(reviewLine(description))}</i></p>` : "");
+  const data = Object.entries(props)
+    .filter(([, v]) => (Array.isArray(v) ? v.length : v !== ""))
+    .map(([k, v]) => `<Data name="${xml(k)}"><value>${xml(Array.isArray(v) ? v.join(LIST_SEP) : v)}</value></Data>`)
+    .join("");
+  return (
+    `<Placemark><name>${xml(rec.form.sampleId)}</name>` +
+    `<description>${cdata(html)}</description>` +
+    `<ExtendedData>${data}</ExtendedData>` +
+    (coords ? `<Point><coordinates>${coords.join(",")}</coordinates></Point>` : "") +
+    `</Placemark>`
+  );
+}
+
+function kmlDocument(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>GeoDescribe samples</name>${body}</Document></kml>\n`;
+}
+
+const primaryPhoto = (rec) => {
+  const p = (rec.photos || [])[0];
+  return typeof p === "string" ? p : p?.src || null;
+};
+
+/**
+ * KML with thumbnails inlined as data URLs. `thumbnail(dataUrl)` returns a
+ * small JPEG data URL (the browser does the scaling).
+ */
+export async function toKML(schema, records, thumbnail) {
+  const parts = [];
+  for (const rec of records) {
+    const src = primaryPhoto(rec);
+    parts.push(placemark(schema, rec, src ? await thumbnail(src) : null));
+  }
+  return kmlDocument(parts.join("\n"));
+}
+
+// KMZ: doc.kml plus files/<sampleId>.jpg thumbnails referenced from the placemarks
+export async function toKMZ(schema, records, thumbnail) {
+  const files = {};
+  const parts = [];
+  for (const rec of records) {
+    const src = primaryPhoto(rec);
+    let ref = null;
+    if (src) {
+      const thumb = await thumbnail(src);
+      ref = `files/${rec.form.sampleId.replace(/[^\w.-]/g, "_")}.jpg`;
+      files[ref] = Uint8Array.from(atob(thumb.split(",")[1]), (c) => c.charCodeAt(0));
+    }
+    parts.push(placemark(schema, rec, ref));
+  }
+  files["doc.kml"] = strToU8(kmlDocument(parts.join("\n")));
+  return zipSync(files, { level: 6 });
+}
+
+/* ===== CSV ===== */
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCSV(schema, records) {
+  const multi = multiFields(schema);
+  // Options = the schema's list plus anything a record carries that the list doesn't
+  const options = Object.fromEntries(
+    multi.map((f) => [
+      f.key,
+      Array.from(new Set([...(schema.enums[f.enum] || f.options || []), ...records.flatMap((r) => r.form[f.key] || [])])),
+    ])
+  );
+  const multiKeys = new Set(multi.map((f) => f.key));
+  const base = formColumns(schema).filter((k) => !multiKeys.has(k));
+  const header = [
+    ...base,
+    ...multi.flatMap((f) => options[f.key].map((o) => `${f.key}:${o}`)),
+    ...AI_COLUMNS,
+    "structuralMeasurements",
+    "savedAt",
+  ];
+  const rows = records.map((rec) => {
+    const props = properties(schema, rec);
+    return [
+      ...base.map((k) => props[k]),
+      ...multi.flatMap((f) => options[f.key].map((o) => ((rec.form[f.key] || []).includes(o) ? 1 : 0))),
+      ...AI_COLUMNS.map((k) => props[k]),
+      props.structuralMeasurements,
+      props.savedAt,
+    ];
+  });
+  // BOM so Excel reads UTF-8
+  return "\ufeff" + [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180 rows, including newlines inside quoted cells
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/* ===== Import ===== */
+
+// Flat property bag (any format) → saved-sample record, or null without a sample ID
+function recordFrom(schema, props, { coords = null, measurements = null, photo = null } = {}) {
+  const form = initialForm(schema);
+  const multi = new Set(multiFields(schema).map((f) => f.key));
+  for (const k of formColumns(schema)) {
+    if (props[k] === undefined || props[k] === null) continue;
+    const v = props[k];
+    form[k] = multi.has(k) ? (Array.isArray(v) ? v : String(v).split(/\s*;\s*/).filter(Boolean)) : String(v);
+  }
+  for (const [k, v] of Object.entries(props)) {
+    const m = /^([^:]+):(.+)$/.exec(k);
+    if (m && multi.has(m[1]) && ["1", "true", "yes", "x"].includes(String(v).trim().toLowerCase())) {
+      form[m[1]] = Array.from(new Set([...(form[m[1]] || []), m[2]]));
+    }
+  }
+  if (coords && (form.lat === "" || form.lon === "")) {
+    form.lon = String(coords[0]);
+    form.lat = String(coords[1]);
+    if (coords[2] != null && form.elevation === "") form.elevation = String(coords[2]);
+  }
+  form.sampleId = String(form.sampleId || props.name || "").trim();
+  if (!form.sampleId) return null;
+  const structured = props.ai_rockName ? { rockName: props.ai_rockName, confidence: props.ai_confidence || "", model: props.ai_model || "" } : null;
+  return {
+    form,
+    photos: photo ? [{ id: Math.random().toString(36).slice(2, 10), src: photo, role: "", sendToAI: true }] : [],
+    ...importedDescription(props),
+    structured,
+    measurements: Array.isArray(measurements) ? measurements : [],
+  };
+}
+
+// Description columns back to { generated, approved }; files from before the
+// review workflow carry the raw text in ai_description
+function importedDescription(props) {
+  const text = String(props.description ?? props.ai_description ?? "");
+  if (props.description_status === "approved" && text) {
+    return { generated: "", approved: { text, rockName: props.ai_rockName || "", by: "", at: "", edited: false, model: props.ai_model || "" } };
+  }
+  return { generated: unmarkText(text), approved: null };
+}
+
+function fromGeoJSON(schema, text) {
+  const data = JSON.parse(text);
+  const features = data.type === "FeatureCollection" ? data.features : data.type === "Feature" ? [data] : [];
+  return features.map((f) =>
+    recordFrom(schema, { ...(f.properties || {}), sampleId: f.properties?.sampleId ?? f.id }, {
+      coords: f.geometry?.type === "Point" ? f.geometry.coordinates : null,
+      measurements: f.properties?.measurements,
+    })
+  );
+}
+
+function fromKML(schema, text, files = {}) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Not a readable KML file");
+  return Array.from(doc.getElementsByTagName("Placemark")).map((pm) => {
+    const props = { name: pm.getElementsByTagName("name")[0]?.textContent?.trim() || "" };
+    for (const d of pm.getElementsByTagName("Data")) props[d.getAttribute("name")] = d.getElementsByTagName("value")[0]?.textContent ?? "";
+    const coordText = pm.getElementsByTagName("coordinates")[0]?.textContent?.trim();
+    const coords = coordText ? coordText.split(/\s+/)[0].split(",").map(Number) : null;
+    const img = /<img[^>]+src="([^"]+)"/.exec(pm.getElementsByTagName("description")[0]?.textContent || "")?.[1];
+    const photo = img?.startsWith("data:") ? img : img && files[img] ? `data:image/jpeg;base64,${bytesToBase64(files[img])}` : null;
+    return recordFrom(schema, props, { coords, photo });
+  });
+}
+
+function bytesToBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromCSV(schema, text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\ufeff/, ""));
+  if (!header) return [];
+  return rows.map((r) => recordFrom(schema, Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ""]))));
+}
+
+/**
+ * Read an exported collection back: { records, skipped } where `skipped`
+ * counts entries without a sample ID. Format from the file name, then content.
+ */
+export async function parseCollection(schema, file) {
+  const name = file.name.toLowerCase();
+  let records;
+  if (name.endsWith(".kmz")) {
+    const files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    const kml = Object.keys(files).find((f) => f.toLowerCase().endsWith(".kml"));
+    if (!kml) throw new Error("KMZ has no KML document inside");
+    records = fromKML(schema, strFromU8(files[kml]), files);
+  } else {
+    const text = await file.text();
+    if (name.endsWith(".kml") || /^\s*<\?xml|^\s*<kml/i.test(text)) records = fromKML(schema, text);
+    else if (name.endsWith(".csv")) records = fromCSV(schema, text);
+    else records = fromGeoJSON(schema, text);
+  }
+  return { records: records.filter(Boolean), skipped: records.filter((r) => !r).length };
+}
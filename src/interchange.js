@@ -0,0 +1,221 @@
+// src/interchange.js — the shareable sample file
+// { format: "geodescribe", version, exportedAt, samples: [record] } where a
+// record is the saved-sample shape from src/storage.js (minus savedAt
+// bookkeeping). One sample or a whole bundle use the same envelope.
+//
+// Files from before the envelope existed ({ form, photos: [dataUrl], generated,
+// createdAt, … } — "Export JSON (share)") are version 1 and are migrated on
+// import. Add a step to MIGRATIONS whenever the record shape changes.
+import { schemaFields, initialForm, fieldLabel, formEntries, LOCATION_DEFAULTS } from "../lib/formSchema.js";
+import { validateMeasurement } from "../lib/structures.js";
+
+export const INTERCHANGE_FORMAT = "geodescribe";
+export const INTERCHANGE_VERSION = 2;
+
+const newId = () => Math.random().toString(36).slice(2, 10);
+
+// MIGRATIONS[n] turns a version-n document into version n + 1
+const MIGRATIONS = {
+  1: (doc) => ({
+    format: INTERCHANGE_FORMAT,
+    version: 2,
+    exportedAt: doc.createdAt || null,
+    samples: [
+      {
+        form: doc.form,
+        photos: doc.photos,
+        generated: doc.generated || "",
+        structured: doc.structured || null,
+        pxrf: doc.pxrf || null,
+        measurements: doc.measurements || [],
+        hole: doc.hole || null,
+      },
+    ],
+  }),
+};
+
+// Build a file for one or many saved records. `fields` is a labelled,
+// human-readable copy of the form; import ignores it.
+export function toInterchange(schema, records) {
+  return {
+    format: INTERCHANGE_FORMAT,
+    version: INTERCHANGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    samples: records.map(({ form, photos = [], generated = "", structured = null, approved = null, pxrf = null, measurements = [], hole = null }) => ({
+      form,
+      fields: formEntries(schema, form),
+      photos,
+      generated,
+      structured,
+      approved,
+      pxrf,
+      measurements,
+      hole,
+    })),
+  };
+}
+
+// Parsed JSON that is ours (any version), as opposed to GeoJSON or something else
+export const isInterchange = (doc) =>
+  !!doc && typeof doc === "object" && (doc.format === INTERCHANGE_FORMAT || (doc.form && typeof doc.form === "object" && !doc.type));
+
+function versionOf(doc) {
+  if (doc.format !== INTERCHANGE_FORMAT) return 1;
+  const v = Number(doc.version);
+  if (!Number.isInteger(v) || v < 1) throw new Error("Sample file has no valid version");
+  if (v > INTERCHANGE_VERSION) throw new Error(`Sample file is version ${v}; this app reads up to ${INTERCHANGE_VERSION}. Update GeoDescribe.`);
+  return v;
+}
+
+export function migrate(doc) {
+  let out = doc;
+  for (let v = versionOf(doc); v < INTERCHANGE_VERSION; v++) out = MIGRATIONS[v](out);
+  return out;
+}
+
+/**
+ * Check one migrated record against the schema and fill what older files
+ * lack (fields added since, e.g. packing/textureType, get their defaults).
+ * Returns { record, errors, warnings }; a record with errors isn't imported.
+ */
+export function normalizeRecord(schema, raw) {
+  const errors = [];
+  const warnings = [];
+  if (!raw || typeof raw.form !== "object" || !raw.form) return { record: null, errors: ["No form data"], warnings };
+  const id = String(raw.form.sampleId ?? "").trim();
+  if (!id) errors.push("Sample ID is missing");
+
+  const form = { ...initialForm(schema), date: "", ...raw.form, sampleId: id };
+  for (const f of schemaFields(schema)) {
+    const v = form[f.key];
+    const label = fieldLabel(f);
+    if (f.type === "multiselect") {
+      if (!Array.isArray(v)) form[f.key] = v ? String(v).split(/\s*[;,]\s*/).filter(Boolean) : [];
+      const options = schema.enums[f.enum] || f.options || [];
+      const unknown = form[f.key].filter((x) => !options.includes(x));
+      if (unknown.length) warnings.push(`${label}: not in the list — ${unknown.join(", ")}`);
+    } else if (f.type === "select") {
+      const options = schema.enums[f.enum] || f.options || [];
+      if (v !== "" && v != null && !options.includes(String(v))) warnings.push(`${label}: "${v}" is not in the list`);
+    } else if (f.type === "number") {
+      if (v !== "" && v != null && !Number.isFinite(Number(v))) warnings.push(`${label}: "${v}" is not a number`);
+    }
+    if (!["multiselect", "location", "panel"].includes(f.type) && form[f.key] != null && typeof form[f.key] !== "string") {
+      form[f.key] = String(form[f.key]);
+    }
+  }
+  for (const k of Object.keys(LOCATION_DEFAULTS)) form[k] = form[k] == null ? LOCATION_DEFAULTS[k] : String(form[k]);
+  const lat = Number(form.lat);
+  const lon = Number(form.lon);
+  if (form.lat !== "" && !(lat >= -90 && lat <= 90)) errors.push(`Latitude "${form.lat}" is out of range`);
+  if (form.lon !== "" && !(lon >= -180 && lon <= 180)) errors.push(`Longitude "${form.lon}" is out of range`);
+
+  // Early exports stored photos as bare data URLs
+  const photos = (Array.isArray(raw.photos) ? raw.photos : [])
+    .map((p) => (typeof p === "string" ? { id: newId(), src: p } : p))
+    .filter((p) => p && typeof p.src === "string" && p.src.startsWith("data:image/"));
+  if (photos.length < (raw.photos || []).length) warnings.push(`${(raw.photos || []).length - photos.length} photo(s) unreadable and left out`);
+
+  const measurements = Array.isArray(raw.measurements) ? raw.measurements : [];
+  const badMeasurements = measurements.filter((m) => validateMeasurement(m).length).length;
+  if (badMeasurements) warnings.push(`${badMeasurements} structural measurement(s) incomplete`);
+
+  return {
+    record: errors.length
+      ? null
+      : {
+          form,
+          photos,
+          generated: typeof raw.generated === "string" ? raw.generated : "",
+          structured: raw.structured && typeof raw.structured === "object" ? raw.structured : null,
+          approved: typeof raw.approved?.text === "string" ? raw.approved : null,
+          pxrf: raw.pxrf || null,
+          measurements,
+          hole: raw.hole || null,
+        },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Parsed file → { version, results: [{ id, record, errors, warnings }] }.
+ * `version` is the file's own version, before migration.
+ */
+export function readInterchange(schema, doc) {
+  const version = versionOf(doc);
+  const migrated = migrate(doc);
+  if (!Array.isArray(migrated.samples)) throw new Error("Sample file has no samples list");
+  return {
+    version,
+    results: migrated.samples.map((raw) => ({ id: String(raw?.form?.sampleId ?? "").trim(), ...normalizeRecord(schema, raw) })),
+  };
+}
+
+/* ===== Merge ===== */
+
+const isBlank = (v) => v == null || v === "" || (Array.isArray(v) && v.length === 0);
+const same = (a, b) => JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+
+const LOCATION_LABELS = {
+  lat: "Latitude",
+  lon: "Longitude",
+  datum: "Datum",
+  coordEntry: "Coordinates entered as",
+  utmZone: "UTM zone",
+  utmHemisphere: "UTM hemisphere",
+  easting: "Easting",
+  northing: "Northing",
+  gpsAccuracy_m: "GPS accuracy (m)",
+  locationSource: "Location source",
+};
+
+// Non-form parts of a record, compared as a whole
+const RECORD_PARTS = [
+  ["photos", "Photos", (v) => `${(v || []).length} photo(s)`],
+  ["generated", "AI description", (v) => v || ""],
+  ["structured", "AI result", (v) => (v ? `${v.rockName || "?"} (${v.confidence || "?"})` : "")],
+  ["approved", "Approved description", (v) => (v ? `${v.text}\n(by ${v.by || "?"}, ${String(v.at || "?").slice(0, 10)})` : "")],
+  ["measurements", "Structural measurements", (v) => `${(v || []).length} measurement(s)`],
+  ["pxrf", "pXRF readings", (v) => (v ? `${v.readings?.length || 0} reading(s) from ${v.fileName || "file"}` : "")],
+  ["hole", "Drill hole", (v) => (v ? `${v.holeId || "hole"}, ${(v.intervals || []).length} interval(s)` : "")],
+];
+
+/**
+ * Differences between the saved record and an incoming one:
+ * [{ id, key, part: "form" | "record", label, current, incoming, preview: [cur, inc], pick }]
+ * (the form's pXRF notes and the record's pXRF readings share a key, hence `id`)
+ * `pick` is the default choice — incoming unless it would blank a value.
+ * `partial`: the incoming record only carries some fields (GIS imports), so
+ * blanks in it mean "not in the file" and aren't listed.
+ */
+export function diffRecords(schema, current, incoming, { partial = false } = {}) {
+  const rows = [];
+  const labels = { ...LOCATION_LABELS, ...Object.fromEntries(schemaFields(schema).map((f) => [f.key, fieldLabel(f)])) };
+  const keys = Array.from(new Set([...Object.keys(current.form), ...Object.keys(incoming.form)])).filter((k) => k !== "sampleId");
+  for (const key of keys) {
+    const cur = current.form[key];
+    const inc = incoming.form[key];
+    if (same(cur, inc) || (isBlank(cur) && isBlank(inc)) || (partial && isBlank(inc))) continue;
+    const show = (v) => (Array.isArray(v) ? v.join(", ") : String(v ?? ""));
+    rows.push({ id: `form:${key}`, key, part: "form", label: labels[key] || key, current: cur, incoming: inc, preview: [show(cur), show(inc)], pick: isBlank(inc) ? "current" : "incoming" });
+  }
+  for (const [key, label, show] of RECORD_PARTS) {
+    const cur = current[key];
+    const inc = incoming[key];
+    if (same(cur, inc) || (isBlank(cur) && isBlank(inc)) || (partial && isBlank(inc))) continue;
+    rows.push({ id: `record:${key}`, key, part: "record", label, current: cur, incoming: inc, preview: [show(cur), show(inc)], pick: isBlank(inc) ? "current" : "incoming" });
+  }
+  return rows;
+}
+
+// Apply per-row choices ({ [row.id]: "current" | "incoming" }) to the saved record
+export function mergeRecords(current, rows, choices) {
+  const out = { ...current, form: { ...current.form } };
+  for (const row of rows) {
+    if ((choices[row.id] ?? row.pick) !== "incoming") continue;
+    if (row.part === "form") out.form[row.key] = row.incoming;
+    else out[row.key] = row.incoming;
+  }
+  return out;
+}
@@ -0,0 +1,42 @@
+// src/labels.js — sample tag labels
+// Label stock geometry (mm) and the QR payload. The payload is a link back
+// into the app (?sample=<id>&project=<code>) so a phone's own camera app opens
+// the record too; the in-app scanner (src/QrScanner.jsx) reads the same text.
+
+// Sheet layouts: page size, grid, label size, top-left offset and pitch
+export const LABEL_STOCKS = {
+  L7160: { name: "Avery L7160 — 21 per A4 (63.5 × 38.1)", format: "a4", cols: 3, rows: 7, w: 63.5, h: 38.1, left: 7.2, top: 15.1, pitchX: 66, pitchY: 38.1 },
+  L7163: { name: "Avery L7163 — 14 per A4 (99.1 × 38.1)", format: "a4", cols: 2, rows: 7, w: 99.1, h: 38.1, left: 4.7, top: 15.1, pitchX: 101.6, pitchY: 38.1 },
+  L7165: { name: "Avery L7165 — 8 per A4 (99.1 × 67.7)", format: "a4", cols: 2, rows: 4, w: 99.1, h: 67.7, left: 4.7, top: 13.1, pitchX: 101.6, pitchY: 67.7 },
+  L7651: { name: "Avery L7651 — 65 per A4 (38.1 × 21.2)", format: "a4", cols: 5, rows: 13, w: 38.1, h: 21.2, left: 4.7, top: 10.7, pitchX: 40.6, pitchY: 21.2 },
+  5160: { name: "Avery 5160 — 30 per Letter (66.7 × 25.4)", format: "letter", cols: 3, rows: 10, w: 66.7, h: 25.4, left: 4.8, top: 12.7, pitchX: 69.9, pitchY: 25.4 },
+  5163: { name: "Avery 5163 — 10 per Letter (101.6 × 50.8)", format: "letter", cols: 2, rows: 5, w: 101.6, h: 50.8, left: 4, top: 12.7, pitchX: 104.8, pitchY: 50.8 },
+};
+export const DEFAULT_STOCK = "L7160";
+
+// Text encoded in a sample's QR code
+export function labelPayload({ id, project }, base = `${window.location.origin}${window.location.pathname}`) {
+  const q = new URLSearchParams({ sample: id });
+  if (project) q.set("project", project);
+  return `${base}?${q}`;
+}
+
+/**
+ * Sample reference from scanned text: { id, project } or null.
+ * Accepts our label links and, for hand-made or third-party tags, a bare ID.
+ */
+export function parseLabelPayload(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return null;
+  if (/^https?:\/\//i.test(raw)) {
+    try {
+      const q = new URL(raw).searchParams;
+      const id = q.get("sample");
+      return id ? { id: id.trim(), project: (q.get("project") || "").trim() } : null;
+    } catch {
+      return null;
+    }
+  }
+  // Bare IDs: one line, no spaces around, nothing that looks like a sentence
+  return /^[\w./-]{1,64}$/.test(raw) ? { id: raw, project: "" } : null;
+}
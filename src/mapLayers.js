@@ -0,0 +1,238 @@
+// src/mapLayers.js — everything the sample map draws besides the samples
+// Web Mercator in "world units" (0..1 both ways, y down): layers are
+// projected once, then scaled to the current view by screenPath(). The basemap is
+// Natural Earth 1:50m countries bundled with the app (world-atlas), so it
+// works with no connection. User layers: GeoJSON/KML/KMZ overlays (tenements,
+// traverses) and GeoTIFF rasters (WGS84, Web Mercator or WGS84 UTM).
+import { feature } from "topojson-client";
+import countries50m from "world-atlas/countries-50m.json";
+import { unzipSync, strFromU8 } from "fflate";
+import { fromArrayBuffer } from "geotiff";
+import { fromUtm } from "./coords.js";
+
+const MAX_LAT = 85.05112878;
+
+export function project(lon, lat) {
+  const phi = (Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI) / 180;
+  return [(lon + 180) / 360, (1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2];
+}
+
+export function unproject(x, y) {
+  const lon = x * 360 - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI;
+  return [lon, lat];
+}
+
+// Metres per world unit at a latitude (for the scale bar)
+export const metresPerUnit = (lat) => 40075016.686 * Math.cos((lat * Math.PI) / 180);
+
+// GeoJSON geometry → projected parts { xy: [x0, y0, x1, y1, …], closed, bbox }.
+// The map turns parts into screen-space paths per view; drawing world units
+// under a huge SVG scale would wobble at outcrop zoom (renderers use floats).
+function geometryParts(geom) {
+  const part = (coords, closed) => {
+    const xy = [];
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [lon, lat] of coords) {
+      const [x, y] = project(lon, lat);
+      xy.push(x, y);
+      bbox[0] = Math.min(bbox[0], x);
+      bbox[1] = Math.min(bbox[1], y);
+      bbox[2] = Math.max(bbox[2], x);
+      bbox[3] = Math.max(bbox[3], y);
+    }
+    return { xy, closed, bbox };
+  };
+  switch (geom?.type) {
+    case "LineString":
+      return [part(geom.coordinates, false)];
+    case "MultiLineString":
+      return geom.coordinates.map((c) => part(c, false));
+    case "Polygon":
+      return geom.coordinates.map((c) => part(c, true));
+    case "MultiPolygon":
+      return geom.coordinates.flatMap((p) => p.map((c) => part(c, true)));
+    case "GeometryCollection":
+      return geom.geometries.flatMap(geometryParts);
+    default:
+      return [];
+  }
+}
+
+function pointsOf(geom) {
+  if (geom?.type === "Point") return [geom.coordinates];
+  if (geom?.type === "MultiPoint") return geom.coordinates;
+  if (geom?.type === "GeometryCollection") return geom.geometries.flatMap(pointsOf);
+  return [];
+}
+
+/**
+ * SVG path data in screen pixels for the parts inside the view.
+ * view: { x, y, k } — world point at the top-left corner and pixels per world unit.
+ */
+export function screenPath(parts, view, width, height) {
+  const x1 = view.x + width / view.k;
+  const y1 = view.y + height / view.k;
+  let d = "";
+  for (const p of parts) {
+    const [bx0, by0, bx1, by1] = p.bbox;
+    if (bx1 < view.x || bx0 > x1 || by1 < view.y || by0 > y1) continue;
+    let lx = NaN;
+    let ly = NaN;
+    for (let i = 0; i < p.xy.length; i += 2) {
+      const sx = (p.xy[i] - view.x) * view.k;
+      const sy = (p.xy[i + 1] - view.y) * view.k;
+      // Drop vertices within a pixel of the last one drawn (keeps the world view light)
+      if (i && i < p.xy.length - 2 && Math.abs(sx - lx) < 1 && Math.abs(sy - ly) < 1) continue;
+      d += `${i ? "L" : "M"}${sx.toFixed(1)} ${sy.toFixed(1)}`;
+      lx = sx;
+      ly = sy;
+    }
+    if (p.closed) d += "Z";
+  }
+  return d;
+}
+
+let basemap = null;
+// Country outlines (projected on first use)
+export function basemapParts() {
+  if (!basemap) basemap = feature(countries50m, countries50m.objects.countries).features.flatMap((f) => geometryParts(f.geometry));
+  return basemap;
+}
+
+/* ===== Vector overlays ===== */
+
+// Overlay layer from GeoJSON features: { kind: "vector", parts, points: [{ x, y, name }] }
+function vectorLayer(features) {
+  const parts = [];
+  const points = [];
+  for (const f of features) {
+    const name = f.properties?.name || f.properties?.NAME || f.properties?.id || "";
+    parts.push(...geometryParts(f.geometry));
+    for (const [lon, lat] of pointsOf(f.geometry)) {
+      const [x, y] = project(lon, lat);
+      points.push({ x, y, name });
+    }
+  }
+  if (!parts.length && !points.length) throw new Error("No drawable features in the file");
+  return { kind: "vector", parts, points };
+}
+
+const coordList = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .map((t) => t.split(",").map(Number).slice(0, 2))
+    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+
+// KML placemarks → GeoJSON features (Point, LineString, Polygon, MultiGeometry)
+function kmlFeatures(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Not a readable KML file");
+  const geometryOf = (el) => {
+    switch (el.localName) {
+      case "Point":
+        return { type: "Point", coordinates: coordList(el.getElementsByTagName("coordinates")[0]?.textContent || "")[0] };
+      case "LineString":
+        return { type: "LineString", coordinates: coordList(el.getElementsByTagName("coordinates")[0]?.textContent || "") };
+      case "Polygon":
+        return {
+          type: "Polygon",
+          coordinates: Array.from(el.getElementsByTagName("LinearRing")).map((r) => coordList(r.getElementsByTagName("coordinates")[0]?.textContent || "")),
+        };
+      case "MultiGeometry":
+        return { type: "GeometryCollection", geometries: Array.from(el.children).map(geometryOf).filter(Boolean) };
+      default:
+        return null;
+    }
+  };
+  return Array.from(doc.getElementsByTagName("Placemark")).map((pm) => ({
+    type: "Feature",
+    properties: { name: pm.getElementsByTagName("name")[0]?.textContent?.trim() || "" },
+    geometry: Array.from(pm.children).map(geometryOf).find(Boolean) || null,
+  }));
+}
+
+/* ===== Rasters ===== */
+
+const MAX_RASTER = 2048; // px on the long side once decoded
+
+// Corner coordinates of a GeoTIFF as lon/lat, from its EPSG code
+function rasterBounds(image) {
+  const [minX, minY, maxX, maxY] = image.getBoundingBox();
+  const keys = image.getGeoKeys() || {};
+  const epsg = keys.ProjectedCSTypeGeoKey || keys.GeographicTypeGeoKey;
+  // Any geographic CRS is close enough to WGS84 at map scale
+  if (!keys.ProjectedCSTypeGeoKey && keys.GeographicTypeGeoKey) return { west: minX, south: minY, east: maxX, north: maxY };
+  if (epsg === 3857 || epsg === 900913) {
+    const [west, north] = unproject((minX / 20037508.34 + 1) / 2, (1 - maxY / 20037508.34) / 2);
+    const [east, south] = unproject((maxX / 20037508.34 + 1) / 2, (1 - minY / 20037508.34) / 2);
+    return { west, south, east, north };
+  }
+  // WGS84 UTM 326xx (north) / 327xx (south): corners converted, drawn as their bounding box
+  if (epsg >= 32601 && epsg <= 32760 && epsg % 100 >= 1 && epsg % 100 <= 60) {
+    const zone = epsg % 100;
+    const hemisphere = epsg < 32700 ? "N" : "S";
+    const corners = [
+      [minX, minY],
+      [minX, maxY],
+      [maxX, minY],
+      [maxX, maxY],
+    ].map(([easting, northing]) => fromUtm({ zone, hemisphere, easting, northing }));
+    return {
+      west: Math.min(...corners.map((c) => c.lon)),
+      east: Math.max(...corners.map((c) => c.lon)),
+      south: Math.min(...corners.map((c) => c.lat)),
+      north: Math.max(...corners.map((c) => c.lat)),
+    };
+  }
+  throw new Error(`GeoTIFF is in EPSG:${epsg || "unknown"}; use WGS84 (4326), Web Mercator (3857) or WGS84 UTM`);
+}
+
+async function rasterLayer(buffer) {
+  const image = await (await fromArrayBuffer(buffer)).getImage();
+  const bounds = rasterBounds(image);
+  const scale = Math.min(1, MAX_RASTER / Math.max(image.getWidth(), image.getHeight()));
+  const width = Math.max(1, Math.round(image.getWidth() * scale));
+  const height = Math.max(1, Math.round(image.getHeight() * scale));
+  const rgb = await image.readRGB({ width, height, interleave: true });
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const img = ctx.createImageData(width, height);
+  for (let i = 0, j = 0; i < rgb.length; i += 3, j += 4) {
+    img.data[j] = rgb[i];
+    img.data[j + 1] = rgb[i + 1];
+    img.data[j + 2] = rgb[i + 2];
+    img.data[j + 3] = rgb[i] + rgb[i + 1] + rgb[i + 2] === 0 ? 0 : 255; // black collar = nodata
+  }
+  ctx.putImageData(img, 0, 0);
+  const [x0, y0] = project(bounds.west, bounds.north);
+  const [x1, y1] = project(bounds.east, bounds.south);
+  return { kind: "raster", src: canvas.toDataURL("image/png"), x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+}
+
+/**
+ * File → map layer { id, name, visible, ... } ready to store (src/storage.js)
+ * and draw. GeoJSON/KML/KMZ become vector overlays, .tif/.tiff a raster.
+ */
+export async function readMapLayer(file) {
+  const name = file.name;
+  const lower = name.toLowerCase();
+  let layer;
+  if (/\.tiff?$/.test(lower)) {
+    layer = await rasterLayer(await file.arrayBuffer());
+  } else if (lower.endsWith(".kmz")) {
+    const files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    const kml = Object.keys(files).find((f) => f.toLowerCase().endsWith(".kml"));
+    if (!kml) throw new Error("KMZ has no KML document inside");
+    layer = vectorLayer(kmlFeatures(strFromU8(files[kml])));
+  } else if (lower.endsWith(".kml")) {
+    layer = vectorLayer(kmlFeatures(await file.text()));
+  } else {
+    const data = JSON.parse(await file.text());
+    layer = vectorLayer(data.type === "FeatureCollection" ? data.features : data.type === "Feature" ? [data] : [{ geometry: data }]);
+  }
+  return { id: Math.random().toString(36).slice(2, 10), name, visible: true, ...layer };
+}
@@ -0,0 +1,382 @@
+// src/pdf.js — printable PDFs, generated in the browser (jsPDF, no services)
+// sampleSheetPdf(): one sample on A4 — primary photo, location inset, every
+// schema field, structural data, drill log and the AI narrative with its
+// provenance. labSubmissionPdf(): a batch submission form for the lab.
+// labelSheetPdf(): QR sample tags on standard label stock (src/labels.js).
+import { jsPDF } from "jspdf";
+import QRCode from "qrcode";
+import { formEntries } from "../lib/formSchema.js";
+import { formatMeasurement, normalizeMeasurement, projectLine, poleOf, greatCircle } from "../lib/structures.js";
+import { haversineM } from "./exif.js";
+import { formatLocation } from "./coords.js";
+import { sortIntervals } from "./core.js";
+import { formatConc } from "./pxrf.js";
+import { reviewLine } from "./review.js";
+
+const PAGE_W = 210;
+const PAGE_H = 297;
+const M = 15; // margin (mm)
+const BODY_W = PAGE_W - 2 * M;
+
+// Small cursor-based writer that starts a new page when the next block won't fit
+function writer(doc) {
+  const w = {
+    y: M,
+    ensure(h) {
+      if (w.y + h > PAGE_H - M - 8) {
+        doc.addPage();
+        w.y = M;
+      }
+    },
+    heading(text) {
+      w.ensure(12);
+      w.y += 3;
+      doc.setFont("helvetica", "bold").setFontSize(11).setTextColor(0);
+      doc.text(text, M, w.y + 4);
+      doc.setDrawColor(180).line(M, w.y + 5.5, PAGE_W - M, w.y + 5.5);
+      w.y += 9;
+    },
+    paragraph(text, { size = 9, style = "normal", colour = 0, indent = 0 } = {}) {
+      doc.setFont("helvetica", style).setFontSize(size).setTextColor(...[].concat(colour));
+      const lh = size * 0.42;
+      for (const line of doc.splitTextToSize(String(text), BODY_W - indent)) {
+        w.ensure(lh);
+        doc.text(line, M + indent, w.y + lh * 0.8);
+        w.y += lh;
+      }
+      w.y += 1;
+    },
+    // Two-column "label: value" rows
+    fields(rows) {
+      doc.setFontSize(9);
+      const colW = BODY_W / 2;
+      for (let i = 0; i < rows.length; i += 2) {
+        const pair = rows.slice(i, i + 2).map((r) => {
+          doc.setFont("helvetica", "bold");
+          const labelW = Math.min(doc.getTextWidth(`${r.label}: `), colW * 0.55);
+          doc.setFont("helvetica", "normal");
+          return { ...r, labelW, lines: doc.splitTextToSize(String(r.value || "—"), colW - labelW - 3) };
+        });
+        const h = Math.max(...pair.map((p) => p.lines.length)) * 3.8 + 1;
+        w.ensure(h);
+        pair.forEach((p, k) => {
+          const x = M + k * colW;
+          doc.setFont("helvetica", "bold").setTextColor(80);
+          doc.text(doc.splitTextToSize(`${p.label}:`, colW * 0.55)[0], x, w.y + 3);
+          doc.setFont("helvetica", "normal").setTextColor(0);
+          doc.text(p.lines, x + p.labelW, w.y + 3);
+        });
+        w.y += h;
+      }
+    },
+  };
+  return w;
+}
+
+function footer(doc, text) {
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFont("helvetica", "normal").setFontSize(7).setTextColor(120);
+    doc.text(text, M, PAGE_H - 8);
+    doc.text(`Page ${i} of ${pages}`, PAGE_W - M, PAGE_H - 8, { align: "right" });
+  }
+}
+
+function addPhoto(doc, src, x, y, maxW, maxH) {
+  try {
+    const { width, height } = doc.getImageProperties(src);
+    const scale = Math.min(maxW / width, maxH / height);
+    doc.addImage(src, "JPEG", x, y, width * scale, height * scale);
+    return height * scale;
+  } catch {
+    return 0;
+  }
+}
+
+// Local plan of the sample and other located samples of the project (equirectangular)
+function drawLocationInset(doc, x, y, size, form, nearby) {
+  doc.setDrawColor(120).setLineWidth(0.2).rect(x, y, size, size);
+  const lat = Number(form.lat);
+  const lon = Number(form.lon);
+  doc.setFont("helvetica", "normal").setFontSize(7).setTextColor(80);
+  if (!form.lat || !form.lon || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    doc.text("No location recorded", x + size / 2, y + size / 2, { align: "center" });
+    return;
+  }
+  const others = nearby
+    .filter((s) => s.lat != null && s.lon != null && haversineM(lat, lon, s.lat, s.lon) <= 5000)
+    .filter((s) => s.id !== form.sampleId);
+  const far = Math.max(250, ...others.map((s) => haversineM(lat, lon, s.lat, s.lon)));
+  const half = far * 1.25; // metres from centre to edge
+  const mPerDegLat = 111320;
+  const mPerDegLon = 111320 * Math.cos((lat * Math.PI) / 180);
+  const toXY = (la, lo) => [
+    x + size / 2 + (((lo - lon) * mPerDegLon) / half) * (size / 2),
+    y + size / 2 - (((la - lat) * mPerDegLat) / half) * (size / 2),
+  ];
+
+  doc.setFillColor(150, 150, 150);
+  for (const s of others) {
+    const [px, py] = toXY(s.lat, s.lon);
+    doc.circle(px, py, 0.8, "F");
+    doc.text(s.id, px + 1.2, py + 0.8);
+  }
+  doc.setFillColor(220, 38, 38).circle(x + size / 2, y + size / 2, 1.4, "F");
+  doc.setTextColor(0).text(form.sampleId || "", x + size / 2 + 2, y + size / 2 - 1.5);
+
+  // North arrow and scale bar
+  doc.setDrawColor(0).setLineWidth(0.3).line(x + size - 6, y + 10, x + size - 6, y + 4);
+  doc.line(x + size - 6, y + 4, x + size - 7.5, y + 6.5).line(x + size - 6, y + 4, x + size - 4.5, y + 6.5);
+  doc.text("N", x + size - 6, y + 13, { align: "center" });
+  const nice = [50, 100, 200, 250, 500, 1000, 2000, 2500, 5000].find((v) => v >= half / 3) || 5000;
+  const barW = (nice / half) * (size / 2);
+  doc.line(x + 4, y + size - 5, x + 4 + barW, y + size - 5);
+  doc.line(x + 4, y + size - 6, x + 4, y + size - 4).line(x + 4 + barW, y + size - 6, x + 4 + barW, y + size - 4);
+  doc.text(nice >= 1000 ? `${nice / 1000} km` : `${nice} m`, x + 4, y + size - 7);
+  doc.setTextColor(80).text(`${lat.toFixed(5)}, ${lon.toFixed(5)} (${form.datum || "WGS84"})`, x, y + size + 3.5);
+}
+
+// Lower-hemisphere equal-area net (poles as dots, lineations as squares)
+function drawStereonet(doc, cx, cy, r, measurements) {
+  doc.setDrawColor(80).setLineWidth(0.25).circle(cx, cy, r, "S");
+  doc.setFont("helvetica", "normal").setFontSize(7).setTextColor(80).text("N", cx, cy - r - 1.5, { align: "center" });
+  doc.line(cx - 1.5, cy, cx + 1.5, cy).line(cx, cy - 1.5, cx, cy + 1.5);
+  const at = ({ x, y }) => [cx + x * r, cy - y * r];
+  for (const n of measurements.map(normalizeMeasurement).filter(Boolean)) {
+    if (n.kind === "plane") {
+      const pts = greatCircle(n, 40).map(at);
+      doc.setDrawColor(120).setLineWidth(0.15);
+      for (let i = 1; i < pts.length; i++) doc.line(pts[i - 1][0], pts[i - 1][1], pts[i][0], pts[i][1]);
+      const pole = poleOf(n);
+      const [px, py] = at(projectLine(pole.trend, pole.plunge));
+      doc.setFillColor(37, 99, 235).circle(px, py, 0.9, "F");
+    } else {
+      const [px, py] = at(projectLine(n.trend, n.plunge));
+      doc.setFillColor(15, 23, 42).rect(px - 0.9, py - 0.9, 1.8, 1.8, "F");
+    }
+  }
+}
+
+/**
+ * @param {object} p
+ *   form, schema, photos ([{src, role}], primary first), measurements,
+ *   description (exportDescription() of src/review.js: approved text or the
+ *   unreviewed draft), aiResult (structured /api/describe body), pxrfSummary, hole (drill core
+ *   or null), nearby ([{id, lat, lon}] other samples of the project)
+ */
+export function sampleSheetPdf({ form, schema, photos = [], measurements = [], description = null, aiResult = null, pxrfSummary = null, hole = null, nearby = [] }) {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const w = writer(doc);
+
+  doc.setFont("helvetica", "bold").setFontSize(16).text(`Sample ${form.sampleId || ""}`, M, w.y + 6);
+  doc.setFont("helvetica", "normal").setFontSize(9).setTextColor(80);
+  doc.text(
+    [form.project && `Project ${form.project}`, form.date && form.date.replace("T", " "), form.geologist].filter(Boolean).join(" · "),
+    M,
+    w.y + 11
+  );
+  w.y += 15;
+
+  // Primary photo + location inset
+  const inset = 62;
+  const photo = photos[0];
+  const photoH = photo ? addPhoto(doc, photo.src, M, w.y, BODY_W - inset - 6, 75) : 0;
+  if (photo?.role) {
+    doc.setFontSize(7).setTextColor(80).text(`Photo 1: ${photo.role}`, M, w.y + photoH + 3.5);
+  }
+  drawLocationInset(doc, PAGE_W - M - inset, w.y, inset, form, nearby);
+  w.y += Math.max(photoH + 5, inset + 6);
+
+  // Every schema field, grouped by section
+  const entries = formEntries(schema, form, { includeEmpty: true });
+  for (const sec of schema.sections) {
+    const rows = entries.filter((e) => e.section === sec.id);
+    if (!rows.length) continue;
+    w.heading(sec.title);
+    w.fields(rows.map((e) => ({ label: e.label, value: Array.isArray(e.value) ? e.value.join(", ") : e.value })));
+  }
+  if (form.easting && form.northing) w.paragraph(`Location: ${formatLocation(form)}`, { size: 8, colour: 80 });
+
+  if (measurements.length) {
+    w.heading("Structural measurements");
+    const netR = 20;
+    w.ensure(2 * netR + 8);
+    const top = w.y;
+    drawStereonet(doc, PAGE_W - M - netR - 2, top + netR + 3, netR, measurements);
+    doc.setFont("helvetica", "normal").setFontSize(9).setTextColor(0);
+    measurements.forEach((m, i) => doc.text(doc.splitTextToSize(`• ${formatMeasurement(m)}`, BODY_W - 2 * netR - 10)[0], M, top + 4 + i * 4.2));
+    w.y = top + Math.max(2 * netR + 8, measurements.length * 4.2 + 4);
+  }
+
+  if (pxrfSummary) {
+    w.heading("pXRF");
+    w.paragraph(
+      Object.entries(pxrfSummary.elements)
+        .map(([el, v]) => `${el} ${v.bdl ? (v.lod ? `<${formatConc(v.lod)}` : "<LOD") : formatConc(v.value)}`)
+        .join(" · "),
+      { size: 8 }
+    );
+    if (Object.keys(pxrfSummary.ratios).length) {
+      w.paragraph(Object.entries(pxrfSummary.ratios).map(([k, v]) => `${k} ${v}`).join(" · "), { size: 8, colour: 80 });
+    }
+  }
+
+  if (hole) {
+    w.heading(`Drill hole ${hole.holeId || ""}`);
+    w.paragraph(`Azimuth/dip ${hole.azimuth || "?"}/${hole.dip || "?"} · total depth ${hole.depth || "?"} m`, { size: 8, colour: 80 });
+    for (const iv of sortIntervals(hole.intervals)) {
+      w.paragraph(
+        `${iv.from}–${iv.to} m  ${iv.lithology || "—"}` +
+          [iv.weatheringGrade, iv.alteration.join(", "), iv.mineralisation, iv.sampleNos && `samples ${iv.sampleNos}`]
+            .filter(Boolean)
+            .map((s) => ` · ${s}`)
+            .join(""),
+        { size: 8 }
+      );
+    }
+  }
+
+  w.heading("Description");
+  if (description?.status === "draft") w.paragraph(reviewLine(description), { size: 8, style: "bold", colour: [185, 28, 28] });
+  w.paragraph(description?.text || "—");
+  if (description?.status === "approved") w.paragraph(reviewLine(description), { size: 7.5, colour: 90 });
+  if (aiResult) {
+    const prov = [
+      aiResult.rockName && `Suggested name: ${aiResult.rockName} (confidence ${aiResult.confidence})`,
+      aiResult.alternativeNames?.length && `alternatives: ${aiResult.alternativeNames.join(", ")}`,
+      `model ${aiResult.model || "?"} via ${aiResult.provider || "?"}`,
+      aiResult.temperature != null && `temperature ${aiResult.temperature}`,
+      aiResult.promptVersion != null && `prompt ${aiResult.promptVersion}`,
+      aiResult.photosUsed != null && `${aiResult.photosUsed} photo(s) used`,
+      aiResult.fallback && `rule-based fallback (${aiResult.fallback})`,
+    ].filter(Boolean);
+    w.paragraph(prov.join(" · "), { size: 7.5, colour: 90 });
+    for (const c of aiResult.crossCheck?.contradictions || []) w.paragraph(`Check: ${c}`, { size: 7.5, colour: [185, 28, 28] });
+  }
+
+  footer(doc, `GeoDescribe sample sheet · ${form.sampleId || ""} · generated ${new Date().toISOString().slice(0, 16).replace("T", " ")}`);
+  return doc;
+}
+
+/**
+ * @param {object} p
+ *   header: { lab, submitter, project, reference, dispatchDate, notes }
+ *   samples: [{ id, sampleType, weightKg, analyses: [string], notes }]
+ */
+export function labSubmissionPdf({ header, samples }) {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const w = writer(doc);
+
+  doc.setFont("helvetica", "bold").setFontSize(16).text("Sample submission", M, w.y + 6);
+  w.y += 12;
+  w.fields([
+    { label: "Laboratory", value: header.lab },
+    { label: "Reference", value: header.reference },
+    { label: "Submitted by", value: header.submitter },
+    { label: "Dispatch date", value: header.dispatchDate },
+    { label: "Project", value: header.project },
+    { label: "Samples", value: String(samples.length) },
+  ]);
+  if (header.notes) w.paragraph(`Notes: ${header.notes}`);
+
+  // Table
+  const cols = [
+    { title: "#", w: 8 },
+    { title: "Sample ID", w: 34 },
+    { title: "Type", w: 22 },
+    { title: "Weight (kg)", w: 20 },
+    { title: "Analyses requested", w: 62 },
+    { title: "Notes", w: BODY_W - 146 },
+  ];
+  const row = (cells, { bold = false } = {}) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal").setFontSize(8.5).setTextColor(0);
+    const wrapped = cells.map((c, i) => doc.splitTextToSize(String(c ?? ""), cols[i].w - 2));
+    const h = Math.max(...wrapped.map((l) => l.length)) * 3.6 + 2.4;
+    w.ensure(h);
+    let x = M;
+    wrapped.forEach((lines, i) => {
+      doc.setDrawColor(170).setLineWidth(0.15).rect(x, w.y, cols[i].w, h);
+      doc.text(lines, x + 1, w.y + 3.6);
+      x += cols[i].w;
+    });
+    w.y += h;
+  };
+  w.y += 3;
+  row(
+    cols.map((c) => c.title),
+    { bold: true }
+  );
+  samples.forEach((s, i) =>
+    row([i + 1, s.id, s.sampleType, s.weightKg, s.analyses.join(", "), s.notes])
+  );
+  const total = samples.reduce((sum, s) => sum + (Number(s.weightKg) || 0), 0);
+  row(["", "Total", "", total ? total.toFixed(2) : "", "", ""], { bold: true });
+
+  // Chain of custody
+  w.y += 8;
+  w.ensure(30);
+  doc.setFont("helvetica", "normal").setFontSize(9).setTextColor(0);
+  for (const [i, label] of ["Dispatched by (signature / date)", "Received by lab (signature / date)"].entries()) {
+    const x = M + i * (BODY_W / 2);
+    doc.setDrawColor(0).line(x, w.y + 15, x + BODY_W / 2 - 8, w.y + 15);
+    doc.text(label, x, w.y + 19);
+  }
+  w.y += 22;
+
+  footer(doc, `GeoDescribe lab submission · ${header.reference || header.project || ""} · generated ${new Date().toISOString().slice(0, 10)}`);
+  return doc;
+}
+
+// QR code as vector squares (crisp at any label size)
+function drawQr(doc, text, x, y, size) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  const n = modules.size;
+  const cell = size / (n + 2); // one-module quiet zone each side
+  doc.setFillColor(0, 0, 0);
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (modules.get(r, c)) doc.rect(x + (c + 1) * cell, y + (r + 1) * cell, cell, cell, "F");
+    }
+  }
+}
+
+/**
+ * Label sheet: one label per sample (× copies) on the given stock, starting
+ * `skip` positions in so a part-used sheet can go back through the printer.
+ * samples: [{ id, project, sampleType, date }]; payload(sample) → QR text.
+ */
+export function labelSheetPdf({ samples, stock, skip = 0, copies = 1, payload }) {
+  const doc = new jsPDF({ unit: "mm", format: stock.format });
+  const perPage = stock.cols * stock.rows;
+  const labels = samples.flatMap((s) => Array.from({ length: copies }, () => s));
+  labels.forEach((s, i) => {
+    const pos = i + skip;
+    if (pos > 0 && pos % perPage === 0) doc.addPage();
+    const slot = pos % perPage;
+    const x = stock.left + (slot % stock.cols) * stock.pitchX;
+    const y = stock.top + Math.floor(slot / stock.cols) * stock.pitchY;
+    const pad = Math.min(2.5, stock.h * 0.08);
+    const qr = stock.h - 2 * pad;
+    drawQr(doc, payload(s), x + pad, y + pad, qr);
+
+    // Text to the right of the code, sized to the label
+    const tx = x + pad + qr + 1.5;
+    const tw = stock.w - (tx - x) - pad;
+    const big = Math.min(14, stock.h * 0.36);
+    doc.setFont("helvetica", "bold").setFontSize(big).setTextColor(0);
+    let ty = y + pad + big * 0.36;
+    for (const line of doc.splitTextToSize(s.id, tw).slice(0, 2)) {
+      doc.text(line, tx, ty);
+      ty += big * 0.4;
+    }
+    const small = Math.max(5, big * 0.55);
+    doc.setFont("helvetica", "normal").setFontSize(small);
+    for (const line of [s.project, s.sampleType, s.date ? String(s.date).slice(0, 10) : ""].filter(Boolean)) {
+      if (ty + small * 0.36 > y + stock.h - pad) break;
+      doc.text(doc.splitTextToSize(line, tw)[0], tx, ty + 0.5);
+      ty += small * 0.42;
+    }
+  });
+  return doc;
+}
@@ -0,0 +1,19 @@
+// src/projectConfig.js — project form-schema config from /api/config
+// The last config fetched is kept in IndexedDB so the project's fields and
+// vocabularies still apply offline. See lib/projectConfig.js for the format.
+import { get, set } from "idb-keyval";
+
+const CACHE_KEY = "projectConfig";
+
+export async function cachedProjectConfig() {
+  return (await get(CACHE_KEY)) || {};
+}
+
+// Resolves to the server's config (and caches it); rejects when unreachable
+export async function fetchProjectConfig() {
+  const r = await fetch("/api/config");
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `API error ${r.status}`);
+  await set(CACHE_KEY, data);
+  return data;
+}
@@ -0,0 +1,54 @@
+// src/projects.js — project records and sample ID sequencing
+// A project: { code, name, prefix, pattern, hostUnits, sampleType, geologist }.
+// Samples store the project code in form.project. Patterns take {prefix},
+// {seq:N} (zero-padded to N digits), {yyyy} and {yy}, e.g. "{prefix}-{yy}-{seq:4}".
+
+export const DEFAULT_PATTERN = "{prefix}-{seq:4}";
+
+export function newProject() {
+  return { code: "", name: "", prefix: "", pattern: DEFAULT_PATTERN, hostUnits: [], sampleType: "", geologist: "" };
+}
+
+// Returns a list of messages (empty when valid); `otherCodes` excludes the project's own code
+export function validateProject(p, otherCodes = []) {
+  const errors = [];
+  if (!/^[A-Za-z0-9_-]{1,16}$/.test(p.code || "")) errors.push("Code must be 1–16 letters, digits, - or _");
+  else if (otherCodes.some((c) => c.toLowerCase() === p.code.toLowerCase())) errors.push(`Code ${p.code} is already used`);
+  if (!/\{seq(:\d+)?\}/.test(p.pattern || "")) errors.push("Pattern must contain {seq} or {seq:N}");
+  if (/\{prefix\}/.test(p.pattern || "") && !p.prefix) errors.push("Pattern uses {prefix} but no prefix is set");
+  return errors;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function fill(project, date, seqText) {
+  return (project.pattern || DEFAULT_PATTERN)
+    .replace(/\{prefix\}/g, project.prefix || "")
+    .replace(/\{yyyy\}/g, String(date.getFullYear()))
+    .replace(/\{yy\}/g, String(date.getFullYear()).slice(-2))
+    .replace(/\{seq(?::(\d+))?\}/g, (_, width) => seqText(Number(width) || 1));
+}
+
+export function formatSampleId(project, seq, date = new Date()) {
+  return fill(project, date, (width) => String(seq).padStart(width, "0"));
+}
+
+// Literal part before the sequence number (for server ID lookups)
+export function idPrefix(project, date = new Date()) {
+  return fill(project, date, () => "\u0000").split("\u0000")[0];
+}
+
+// Sequence number of an ID under this project's pattern, or null
+export function sequenceOf(project, id, date = new Date()) {
+  const re = new RegExp(`^${escapeRe(fill(project, date, () => "\u0000")).replace("\u0000", "(\\d+)")}$`);
+  const m = re.exec(String(id || ""));
+  return m ? Number(m[1]) : null;
+}
+
+// Next free ID: one past the highest sequence in use, skipping anything taken
+export function nextSampleId(project, takenIds, date = new Date()) {
+  const taken = new Set(takenIds);
+  let seq = Math.max(0, ...takenIds.map((id) => sequenceOf(project, id, date)).filter((n) => n !== null)) + 1;
+  while (taken.has(formatSampleId(project, seq, date))) seq++;
+  return formatSampleId(project, seq, date);
+}
@@ -0,0 +1,228 @@
+// src/pxrf.js — handheld XRF export parsing and summaries
+// Handles the CSV/TXT layouts written by Olympus/Evident (Delta, Vanta),
+// Thermo Niton and Bruker (Tracer, S1 Titan) analysers: one row per reading,
+// an element column per analyte and an error column next to it.
+
+const ELEMENTS = new Set(
+  ("Mg Al Si P S Cl K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn Ga Ge As Se Br Rb Sr Y Zr Nb Mo Pd Ag Cd In Sn Sb Te " +
+    "Cs Ba La Ce Nd Hf Ta W Re Pt Au Hg Tl Pb Bi Th U LE").split(" ")
+);
+
+// Pathfinder ratios worth a glance in the field
+export const PATHFINDER_RATIOS = [
+  { key: "Cu/Zn", num: "Cu", den: "Zn", note: "high in porphyry/IOCG Cu systems, low in VHMS Zn zones" },
+  { key: "Pb/Zn", num: "Pb", den: "Zn", note: "vectors along base-metal zonation" },
+  { key: "K/Rb", num: "K", den: "Rb", note: "low values flag K-metasomatism / fractionated granites" },
+  { key: "Rb/Sr", num: "Rb", den: "Sr", note: "feldspar-destructive alteration, fractionation" },
+  { key: "Zr/Ti", num: "Zr", den: "Ti", note: "immobile-element lithology discriminant" },
+  { key: "Fe/Mn", num: "Fe", den: "Mn", note: "separates Fe gossans from Mn-oxide coatings" },
+];
+
+// Single-element pathfinder flags (ppm); rough upper-crust background × ~10
+const ANOMALY_PPM = { Cu: 250, Zn: 700, Pb: 170, As: 50, Sb: 5, Bi: 5, Mo: 15, W: 20, Sn: 20, Ag: 1, Au: 0.5, Ni: 400, Co: 170 };
+
+const BDL_RE = /^(<\s*lod|<\s*lld|<\s*dl|bdl|nd|n\.d\.|lod|<.*)$/i;
+
+function splitLine(line, delim) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else quoted = !quoted;
+    } else if (ch === delim && !quoted) {
+      out.push(cur.trim());
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+function detectDelimiter(lines) {
+  const sample = lines.slice(0, 20).join("\n");
+  return ["\t", ",", ";"].map((d) => [d, sample.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Classify one header cell: element value, element error, or metadata
+function classifyHeader(raw) {
+  const h = raw.replace(/["']/g, "").trim();
+  const stated = /\(\s*%\s*\)|\bwt\s*%|%$/i.test(h) ? "%" : /ppb/i.test(h) ? "ppb" : /ppm/i.test(h) ? "ppm" : null;
+  const unit = stated || "ppm";
+  const err = /^([A-Z][a-z]?)\s*(?:\+\/-|±|err(?:or)?\s*(?:[123]s|[123]σ)?|[123]\s*(?:σ|sigma|sd)|unc\w*|\s*\(?\s*error)/i.exec(h);
+  if (err && ELEMENTS.has(normEl(err[1]))) {
+    // "Cu +/- 3 sigma", "Fe Error1s", "Zn 1σ"…; unlabelled errors are taken as 2σ
+    const sigma = /([123])\s*(?:s|σ|sigma|sd)(?![a-z])/i.exec(h.slice(err[1].length));
+    return { kind: "error", el: normEl(err[1]), unit, unitStated: Boolean(stated), sigma: sigma ? Number(sigma[1]) : 2 };
+  }
+  const val = /^([A-Z][a-z]?)(?:\s*(?:concentration|conc\.?|compound level|\(\s*(?:ppm|%|ppb)\s*\)|ppm|%|wt\s*%))?$/i.exec(h);
+  if (val && ELEMENTS.has(normEl(val[1]))) return { kind: "value", el: normEl(val[1]), unit };
+  if (/^(reading\s*(?:no\.?|#|number)?|reading_no|index|#|test\s*(?:no|#))$/i.test(h)) return { kind: "reading" };
+  if (/sample|^id$|^name$|^label$/i.test(h)) return { kind: "sample" };
+  if (/^(?:instrument|serial|model|inst\.?\s*serial)/i.test(h)) return { kind: "instrument" };
+  if (/^(?:mode|method)/i.test(h)) return { kind: "mode" };
+  return { kind: "other" };
+}
+
+const toPpm = (v, unit) => (unit === "%" ? v * 10000 : unit === "ppb" ? v / 1000 : v);
+
+// A unit written in the cell itself ("4.5%", "120 ppm") wins over the column's
+function cellPpm(cell, unit, decimalComma) {
+  const num = parseNumber(cell, decimalComma);
+  if (num === null) return null;
+  const own = /(%|ppm|ppb)\s*$/i.exec(String(cell));
+  return toPpm(num, own ? own[1].toLowerCase() : unit);
+}
+
+// `decimalComma`: "0,5" and "1.234,5" (semicolon-delimited European exports)
+function parseNumber(s, decimalComma = false) {
+  let text = String(s);
+  if (decimalComma && text.includes(",")) text = text.replace(/\./g, "").replace(",", ".");
+  const digits = text.replace(/[^\d.eE+-]/g, "");
+  const n = Number(digits);
+  return /\d/.test(digits) && Number.isFinite(n) ? n : null;
+}
+
+const normEl = (s) => s[0].toUpperCase() + s.slice(1).toLowerCase();
+
+/**
+ * Parse an analyser export into readings.
+ * Returns { instrument, readings: [{ reading, sampleId, mode, values: { El: { value, error2s, unit:"ppm", bdl } } }] }
+ * Concentrations and errors are normalised to ppm and ±2σ (1σ and 3σ columns are rescaled).
+ */
+export function parsePxrf(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) throw new Error("pXRF file is empty");
+  const delim = detectDelimiter(lines);
+  const decimalComma = delim === ";";
+  const rows = lines.map((l) => splitLine(l, delim));
+
+  // Header = first row with at least three element columns (skips instrument preamble lines)
+  const headerIdx = rows.findIndex((r) => r.filter((c) => classifyHeader(c).kind === "value").length >= 3);
+  if (headerIdx < 0) throw new Error("No element columns found — is this a pXRF results export?");
+  const cols = rows[headerIdx].map(classifyHeader);
+
+  // Some exports put units on their own row under the header
+  let start = headerIdx + 1;
+  const unitRow = rows[start];
+  if (unitRow && unitRow.some((c) => /^(ppm|%|wt%|ppb)$/i.test(c)) && !unitRow.some((c, i) => cols[i].kind === "value" && parseNumber(c, decimalComma) !== null)) {
+    unitRow.forEach((c, i) => {
+      if (!cols[i] || !/^(ppm|%|wt%|ppb)$/i.test(c)) return;
+      cols[i].unit = /^ppb$/i.test(c) ? "ppb" : /^ppm$/i.test(c) ? "ppm" : "%";
+      cols[i].unitStated = true;
+    });
+    start++;
+  }
+  // Error columns without a unit of their own ("Fe Err") share their element's
+  for (const c of cols) {
+    const paired = c.kind === "error" && !c.unitStated && cols.find((v) => v.kind === "value" && v.el === c.el);
+    if (paired) c.unit = paired.unit;
+  }
+
+  // Preamble lines above the header often carry "Instrument Serial,<id>"
+  let instrument = null;
+  for (const r of rows.slice(0, headerIdx)) {
+    if (r[1] && classifyHeader(r[0]).kind === "instrument") instrument = r[1];
+  }
+  const readings = [];
+  for (const [n, row] of rows.slice(start).entries()) {
+    if (row.length < cols.length / 2) continue;
+    const rec = { reading: String(n + 1), sampleId: "", mode: "", values: {} };
+    row.forEach((cell, i) => {
+      const c = cols[i];
+      if (!c) return;
+      if (c.kind === "reading" && cell) rec.reading = cell;
+      else if (c.kind === "sample") rec.sampleId = rec.sampleId || cell;
+      else if (c.kind === "mode") rec.mode = cell;
+      else if (c.kind === "instrument" && cell) instrument = instrument || cell;
+      else if (c.kind === "value") {
+        const v = rec.values[c.el] || (rec.values[c.el] = { value: null, error2s: null, unit: "ppm", bdl: false });
+        if (BDL_RE.test(cell)) {
+          v.bdl = true;
+          v.lod = cellPpm(cell, c.unit, decimalComma);
+        } else {
+          const ppm = cellPpm(cell, c.unit, decimalComma);
+          if (ppm !== null) v.value = ppm;
+        }
+      } else if (c.kind === "error") {
+        const ppm = cellPpm(cell, c.unit, decimalComma);
+        const v = rec.values[c.el] || (rec.values[c.el] = { value: null, error2s: null, unit: "ppm", bdl: false });
+        if (ppm !== null) v.error2s = (ppm * 2) / c.sigma;
+      }
+    });
+    // Drop analytes the row never reported
+    for (const [el, v] of Object.entries(rec.values)) if (v.value === null && !v.bdl) delete rec.values[el];
+    if (Object.keys(rec.values).length) readings.push(rec);
+  }
+  if (!readings.length) throw new Error("pXRF file has a header but no readings");
+  return { instrument, readings };
+}
+
+// Readings for this sample: by sample ID first, then by reading number(s)
+export function matchReadings(readings, { sampleId, readingNos = [] }) {
+  const id = String(sampleId || "").trim().toLowerCase();
+  const byId = id ? readings.filter((r) => r.sampleId.trim().toLowerCase() === id) : [];
+  if (byId.length) return byId;
+  const wanted = new Set(readingNos.map(String));
+  return readings.filter((r) => wanted.has(r.reading));
+}
+
+/**
+ * Average the matched readings into the normalised summary sent to /api/describe.
+ * Values are ppm, errors ±2σ (combined in quadrature / n); an element is BDL only
+ * when every reading was below detection.
+ */
+export function summarizePxrf(readings, { instrument = null } = {}) {
+  if (!readings.length) return null;
+  const els = new Set(readings.flatMap((r) => Object.keys(r.values)));
+  const elements = {};
+  for (const el of els) {
+    const vals = readings.map((r) => r.values[el]).filter(Boolean);
+    const detected = vals.filter((v) => !v.bdl && v.value !== null);
+    if (!detected.length) {
+      const lods = vals.map((v) => v.lod).filter((x) => x != null);
+      elements[el] = { value: null, error2s: null, bdl: true, lod: lods.length ? Math.max(...lods) : null };
+      continue;
+    }
+    const mean = detected.reduce((a, v) => a + v.value, 0) / detected.length;
+    const errs = detected.map((v) => v.error2s).filter((x) => x != null);
+    const err = errs.length ? Math.sqrt(errs.reduce((a, e) => a + e * e, 0)) / errs.length : null;
+    elements[el] = { value: round(mean), error2s: err === null ? null : round(err), bdl: false };
+  }
+
+  const ratios = {};
+  for (const r of PATHFINDER_RATIOS) {
+    const a = elements[r.num];
+    const b = elements[r.den];
+    if (a && b && !a.bdl && !b.bdl && b.value > 0) ratios[r.key] = round(a.value / b.value);
+  }
+  const anomalies = Object.entries(ANOMALY_PPM)
+    .filter(([el, t]) => elements[el] && !elements[el].bdl && elements[el].value >= t)
+    .map(([el]) => el);
+
+  return {
+    instrument,
+    units: "ppm",
+    errors: "2 sigma",
+    readings: readings.map((r) => r.reading),
+    elements,
+    ratios,
+    anomalies,
+  };
+}
+
+function round(x) {
+  if (!Number.isFinite(x)) return x;
+  const mag = Math.abs(x);
+  return Number(x.toPrecision(mag >= 100 ? 4 : 3));
+}
+
+// Compact display: ppm below 1 wt%, % above
+export function formatConc(ppm) {
+  if (ppm == null) return "—";
+  return ppm >= 10000 ? `${round(ppm / 10000)} %` : `${round(ppm)} ppm`;
+}
@@ -0,0 +1,45 @@
+// src/review.js — AI drafts vs the geologist-approved description
+// A record keeps the raw model output (`generated`, `structured`) apart from
+// the text a geologist accepted: approved = { text, rockName, by, at, edited,
+// model } or null. Exports print the approved text, or the draft visibly
+// marked as unreviewed.
+
+export const DRAFT_MARK = "UNREVIEWED AI DRAFT";
+
+// Approval of `text`, the (possibly edited) chosen draft
+export function approve(text, { generated = "", structured = null, by = "" } = {}) {
+  return {
+    text,
+    rockName: structured?.rockName || "",
+    by,
+    at: new Date().toISOString(),
+    edited: text !== generated,
+    model: structured?.model || "",
+  };
+}
+
+/**
+ * The description an export should show for a record:
+ * { text, status: "approved" | "draft" | "", by, at }.
+ */
+export function exportDescription({ generated = "", approved = null } = {}) {
+  if (approved?.text) return { text: approved.text, status: "approved", by: approved.by || "", at: approved.at || "" };
+  if (generated) return { text: generated, status: "draft", by: "", at: "" };
+  return { text: "", status: "", by: "", at: "" };
+}
+
+// Plain-text form for flat exports: drafts carry the mark in front
+export const markedText = (d) => (d.status === "draft" ? `[${DRAFT_MARK}] ${d.text}` : d.text);
+
+// "Approved by J. Smith, 2026-03-04" / the draft mark
+export function reviewLine(d) {
+  if (d.status === "approved") return `Approved${d.by ? ` by ${d.by}` : ""}${d.at ? `, ${d.at.slice(0, 10)}` : ""}`;
+  if (d.status === "draft") return `${DRAFT_MARK} — not yet checked by a geologist`;
+  return "";
+}
+
+// Reads a flat export's description column back (see markedText)
+export function unmarkText(text) {
+  const m = new RegExp(`^\\[${DRAFT_MARK}\\]\\s*`).exec(text || "");
+  return m ? text.slice(m[0].length) : text || "";
+}
@@ -0,0 +1,64 @@
+// src/revisions.js — reading a sample's revision history
+// Revisions are stored by saveSample() (src/storage.js) as snapshots with
+// photos by reference; AI runs are the append-only `aiRuns` list on the record.
+import { diffRecords } from "./interchange.js";
+
+// "gpt-4o-mini via openai · temperature 0.15 · prompt field-notebook@1"
+export function aiProvenance(structured) {
+  if (!structured) return "";
+  return [
+    `${structured.model || "?"} via ${structured.provider || "?"}`,
+    structured.temperature != null && `temperature ${structured.temperature}`,
+    structured.promptVersion != null && `prompt ${structured.promptVersion}`,
+    structured.fallback && "rule-based fallback",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// Photo set changes between two snapshots: { added, removed, edited } counts
+export function photoChanges(before = [], after = []) {
+  const old = new Map(before.map((p) => [p.id, p]));
+  const ids = new Set(after.map((p) => p.id));
+  const edited = after.filter((p) => old.has(p.id) && JSON.stringify(old.get(p.id)) !== JSON.stringify(p)).length;
+  return {
+    added: after.filter((p) => !old.has(p.id)).length,
+    removed: before.filter((p) => !ids.has(p.id)).length,
+    edited,
+  };
+}
+
+function photoSummary(before, after) {
+  const { added, removed, edited } = photoChanges(before, after);
+  return [`${after.length} photo(s)`, added && `${added} added`, removed && `${removed} removed`, edited && `${edited} role/AI flag changed`]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Field-by-field differences between two revisions, older first:
+ * [{ id, label, preview: [older, newer] }] (rows from diffRecords, with
+ * photo and AI previews that say what changed).
+ */
+export function revisionDiff(schema, older, newer) {
+  return diffRecords(schema, older, newer).map((row) => {
+    if (row.key === "photos" && row.part === "record") {
+      return { ...row, preview: [`${(older.photos || []).length} photo(s)`, photoSummary(older.photos || [], newer.photos || [])] };
+    }
+    if (row.key === "structured" && row.part === "record") {
+      const show = (v) => (v ? `${v.rockName || "?"} (${v.confidence || "?"}) — ${aiProvenance(v)}` : "");
+      return { ...row, preview: [show(row.current), show(row.incoming)] };
+    }
+    return row;
+  });
+}
+
+// One-line account of a revision against the one before it
+export function revisionSummary(schema, previous, revision) {
+  if (revision.note) return revision.note;
+  if (!previous) return "Created";
+  const rows = revisionDiff(schema, previous, revision);
+  if (!rows.length) return "Saved without changes";
+  const labels = rows.map((r) => r.label);
+  return `Changed ${labels.slice(0, 4).join(", ")}${labels.length > 4 ? ` and ${labels.length - 4} more` : ""}`;
+}
@@ -0,0 +1,71 @@
+// src/search.js — filtering, sorting and paging over the sample index
+// Works on the summary rows from listSamples() (src/storage.js), never on
+// full records, so it stays quick with thousands of samples.
+
+export const EMPTY_QUERY = {
+  text: "", // every word must appear in the notes/descriptions/fields
+  project: "",
+  dateFrom: "", // yyyy-mm-dd, inclusive
+  dateTo: "",
+  category: "",
+  minerals: [], // all of
+  alteration: [],
+  sulfides: [],
+  rockName: "", // substring of the AI rock name
+  bbox: null, // { west, south, east, north } from the map
+};
+
+export const SORT_KEYS = {
+  id: "Sample ID",
+  project: "Project",
+  date: "Date",
+  category: "Category",
+  rockName: "Rock name",
+  savedAt: "Last saved",
+};
+
+export const PAGE_SIZE = 50;
+
+const hasAll = (have, want) => want.every((w) => have.includes(w));
+
+export function isFiltered(query) {
+  return Object.entries(query).some(([k, v]) => (Array.isArray(v) ? v.length > 0 : v != null && v !== "" && v !== EMPTY_QUERY[k]));
+}
+
+export function filterSamples(rows, query) {
+  const words = query.text.toLowerCase().split(/\s+/).filter(Boolean);
+  const rock = query.rockName.trim().toLowerCase();
+  const to = query.dateTo ? `${query.dateTo}T99` : ""; // include the whole end day
+  const b = query.bbox;
+  return rows.filter(
+    (s) =>
+      (!query.project || s.project === query.project) &&
+      (!query.dateFrom || String(s.date || "") >= query.dateFrom) &&
+      (!to || (s.date && String(s.date) <= to)) &&
+      (!query.category || s.category === query.category) &&
+      hasAll(s.minerals, query.minerals) &&
+      hasAll(s.alteration, query.alteration) &&
+      hasAll(s.sulfides, query.sulfides) &&
+      (!rock || s.rockName.toLowerCase().includes(rock)) &&
+      (!b || (s.lat != null && s.lat >= b.south && s.lat <= b.north && s.lon >= b.west && s.lon <= b.east)) &&
+      words.every((w) => s.text.includes(w))
+  );
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+// Blank values sort last either way
+export function sortSamples(rows, { key = "date", dir = "desc" } = {}) {
+  const sign = dir === "asc" ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const [x, y] = [String(a[key] ?? ""), String(b[key] ?? "")];
+    if (!x || !y) return x ? -1 : y ? 1 : 0;
+    return sign * collator.compare(x, y);
+  });
+}
+
+export function pageOf(rows, page, size = PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(rows.length / size));
+  const current = Math.min(Math.max(1, page), pages);
+  return { rows: rows.slice((current - 1) * size, current * size), page: current, pages, total: rows.length };
+}
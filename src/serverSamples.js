@@ -0,0 +1,21 @@
+// src/serverSamples.js — the bits of the server sample store (/api/samples)
+// the client needs for ID sequencing and project renames. Both reject when
+// the server is unreachable; callers decide whether that matters.
+
+export async function serverSampleIds(prefix = "") {
+  const r = await fetch(`/api/sample-ids?prefix=${encodeURIComponent(prefix)}`, { signal: AbortSignal.timeout(5000) });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `API error ${r.status}`);
+  return data.ids || [];
+}
+
+export async function renameServerProject(from, to) {
+  const r = await fetch("/api/projects/rename", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ from, to }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error || `API error ${r.status}`);
+  return data.moved;
+}
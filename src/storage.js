@@ -1,21 +1,267 @@
-import { get, set, del, keys } from 'idb-keyval';
+import { get, set, del, keys, values, createStore, clear } from 'idb-keyval';
 
 const key = (id) => `sample:${id}`;
 
-export async function saveSample(payload) {
-  await set(key(payload.form.sampleId), payload);
+// Summary index: one small row per sample in its own store, so lists and
+// search never read the records (and their photos). Kept in step by
+// saveSample/deleteSample/renameProjectSamples; rebuilt from the records when
+// INDEX_VERSION changes or the index is missing.
+const indexStore = createStore('geodescribe-index', 'summaries');
+const INDEX_VERSION = 1;
+const MAX_TEXT = 20000;
+
+// Numeric lat/lon for the map, null when not recorded
+function located(form) {
+  const lat = form.lat === '' || form.lat == null ? NaN : Number(form.lat);
+  const lon = form.lon === '' || form.lon == null ? NaN : Number(form.lon);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : { lat: null, lon: null };
+}
+
+// Index row for a saved record; `text` is the lower-cased full-text field
+function summarize(s) {
+  const f = s.form;
+  const text = [
+    ...Object.values(f).filter(v => typeof v === 'string'),
+    ...Object.values(f).filter(Array.isArray).flat(),
+    s.generated,
+    s.approved?.text,
+    s.structured?.rockName,
+    ...(s.structured?.alternativeNames || []),
+    ...(s.hole?.intervals || []).flatMap(iv => [iv.lithology, iv.mineralisation, iv.generated]),
+  ].filter(Boolean).join(' ').toLowerCase().slice(0, MAX_TEXT);
+  return {
+    id: f.sampleId,
+    project: f.project || '—',
+    date: f.date,
+    sampleType: f.sampleType || '',
+    category: f.category || '',
+    ...located(f),
+    minerals: f.minerals || [],
+    alteration: f.alteration || [],
+    sulfides: f.sulfides || [],
+    rockName: s.structured?.rockName || '',
+    hasPhotos: (s.photos || []).length > 0,
+    measurements: s.measurements || [],
+    savedAt: s.savedAt,
+    text,
+  };
+}
+
+async function sampleKeys() {
+  return (await keys()).filter(k => String(k).startsWith('sample:'));
+}
+
+let indexReady = null;
+function ensureIndex() {
+  indexReady ??= (async () => {
+    if ((await get('sampleIndexVersion')) === INDEX_VERSION) return;
+    await clear(indexStore);
+    for (const k of await sampleKeys()) {
+      const s = await get(k);
+      if (s?.form) await set(s.form.sampleId, summarize(s), indexStore);
+    }
+    await set('sampleIndexVersion', INDEX_VERSION);
+  })();
+  return indexReady;
+}
+
+// Revision history: every save that changes it appends a snapshot of the record to
+// `revisions:<id>` (oldest first). Snapshots hold photos by reference; a
+// photo dropped from the record is kept under `revisionPhoto:<photoId>` so
+// older revisions can still be restored whole.
+const revisionsKey = (id) => `revisions:${id}`;
+const revisionPhotoKey = (id) => `revisionPhoto:${id}`;
+
+const photoObjects = (photos) => (photos || []).filter(p => p && typeof p === 'object' && p.id);
+
+function photoRef(photo) {
+  const { src: _src, ...ref } = photo;
+  return ref;
+}
+
+function snapshot(record) {
+  const { form, photos, generated = '', structured = null, approved = null, pxrf = null, measurements = [], hole = null } = record;
+  return { form, photos: photoObjects(photos).map(photoRef), generated, structured, approved, pxrf, measurements, hole };
+}
+
+const DELETED_NOTE = 'Deleted';
+
+// Revision entry without its bookkeeping fields, comparable with snapshot()
+function revisionState(entry) {
+  const { rev: _rev, at: _at, author: _author, note: _note, ...state } = entry;
+  return state;
+}
+
+async function writeSample(payload, previous, { author, note }) {
+  const id = payload.form.sampleId;
+  const record = { ...payload, savedAt: new Date().toISOString() };
+  const kept = new Set(photoObjects(record.photos).map(p => p.id));
+  for (const p of photoObjects(previous?.photos)) {
+    if (!kept.has(p.id) && p.src) await set(revisionPhotoKey(p.id), p.src);
+  }
+  await set(key(id), record);
+  // A save that changes nothing (and doesn't follow a deletion) adds no revision
+  const history = await listRevisions(id);
+  const last = history.at(-1);
+  const state = snapshot(record);
+  if (!last || last.note === DELETED_NOTE || JSON.stringify(revisionState(last)) !== JSON.stringify(state)) {
+    history.push({ rev: (last?.rev || 0) + 1, at: record.savedAt, author, note, ...state });
+    await set(revisionsKey(id), history);
+  }
+  await ensureIndex();
+  await set(id, summarize(record), indexStore);
+}
+
+/**
+ * Stores the sample and records a revision. `author` defaults to the form's
+ * geologist; `note` says what happened ("Restored revision 3", "Imported", …).
+ * A new sample that reuses a deleted sample's ID starts a fresh history.
+ */
+export async function saveSample(payload, { author = payload.form.geologist || '', note = '' } = {}) {
+  const previous = await get(key(payload.form.sampleId));
+  if (!previous) await purgeHistory(payload.form.sampleId);
+  await writeSample(payload, previous, { author, note });
+}
+// Revisions of a sample, oldest first (see saveSample)
+export async function listRevisions(id) {
+  return (await get(revisionsKey(id))) || [];
+}
+// A revision as a full record; photos come from the current record or the
+// archive. `missingPhotos` counts any that could not be found.
+export async function loadRevision(id, rev) {
+  const entry = (await listRevisions(id)).find(r => r.rev === rev);
+  if (!entry) return null;
+  const { rev: _rev, at, author, note, ...record } = entry;
+  const current = new Map(photoObjects((await get(key(id)))?.photos).map(p => [p.id, p.src]));
+  const photos = [];
+  for (const ref of record.photos) {
+    const src = current.get(ref.id) || (await get(revisionPhotoKey(ref.id)));
+    if (src) photos.push({ ...ref, src });
+  }
+  return { record: { ...record, photos }, at, author, note, missingPhotos: record.photos.length - photos.length };
 }
 export async function loadSample(id) {
   return get(key(id));
 }
-export async function deleteSample(id) {
-  return del(key(id));
+export async function sampleExists(id) {
+  return (await get(key(id))) !== undefined;
+}
+/**
+ * Removes the sample but keeps its history: the last state is recorded as a
+ * "Deleted" revision (by `author`, default the form's geologist) and its
+ * photos are archived, so it can be restored (restoreDeletedSample) until
+ * purged (purgeDeletedSample) or its ID is reused.
+ */
+export async function deleteSample(id, { author } = {}) {
+  const previous = await get(key(id));
+  if (previous) {
+    for (const p of photoObjects(previous.photos)) if (p.src) await set(revisionPhotoKey(p.id), p.src);
+    const history = await listRevisions(id);
+    history.push({
+      rev: (history.at(-1)?.rev || 0) + 1,
+      at: new Date().toISOString(),
+      author: author ?? (previous.form?.geologist || ''),
+      note: DELETED_NOTE,
+      ...snapshot(previous),
+    });
+    await set(revisionsKey(id), history);
+  }
+  await del(key(id));
+  await del(id, indexStore);
+}
+// Revisions and archived photos of a sample
+async function purgeHistory(id) {
+  const history = await listRevisions(id);
+  if (!history.length) return;
+  for (const photoId of new Set(history.flatMap(r => r.photos.map(p => p.id)))) await del(revisionPhotoKey(photoId));
+  await del(revisionsKey(id));
+}
+// Deleted samples whose history is still kept, newest first: [{ id, project, deletedAt, author }]
+export async function listDeletedSamples() {
+  await ensureIndex();
+  const rows = [];
+  for (const k of (await keys()).filter(k => String(k).startsWith('revisions:'))) {
+    const id = String(k).slice('revisions:'.length);
+    const last = (await get(k))?.at(-1);
+    if (last?.note !== DELETED_NOTE || (await get(id, indexStore))) continue;
+    rows.push({ id, project: last.form?.project || '', deletedAt: last.at, author: last.author });
+  }
+  return rows.sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+}
+// Brings a deleted sample back as it was when deleted (a revision by `author`);
+// resolves to loadRevision()'s result, or null when there is nothing to restore
+export async function restoreDeletedSample(id, { author = '' } = {}) {
+  const last = (await listRevisions(id)).at(-1);
+  if (last?.note !== DELETED_NOTE || (await sampleExists(id))) return null;
+  const found = await loadRevision(id, last.rev);
+  await writeSample(found.record, undefined, { author, note: 'Restored after deletion' });
+  return found;
+}
+// Permanently removes a deleted sample's history and archived photos
+export async function purgeDeletedSample(id) {
+  if (!(await sampleExists(id))) await purgeHistory(id);
 }
+// Summaries of every saved sample (see summarize), newest first
 export async function listSamples() {
-  const ks = await keys();
-  const ids = ks.filter(k => String(k).startsWith('sample:')).map(k => String(k).split(':')[1]);
-  return Promise.all(ids.map(async (id) => {
+  await ensureIndex();
+  const rows = await values(indexStore);
+  return rows.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+}
+// Structural measurements of every saved sample in a project (for the project stereonet)
+export async function listProjectMeasurements(project) {
+  return (await listSamples())
+    .filter(s => (s.project === '—' ? '' : s.project) === (project || ''))
+    .flatMap(s => s.measurements.map(m => ({ ...m, sampleId: s.id })));
+}
+
+// Sample IDs stored on this device
+export async function listSampleIds() {
+  return (await sampleKeys()).map(k => String(k).slice('sample:'.length));
+}
+
+// Projects (see src/projects.js)
+const projectKey = (code) => `project:${code}`;
+
+export async function listProjects() {
+  const ks = (await keys()).filter(k => String(k).startsWith('project:'));
+  const rows = await Promise.all(ks.map(k => get(k)));
+  return rows.filter(Boolean).sort((a, b) => a.code.localeCompare(b.code));
+}
+export async function saveProject(project) {
+  await set(projectKey(project.code), { ...project, savedAt: new Date().toISOString() });
+}
+export async function deleteProject(code) {
+  return del(projectKey(code));
+}
+// Moves this device's samples from one project code to another (a revision
+// each, by `author`); returns the count
+export async function renameProjectSamples(from, to, author = '') {
+  await ensureIndex();
+  const ids = (await values(indexStore)).filter(r => r.project === from).map(r => r.id);
+  for (const id of ids) {
     const s = await get(key(id));
-    return { id, project: s.form.project || '—', date: s.form.date, hasPhotos: (s.photos||[]).length>0 };
-  }));
+    await saveSample({ ...s, form: { ...s.form, project: to } }, { author, note: `Project ${from} renamed to ${to}` });
+  }
+  return ids.length;
+}
+// Located samples of a project (for the PDF sheet's location inset)
+export async function listProjectLocations(project) {
+  return (await listSamples())
+    .filter(s => (s.project === '—' ? '' : s.project) === (project || '') && s.lat != null)
+    .map(({ id, lat, lon }) => ({ id, lat, lon }));
+}
+
+// Map layers (src/mapLayers.js): user overlays and rasters, kept for offline use
+const layerKey = (id) => `mapLayer:${id}`;
+
+export async function listMapLayers() {
+  const ks = (await keys()).filter(k => String(k).startsWith('mapLayer:'));
+  const rows = await Promise.all(ks.map(k => get(k)));
+  return rows.filter(Boolean).sort((a, b) => String(a.addedAt).localeCompare(String(b.addedAt)));
+}
+export async function saveMapLayer(layer) {
+  await set(layerKey(layer.id), { addedAt: new Date().toISOString(), ...layer });
+}
+export async function deleteMapLayer(id) {
+  return del(layerKey(id));
 }
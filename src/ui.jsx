@@ -0,0 +1,84 @@
+// src/ui.jsx — small form/layout helpers shared by App and its panels
+
+export function Section({ title, children }) {
+  return (
+    <section className="mb-8">
+      <h2 className="text-xl font-semibold mb-3">{title}</h2>
+      <div className="rounded-2xl border bg-white p-4">{children}</div>
+    </section>
+  );
+}
+export function TwoCol({ children }) {
+  return <div className="grid grid-cols-1 md:grid-cols-2 gap-3">{children}</div>;
+}
+export function TextInput({ label, ...props }) {
+  return (
+    <label className="block">
+      <span className="block text-sm font-medium mb-1">{label}</span>
+      <input
+        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30"
+        {...props}
+      />
+    </label>
+  );
+}
+export function TextArea({ label, ...props }) {
+  return (
+    <label className="block md:col-span-2">
+      <span className="block text-sm font-medium mb-1">{label}</span>
+      <textarea
+        rows={4}
+        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30"
+        {...props}
+      />
+    </label>
+  );
+}
+export function Select({ label, options, value, onChange }) {
+  return (
+    <label className="block">
+      <span className="block text-sm font-medium mb-1">{label}</span>
+      <select
+        className="w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-black/30 cursor-pointer"
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="" disabled>
+          Select…
+        </option>
+        {options.map((opt) => (
+          <option key={opt} value={opt}>
+            {opt}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+export function CheckboxGroup({ options, value = [], onChange }) {
+  function toggle(v) {
+    const set = new Set(value);
+    if (set.has(v)) set.delete(v);
+    else set.add(v);
+    onChange(Array.from(set));
+  }
+  return (
+    <div className="flex flex-wrap gap-2">
+      {options.map((opt) => {
+        const on = value.includes(opt);
+        return (
+          <button
+            key={opt}
+            type="button"
+            onClick={() => toggle(opt)}
+            className={`px-3 py-1.5 rounded-xl border text-sm transition active:scale-95 ${
+              on ? "bg-black text-white border-black" : "hover:bg-slate-50"
+            }`}
+          >
+            {opt}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+// The Express route (server.js) and the serverless handler (api/describe.js)
+// must send the model the same request for the same body. The model is an
+// OpenAI-compatible endpoint served by a stubbed fetch, so the tests see the
+// request exactly as it would go over the wire.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, fakeResponse, SAMPLE } from "./helpers.js";
+import handler from "../api/describe.js";
+import { BUILT_IN_TEMPLATES } from "../lib/promptTemplates.js";
+
+const MODEL_URL = "http://model.test/v1";
+const ANSWER = {
+  observations: "Pink-grey, coarse-grained phaneritic rock of quartz, feldspar and biotite.",
+  interpretation: "Slowly crystallised felsic intrusive rock.",
+  rockName: "granite",
+  alternativeNames: ["granodiorite"],
+  confidence: "medium",
+  mineralsMentioned: ["quartz", "feldspar", "biotite"],
+};
+
+let server;
+let sent = []; // request bodies the model endpoint received
+const originalFetch = globalThis.fetch;
+
+before(async () => {
+  server = await startServer({ AI_PROVIDER: "openai", OPENAI_API_KEY: "test-key", OPENAI_BASE_URL: MODEL_URL, OPENAI_MODEL: "vision-test" });
+  globalThis.fetch = async (url, init) => {
+    if (!String(url).startsWith(MODEL_URL)) return originalFetch(url, init);
+    sent.push({ url: String(url), headers: init.headers, body: JSON.parse(init.body) });
+    return Response.json({ model: "vision-test", choices: [{ message: { content: JSON.stringify(ANSWER) } }] });
+  };
+});
+after(async () => {
+  globalThis.fetch = originalFetch;
+  await server.close();
+});
+beforeEach(() => {
+  sent = [];
+});
+
+async function viaRoute(body) {
+  const res = await server.post("/api/describe", body);
+  return { status: res.status, body: await res.json(), sent: sent.splice(0) };
+}
+
+async function viaHandler(body) {
+  const res = fakeResponse();
+  await handler({ method: "POST", body: structuredClone(body) }, res);
+  return { status: res.statusCode, body: res.body, sent: sent.splice(0) };
+}
+
+// What each entry point must send for SAMPLE
+function assertSampleRequest({ sent: calls }, template = "field-notebook") {
+  assert.equal(calls.length, 1);
+  const [{ url, headers, body }] = calls;
+  assert.equal(url, `${MODEL_URL}/chat/completions`);
+  assert.equal(headers.Authorization, "Bearer test-key");
+  assert.equal(body.model, "vision-test");
+  assert.equal(body.temperature, 0.15);
+  assert.equal(body.response_format.type, "json_schema");
+  assert.equal(body.response_format.json_schema.name, "rock_description");
+  assert.deepEqual(body.messages[0], { role: "system", content: BUILT_IN_TEMPLATES[template].system });
+
+  const [first, ...rest] = body.messages[1].content;
+  assert.equal(first.type, "text");
+  assert.match(first.text, new RegExp(`^${BUILT_IN_TEMPLATES[template].intro.slice(0, 40)}`));
+  assert.match(first.text, /FORM \(context\): \{.*"MDO-001"/);
+  assert.match(first.text, /PXRF \(optional\): \{"SiO2":"72 %","K":"3.1 %"\}/);
+  assert.match(first.text, /CORE INTERVAL .*\{"from":12.5,"to":14\}/);
+  assert.match(first.text, /PHOTOS \(in order\): Photo 1 \(hand specimen\); Photo 2 \(outcrop\)\./);
+  assert.deepEqual(rest, [
+    { type: "text", text: "Photo 1 (hand specimen)" },
+    { type: "image_url", image_url: { url: SAMPLE.photos[0].url, detail: "high" } },
+    { type: "text", text: "Photo 2 (outcrop)" },
+    { type: "image_url", image_url: { url: SAMPLE.photos[1].url, detail: "high" } },
+  ]);
+}
+
+test("the route sends the prompt, photos and schema for the sample", async () => {
+  const route = await viaRoute(SAMPLE);
+  assert.equal(route.status, 200);
+  assertSampleRequest(route);
+});
+
+test("the serverless handler sends the prompt, photos and schema for the sample", async () => {
+  const serverless = await viaHandler(SAMPLE);
+  assert.equal(serverless.status, 200);
+  assertSampleRequest(serverless);
+});
+
+test("both entry points send identical requests and return the same body", async () => {
+  const route = await viaRoute(SAMPLE);
+  const serverless = await viaHandler(SAMPLE);
+  assert.deepEqual(serverless.sent, route.sent);
+  assert.deepEqual(serverless.body, route.body);
+  assert.equal(route.body.rockName, "granite");
+  assert.equal(route.body.model, "vision-test");
+});
+
+test("a chosen prompt template reaches the model from both entry points", async () => {
+  const body = { ...SAMPLE, template: "core-logging" };
+  const route = await viaRoute(body);
+  const serverless = await viaHandler(body);
+  assertSampleRequest(route, "core-logging");
+  assert.deepEqual(serverless.sent, route.sent);
+});
+
+test("an unknown template is the same 400 from both entry points, before any model call", async () => {
+  const body = { ...SAMPLE, template: "no-such-style" };
+  const route = await viaRoute(body);
+  const serverless = await viaHandler(body);
+  assert.equal(route.status, 400);
+  assert.equal(serverless.status, 400);
+  assert.deepEqual(serverless.body, route.body);
+  assert.equal(route.sent.length + serverless.sent.length, 0);
+});
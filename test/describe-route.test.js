@@ -0,0 +1,65 @@
+// POST /api/describe with AI_PROVIDER=mock: structured output, the retry on
+// malformed model output and the 502 once attempts run out.
+
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, SAMPLE } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer({ DESCRIBE_MAX_ATTEMPTS: "2", DESCRIBE_RULES_FALLBACK: "0" });
+});
+after(() => server.close());
+afterEach(() => {
+  delete process.env.MOCK_AI_MALFORMED;
+});
+
+test("returns the structured fields and the narrative rendered from them", async () => {
+  const res = await server.post("/api/describe", SAMPLE);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.rockName, "granite");
+  assert.equal(body.confidence, "medium");
+  assert.deepEqual(body.alternativeNames, ["monzogranite", "granodiorite"]);
+  assert.deepEqual(body.mineralsMentioned, ["quartz", "feldspar", "mica"]);
+  assert.equal(body.description, `${body.observations}\n\n${body.interpretation}\n\nSuggested rock name: granite`);
+  assert.equal(body.model, "mock-geologist-1");
+  assert.equal(body.photosUsed, 2);
+  assert.match(body.promptVersion, /^field-notebook@\d+$/);
+});
+
+test("retries once when the first answer is malformed", async () => {
+  process.env.MOCK_AI_MALFORMED = "1";
+  const res = await server.post("/api/describe", SAMPLE);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.rockName, "granite");
+});
+
+test("is a 502 when every attempt is malformed", async () => {
+  process.env.MOCK_AI_MALFORMED = "5";
+  const res = await server.post("/api/describe", SAMPLE);
+  assert.equal(res.status, 502);
+  const body = await res.json();
+  assert.match(body.error, /not valid JSON \(after 2 attempts\)/);
+});
+
+test("a template id that names an Object.prototype member is an unknown template", async () => {
+  for (const template of ["constructor", "toString", "__proto__"]) {
+    const res = await server.post("/api/describe", { ...SAMPLE, template });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: `Unknown prompt template "${template}"` });
+  }
+});
+
+test("a candidate temperature of 0 is kept", async () => {
+  process.env.DESCRIBE_CANDIDATE_TEMPERATURE = "0";
+  try {
+    const res = await server.post("/api/describe/candidates", { ...SAMPLE, candidates: 2 });
+    assert.equal(res.status, 200);
+    const { candidates } = await res.json();
+    assert.deepEqual(candidates.map((c) => c.temperature), [0.15, 0]);
+  } finally {
+    delete process.env.DESCRIBE_CANDIDATE_TEMPERATURE;
+  }
+});
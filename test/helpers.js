@@ -0,0 +1,64 @@
+// test/helpers.js — shared setup for the route tests
+// Runs the Express app from server.js in-process on a free port with the mock
+// provider, a throwaway data directory and no project config file.
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { once } from "events";
+
+// Requests to the test server bypass any fetch stub a test installs
+const realFetch = globalThis.fetch;
+
+export async function startServer(env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "geodescribe-test-"));
+  Object.assign(process.env, {
+    AI_PROVIDER: "mock",
+    GEODESCRIBE_DATA_DIR: dir,
+    GEODESCRIBE_CONFIG: path.join(dir, "geodescribe.config.json"),
+    ...env,
+  });
+  const { default: app } = await import("../server.js");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    post: (route, body) =>
+      realFetch(url + route, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }),
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Minimal stand-in for the serverless response object (res.status().json())
+export function fakeResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+// A small but complete /api/describe body
+export const SAMPLE = {
+  form: { sampleId: "MDO-001", project: "MDO", category: "Igneous", colour: "pink-grey", grainSize: "coarse" },
+  photos: [
+    { url: "data:image/png;base64,iVBORw0KGgo=", role: "hand specimen" },
+    { url: "data:image/png;base64,iVBORw0KGgoAAAA=", role: "outcrop" },
+  ],
+  pxrfSummary: { SiO2: "72 %", K: "3.1 %" },
+  interval: { from: 12.5, to: 14 },
+};
@@ -0,0 +1,39 @@
+// pXRF export parsing: units written in cells and error columns at 1σ/2σ/3σ
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePxrf } from "../src/pxrf.js";
+
+const values = (csv) => parsePxrf(csv).readings[0].values;
+
+test("a % or ppm written in the cell beats the column unit", () => {
+  const v = values("Reading No,Cu,Zn,Fe (%)\n1,4.5%,120 ppm,3.2\n");
+  assert.equal(v.Cu.value, 45000);
+  assert.equal(v.Zn.value, 120);
+  assert.equal(v.Fe.value, 32000);
+});
+
+test("error columns are rescaled to 2σ", () => {
+  const v = values("Reading No,Cu,Cu +/- 3 sigma,Fe,Fe Error1s,Zn,Zn 2σ\n1,300,30,1200,10,50,6\n");
+  assert.equal(v.Cu.error2s, 20);
+  assert.equal(v.Fe.error2s, 20);
+  assert.equal(v.Zn.error2s, 6);
+});
+
+test("a detection limit keeps its cell unit", () => {
+  const v = values("Reading No,Cu,Zn,Pb\n1,300,50,<LOD 0.002%\n");
+  assert.equal(v.Pb.bdl, true);
+  assert.equal(v.Pb.lod, 20);
+});
+
+test("semicolon-delimited exports use a decimal comma", () => {
+  const v = values("Reading No;Cu;Zn;Fe (%);Fe Err\n1;0,5;1.234,5;3,2;0,1\n");
+  assert.equal(v.Cu.value, 0.5);
+  assert.equal(v.Zn.value, 1234.5);
+  assert.equal(v.Fe.value, 32000);
+});
+
+test("an error column without a unit takes its element's", () => {
+  const v = values("Reading No,Cu,Zn,Fe (%),Fe Err\n1,300,50,3.2,0.1\n");
+  assert.equal(v.Fe.error2s, 1000);
+});
@@ -0,0 +1,25 @@
+// /api/samples: a sample may be called "ids"; the ID listing lives at /api/sample-ids
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test("a sample whose ID is \"ids\" can be created and fetched", async () => {
+  const created = await server.post("/api/samples", { form: { sampleId: "ids", project: "MDO" }, photos: [] });
+  assert.equal(created.status, 201);
+  const res = await fetch(`${server.url}/api/samples/ids`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).id, "ids");
+});
+
+test("sample IDs are listed by prefix", async () => {
+  await server.post("/api/samples", { form: { sampleId: "MDO-0001" }, photos: [] });
+  const res = await fetch(`${server.url}/api/sample-ids?prefix=MDO-`);
+  assert.deepEqual(await res.json(), { ids: ["MDO-0001"] });
+});
@@ -1,8 +1,27 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Stamps dist/sw.js with an ID derived from the fingerprinted bundle names, so
+// each deploy that changes the assets installs a new worker with a fresh
+// cache (its activate step deletes the old one)
+function serviceWorkerBuildId() {
+  return {
+    name: "sw-build-id",
+    apply: "build",
+    writeBundle(options, bundle) {
+      const file = path.join(options.dir, "sw.js");
+      if (!fs.existsSync(file)) return;
+      const id = createHash("sha256").update(Object.keys(bundle).sort().join("\n")).digest("hex").slice(0, 12);
+      fs.writeFileSync(file, fs.readFileSync(file, "utf8").replaceAll("__BUILD_ID__", id));
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerBuildId()],
   server: {
     host: true,  // listen on 0.0.0.0 (Replit previews)
     port: 5173